@@ -110,6 +110,43 @@ export const uploadDocument = multer({
   },
 });
 
+// Barcode photos are only decoded, so they stay in memory
+export const uploadScanImage = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = ['image/jpeg', 'image/png', 'image/webp', 'image/jpg'];
+    if (allowedMimes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only JPEG, PNG, and WebP are allowed.'));
+    }
+  },
+});
+
+// Bulk listing imports are parsed in memory
+export const uploadListingImport = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedMimes = [
+      'text/csv',
+      'application/csv',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ];
+    if (allowedMimes.includes(file.mimetype) || /\.(csv|xlsx)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV and XLSX are allowed.'));
+    }
+  },
+});
+
 // Cloudinary helper functions
 export const cloudinaryHelpers = {
   async deleteImage(publicId) {
@@ -0,0 +1,23 @@
+// Subscription plans and their AI analysis quotas.
+// A null limit means unlimited.
+export const PLANS = {
+  free: {
+    name: 'Free',
+    ai_daily_limit: parseInt(process.env.AI_FREE_DAILY_LIMIT) || 5,
+    ai_monthly_limit: parseInt(process.env.AI_FREE_MONTHLY_LIMIT) || 50,
+  },
+  pro: {
+    name: 'Pro',
+    ai_daily_limit: 50,
+    ai_monthly_limit: 1000,
+  },
+  business: {
+    name: 'Business',
+    ai_daily_limit: 500,
+    ai_monthly_limit: null,
+  },
+};
+
+export const DEFAULT_PLAN = 'free';
+
+export const getPlan = (name) => PLANS[name] || PLANS[DEFAULT_PLAN];
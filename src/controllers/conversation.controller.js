@@ -0,0 +1,215 @@
+import Conversation from '../models/Conversation.js';
+import Message from '../models/Message.js';
+import Listing from '../models/Listing.js';
+import { AppError } from '../middleware/errorHandler.js';
+import realtime from '../services/realtime.service.js';
+import notificationService from '../services/notification.service.js';
+import { validationResult } from 'express-validator';
+
+const PARTICIPANT_FIELDS = 'name avatar_url';
+const LISTING_FIELDS = 'title photo_url price currency status user_id';
+
+// Persist a message and bump the conversation
+const deliverMessage = async (conversation, sender, body) => {
+  const senderId = sender._id;
+  const message = await Message.create({
+    conversation_id: conversation._id,
+    sender_id: senderId,
+    recipient_id: conversation.otherParticipant(senderId),
+    body,
+  });
+
+  conversation.last_message = {
+    body: message.body.substring(0, 200),
+    sender_id: senderId,
+    created_at: message.created_at,
+  };
+  conversation.last_message_at = message.created_at;
+  await conversation.save();
+
+  // Both participants, so the sender's other devices stay in sync
+  conversation.participants.forEach((userId) => {
+    realtime.publishToUser(userId, 'message.new', message);
+  });
+
+  await notificationService.newMessage(message, conversation, sender);
+
+  return message;
+};
+
+const conversationController = {
+  // Start (or resume) a conversation with the seller of a listing
+  async start(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing || listing.status === 'deleted') {
+      throw new AppError('Listing not found', 404);
+    }
+
+    if (listing.user_id.toString() === req.user._id.toString()) {
+      throw new AppError('You cannot start a conversation on your own listing', 400);
+    }
+
+    const existing = { listing_id: listing._id, buyer_id: req.user._id };
+    let conversation = await Conversation.findOne(existing);
+    let created = false;
+
+    if (!conversation) {
+      try {
+        conversation = await Conversation.create({ ...existing, seller_id: listing.user_id });
+        created = true;
+      } catch (error) {
+        // A parallel request created it first
+        if (error.code !== 11000) {
+          throw error;
+        }
+        conversation = await Conversation.findOne(existing);
+      }
+    }
+
+    let message = null;
+    if (req.body.message) {
+      message = await deliverMessage(conversation, req.user, req.body.message);
+    }
+
+    await conversation.populate([
+      { path: 'listing_id', select: LISTING_FIELDS },
+      { path: 'buyer_id', select: PARTICIPANT_FIELDS },
+      { path: 'seller_id', select: PARTICIPANT_FIELDS },
+    ]);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      conversation,
+      message,
+    });
+  },
+
+  // Get my conversations with unread counts
+  async inbox(req, res) {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const conversations = await Conversation.findForUser(req.user._id)
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('listing_id', LISTING_FIELDS)
+      .populate('buyer_id', PARTICIPANT_FIELDS)
+      .populate('seller_id', PARTICIPANT_FIELDS);
+
+    const total = await Conversation.countDocuments({ participants: req.user._id });
+
+    const unread = await Message.unreadCounts(req.user._id);
+    const totalUnread = [...unread.values()].reduce((sum, count) => sum + count, 0);
+
+    res.json({
+      success: true,
+      conversations: conversations.map(conversation => ({
+        ...conversation.toObject(),
+        unread_count: unread.get(conversation._id.toString()) || 0,
+      })),
+      unread_total: totalUnread,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  },
+
+  // Get a single conversation (access checked by requireOwnership)
+  async getById(req, res) {
+    const conversation = req.resource;
+
+    await conversation.populate([
+      { path: 'listing_id', select: LISTING_FIELDS },
+      { path: 'buyer_id', select: PARTICIPANT_FIELDS },
+      { path: 'seller_id', select: PARTICIPANT_FIELDS },
+    ]);
+
+    const unread = await Message.unreadCounts(req.user._id, [conversation._id]);
+
+    res.json({
+      success: true,
+      conversation: {
+        ...conversation.toObject(),
+        unread_count: unread.get(conversation._id.toString()) || 0,
+      },
+    });
+  },
+
+  // Page through messages, newest first
+  async getMessages(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { page = 1, limit = 30 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { conversation_id: req.resource._id };
+
+    const messages = await Message.find(filter)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Message.countDocuments(filter);
+
+    res.json({
+      success: true,
+      messages,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  },
+
+  // Send a message in a conversation
+  async sendMessage(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const message = await deliverMessage(
+      req.resource,
+      req.user,
+      req.body.body
+    );
+
+    res.status(201).json({
+      success: true,
+      message,
+    });
+  },
+
+  // Mark all messages sent to me in a conversation as read
+  async markRead(req, res) {
+    const result = await Message.markConversationRead(req.resource._id, req.user._id);
+
+    if (result.modifiedCount > 0) {
+      realtime.publishToUser(req.resource.otherParticipant(req.user._id), 'message.read', {
+        conversation_id: req.resource._id,
+        reader_id: req.user._id,
+        read_at: new Date(),
+      });
+    }
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+    });
+  },
+};
+
+export default conversationController;
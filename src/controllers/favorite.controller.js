@@ -0,0 +1,124 @@
+import Favorite from '../models/Favorite.js';
+import Listing from '../models/Listing.js';
+import { AppError } from '../middleware/errorHandler.js';
+import notificationService from '../services/notification.service.js';
+import { validationResult } from 'express-validator';
+
+const favoriteController = {
+  // Save a listing to my watchlist
+  async add(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing || listing.status === 'deleted') {
+      throw new AppError('Listing not found', 404);
+    }
+
+    let added;
+    try {
+      const result = await Favorite.updateOne(
+        { user_id: req.user._id, listing_id: listing._id },
+        { $setOnInsert: { created_at: new Date() } },
+        { upsert: true }
+      );
+      added = result.upsertedCount > 0;
+    } catch (error) {
+      // Parallel upserts can both try to insert; the other one won
+      if (error.code !== 11000) {
+        throw error;
+      }
+      added = false;
+    }
+
+    // Only count the first save
+    let favoritesCount = listing.favorites_count;
+    if (added) {
+      const updated = await Listing.findByIdAndUpdate(
+        listing._id,
+        { $inc: { favorites_count: 1 } },
+        { new: true }
+      );
+      favoritesCount = updated.favorites_count;
+
+      if (listing.user_id.toString() !== req.user._id.toString()) {
+        await notificationService.listingFavorited(listing, req.user);
+      }
+    }
+
+    res.status(added ? 201 : 200).json({
+      success: true,
+      favorited: true,
+      favorites_count: favoritesCount,
+    });
+  },
+
+  // Remove a listing from my watchlist
+  async remove(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const result = await Favorite.deleteOne({
+      user_id: req.user._id,
+      listing_id: req.params.id,
+    });
+
+    let listing = null;
+    if (result.deletedCount > 0) {
+      listing = await Listing.findOneAndUpdate(
+        { _id: req.params.id, favorites_count: { $gt: 0 } },
+        { $inc: { favorites_count: -1 } },
+        { new: true }
+      );
+    } else {
+      listing = await Listing.findById(req.params.id);
+    }
+
+    res.json({
+      success: true,
+      favorited: false,
+      favorites_count: listing?.favorites_count || 0,
+    });
+  },
+
+  // Get my saved listings
+  async getMine(req, res) {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const favorites = await Favorite.find({ user_id: req.user._id })
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate({
+        path: 'listing_id',
+        populate: { path: 'user_id', select: 'name email avatar_url' },
+      });
+
+    const total = await Favorite.countDocuments({ user_id: req.user._id });
+
+    res.json({
+      success: true,
+      favorites: favorites
+        .filter(favorite => favorite.listing_id && favorite.listing_id.status !== 'deleted')
+        .map(favorite => ({
+          _id: favorite._id,
+          saved_at: favorite.created_at,
+          listing: favorite.listing_id,
+        })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  },
+};
+
+export default favoriteController;
@@ -1,9 +1,68 @@
-import Listing from '../models/Listing.js';
+import Listing, { LISTING_SORTS, DEFAULT_PLACEHOLDER_IMAGE } from '../models/Listing.js';
 import User from '../models/User.js';
 import { AppError } from '../middleware/errorHandler.js';
+import aiService from '../services/ai.service.js';
+import realtime from '../services/realtime.service.js';
+import notificationService from '../services/notification.service.js';
+import transactionService from '../services/transaction.service.js';
 import { validationResult } from 'express-validator';
+import { toPoint } from '../models/schemas/geo.js';
+import { exportListing, buildFeed } from '../services/export/index.js';
+import ListingImport from '../models/ListingImport.js';
+import ListingRevision, { REVISION_FIELDS, RESTORABLE_FIELDS } from '../models/ListingRevision.js';
+import { diffValues, sameValue } from '../services/diff.js';
+import listingImportService from '../services/listingImport.service.js';
+
+// Accept both repeated query params and comma-separated values
+const parseList = (value) => {
+  if (value === undefined) return [];
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(item => item.trim()).filter(Boolean);
+};
+
+// Upper bound on listings in a single bulk feed
+const MAX_FEED_LISTINGS = 5000;
+
+// Location fields from the request, falling back to the seller's default pickup location
+const resolveLocation = (body, user) => {
+  const location = toPoint(body.location);
+  if (location) {
+    return {
+      location,
+      suburb: body.suburb || '',
+      postcode: body.postcode || '',
+    };
+  }
+
+  const pickup = user.pickup_location;
+  if (pickup?.location?.coordinates?.length === 2) {
+    return {
+      location: pickup.location,
+      suburb: body.suburb || pickup.suburb || '',
+      postcode: body.postcode || pickup.postcode || '',
+    };
+  }
+
+  return {
+    suburb: body.suburb || '',
+    postcode: body.postcode || '',
+  };
+};
 
-const DEFAULT_PLACEHOLDER_IMAGE = 'https://dummyimage.com/800x600/e5e7eb/6b7280.png&text=No+Image+Available';
+// Listing owned by the requesting user, deleted ones included
+const findOwnListing = async (req, action) => {
+  const listing = await Listing.findById(req.params.id);
+
+  if (!listing) {
+    throw new AppError('Listing not found', 404);
+  }
+
+  if (listing.user_id.toString() !== req.user._id.toString()) {
+    throw new AppError(`Not authorized to ${action} this listing`, 403);
+  }
+
+  return listing;
+};
 
 const listingController = {
   // Search listings
@@ -17,11 +76,38 @@ const listingController = {
       q,
       page = 1,
       limit = 20,
+      minPrice,
+      maxPrice,
+      sort,
+      condition,
+      category,
+      subCategory,
+      brand,
+      tags,
+      createdFrom,
+      createdTo,
+      lat,
+      lng,
+      radius,
     } = req.query;
 
     const result = await Listing.search(q, {
       page: parseInt(page),
       limit: parseInt(limit),
+      minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+      maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+      sort,
+      condition: parseList(condition),
+      category: parseList(category),
+      subCategory: parseList(subCategory),
+      brand: parseList(brand),
+      tags: parseList(tags),
+      createdFrom: createdFrom ? new Date(createdFrom) : undefined,
+      createdTo: createdTo ? new Date(createdTo) : undefined,
+      near: lat !== undefined && lng !== undefined
+        ? { lat: parseFloat(lat), lng: parseFloat(lng) }
+        : undefined,
+      radius: radius !== undefined ? parseFloat(radius) : undefined,
     });
 
     res.json({
@@ -32,15 +118,31 @@ const listingController = {
 
   // Get all active listings
   async getAll(req, res) {
-    const { page = 1, limit = 20 } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, minPrice, maxPrice, sort = 'newest' } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
-    const listings = await Listing.findActive()
+    const filter = { status: 'active' };
+    const priceFilter = Listing.buildPriceFilter({
+      minPrice: minPrice !== undefined ? parseFloat(minPrice) : undefined,
+      maxPrice: maxPrice !== undefined ? parseFloat(maxPrice) : undefined,
+      sort,
+    });
+    if (priceFilter) {
+      filter.price = priceFilter;
+    }
+
+    const listings = await Listing.find(filter)
+      .sort(LISTING_SORTS[sort] || LISTING_SORTS.newest)
       .skip(skip)
       .limit(parseInt(limit))
       .populate('user_id', 'name email avatar_url');
 
-    const total = await Listing.countDocuments({ status: 'active' });
+    const total = await Listing.countDocuments(filter);
 
     res.json({
       success: true,
@@ -130,13 +232,20 @@ const listingController = {
       quick_summary: req.body.quick_summary || '',
       additional_photos: req.body.additional_photos || [],
       condition: req.body.condition || 'good',
+      price: req.body.price ?? null,
+      currency: req.body.currency,
+      ai_suggested_price: req.body.ai_suggested_price,
+      ...resolveLocation(req.body, req.user),
       status: req.body.status || 'active',
+      publish_at: req.body.publish_at || null,
       created_at: new Date(),
     };
 
     console.log('Creating listing with specifications:', JSON.stringify(req.body.specifications, null, 2));
 
-    const listing = await Listing.create(listingData);
+    const listing = await new Listing(listingData)
+      .trackRevision({ userId: req.user._id })
+      .save();
     await listing.populate('user_id', 'name email avatar_url');
     
     console.log('Created listing specifications:', listing.specifications);
@@ -147,6 +256,74 @@ const listingController = {
     });
   },
 
+  // Create draft listing from uploaded images and/or model number via AI
+  async createWithAI(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const modelNumber = (req.body.model_number || '').trim();
+    const imageUrls = req.files && req.files.length > 0
+      ? req.files.map(file => file.path)
+      : [];
+
+    if (imageUrls.length === 0 && !modelNumber && !req.body.barcode) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ msg: 'Either images, model_number or barcode is required' }],
+      });
+    }
+
+    const analysis = await aiService.analyzeProductImages(
+      imageUrls,
+      modelNumber,
+      req.body.additional_details,
+      {
+        bypassCache: req.body.bypass_cache === true,
+        userId: req.user._id,
+        barcode: req.body.barcode || null,
+        prompt: {
+          version: req.body.prompt_version,
+          locale: req.body.locale,
+          tone: req.body.tone,
+          category: req.body.category,
+        },
+      }
+    );
+
+    // Cache hits don't count towards the quota
+    if (analysis.cache.hit) {
+      await req.releaseAIQuota();
+    }
+
+    const aiFields = aiService.toListingFields(analysis);
+
+    const listing = await new Listing({
+      ...aiFields,
+      user_id: req.user._id,
+      model_number: modelNumber || aiFields.model_number,
+      additional_details: req.body.additional_details || '',
+      photo_url: imageUrls[0] || DEFAULT_PLACEHOLDER_IMAGE,
+      additional_photos: imageUrls.slice(1),
+      condition: req.body.condition || aiFields.condition,
+      price: req.body.price ?? null,
+      currency: req.body.currency || aiFields.ai_suggested_price.currency,
+      ...resolveLocation(req.body, req.user),
+      status: 'draft',
+      created_at: new Date(),
+    })
+      .trackRevision({ userId: req.user._id, source: 'ai' })
+      .save();
+    await listing.populate('user_id', 'name email avatar_url');
+
+    res.status(201).json({
+      success: true,
+      listing,
+      analysis_details: analysis,
+    });
+  },
+
   // Update listing
   async update(req, res) {
     const errors = validationResult(req);
@@ -165,11 +342,17 @@ const listingController = {
       throw new AppError('Not authorized to update this listing', 403);
     }
 
+    const previousStatus = listing.status;
+    const previousPrice = listing.price;
+
+    listing.trackRevision({ userId: req.user._id });
+
     // Update allowed fields
     const allowedUpdates = [
       'title', 'model_number', 'photo_url', 'description', 
       'key_features', 'specifications', 'seo_keywords', 'marketplace_tags',
-      'seo_description', 'quick_summary', 'additional_photos', 'condition', 'status'
+      'seo_description', 'quick_summary', 'additional_photos', 'condition', 'status',
+      'publish_at', 'price', 'currency', 'suburb', 'postcode'
     ];
     allowedUpdates.forEach(field => {
       if (req.body[field] !== undefined) {
@@ -177,7 +360,23 @@ const listingController = {
       }
     });
 
+    if (req.body.location !== undefined) {
+      listing.location = toPoint(req.body.location || {});
+    }
+
+    const statusChanged = listing.isModified('status');
+
     await listing.save();
+
+    if (statusChanged) {
+      await transactionService.statusChanged(listing, previousStatus);
+      realtime.publishListingStatus(listing, previousStatus);
+    }
+
+    if (previousPrice != null && listing.price != null && listing.price < previousPrice) {
+      await notificationService.listingPriceDropped(listing, previousPrice);
+    }
+
     await listing.populate('user_id', 'name email avatar_url');
 
     res.json({
@@ -199,7 +398,11 @@ const listingController = {
       throw new AppError('Not authorized to delete this listing', 403);
     }
 
-    await listing.softDelete();
+    const previousStatus = listing.status;
+    await listing.softDelete({ userId: req.user._id });
+    await transactionService.statusChanged(listing, previousStatus);
+    realtime.publishListingStatus(listing, previousStatus);
+    await notificationService.listingRemoved(listing);
 
     res.json({
       success: true,
@@ -207,8 +410,13 @@ const listingController = {
     });
   },
 
-  // Mark as sold
+  // Mark as sold, optionally to a buyer and at a final price
   async markSold(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
     const listing = await Listing.findById(req.params.id);
 
     if (!listing) {
@@ -220,12 +428,362 @@ const listingController = {
       throw new AppError('Not authorized to update this listing', 403);
     }
 
-    await listing.markAsSold();
+    if (listing.status === 'sold') {
+      throw new AppError('Listing is already sold', 409);
+    }
+
+    const previousStatus = listing.status;
+    const transaction = await transactionService.markSold(listing, {
+      userId: req.user._id,
+      buyerId: req.body.buyer_id,
+      conversationId: req.body.conversation_id,
+      price: req.body.price,
+    });
+    realtime.publishListingStatus(listing, previousStatus);
+    await notificationService.listingSold(listing);
 
     res.json({
       success: true,
       message: 'Listing marked as sold',
+      transaction,
+    });
+  },
+
+  // Reserve my listing for a buyer from one of its conversations or by user id
+  async reserve(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listing = await findOwnListing(req, 'reserve');
+    const previousStatus = listing.status;
+
+    const transaction = await transactionService.reserve(listing, {
+      userId: req.user._id,
+      buyerId: req.body.buyer_id,
+      conversationId: req.body.conversation_id,
+    });
+
+    if (listing.status !== previousStatus) {
+      realtime.publishListingStatus(listing, previousStatus);
+    }
+
+    res.json({
+      success: true,
+      listing,
+      transaction,
+    });
+  },
+
+  // Cancel the reservation and put my listing back on sale
+  async release(req, res) {
+    const listing = await findOwnListing(req, 'update');
+
+    if (listing.status !== 'reserved') {
+      throw new AppError('Listing is not reserved', 409);
+    }
+
+    await transactionService.release(listing, { userId: req.user._id });
+    realtime.publishListingStatus(listing, 'reserved');
+
+    res.json({
+      success: true,
+      listing,
+    });
+  },
+
+  // Keep an active listing live for another term, or relist an expired one
+  async renew(req, res) {
+    const listing = await findOwnListing(req, 'renew');
+
+    if (!['active', 'expired'].includes(listing.status)) {
+      throw new AppError(`A ${listing.status} listing can't be renewed`, 409);
+    }
+
+    const previousStatus = listing.status;
+    await listing.renew({ userId: req.user._id });
+
+    if (listing.status !== previousStatus) {
+      realtime.publishListingStatus(listing, previousStatus);
+    }
+
+    res.json({
+      success: true,
+      listing,
+    });
+  },
+
+  // Export a listing for another marketplace (owner only)
+  async export(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listing = await Listing.findById(req.params.id);
+
+    if (!listing || listing.status === 'deleted') {
+      throw new AppError('Listing not found', 404);
+    }
+
+    // Check ownership
+    if (listing.user_id.toString() !== req.user._id.toString()) {
+      throw new AppError('Not authorized to export this listing', 403);
+    }
+
+    const file = exportListing(listing, req.query.format, { categoryId: req.query.category_id });
+
+    res.attachment(file.filename);
+    res.type(file.contentType);
+    res.send(file.body);
+  },
+
+  // Create draft listings from an uploaded CSV or XLSX file. Every row is
+  // checked with the same rules as a single listing; the per-row outcome
+  // is stored so the report can be downloaded later.
+  async import(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        errors: [{ msg: 'A CSV or XLSX file is required' }],
+      });
+    }
+
+    const listingImport = await listingImportService.importFile(req.file, {
+      user: req.user,
+      enrich: req.body.enrich === true,
+      defaults: {
+        currency: req.body.currency,
+        ...resolveLocation(req.body, req.user),
+      },
+    });
+
+    res.status(201).json({
+      success: true,
+      import: listingImport,
+      report_url: `/api/listings/my/imports/${listingImport._id}?format=csv`,
+    });
+  },
+
+  // My recent imports, without the per-row results
+  async getMyImports(req, res) {
+    const imports = await ListingImport.find({ user_id: req.user._id })
+      .select('-results')
+      .sort({ created_at: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      imports,
+    });
+  },
+
+  // Import report as JSON, or as a CSV download with format=csv
+  async getImport(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listingImport = await ListingImport.findOne({ _id: req.params.importId, user_id: req.user._id });
+
+    if (!listingImport) {
+      throw new AppError('Import not found', 404);
+    }
+
+    if (req.query.format === 'csv') {
+      res.attachment(`listing-import-${listingImport._id}.csv`);
+      res.type('text/csv');
+      return res.send(listingImportService.reportCsv(listingImport));
+    }
+
+    res.json({
+      success: true,
+      import: listingImport,
+    });
+  },
+
+  // Revision history of my listing, newest first
+  async getRevisions(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listing = await findOwnListing(req, 'view the history of');
+    const { page = 1, limit = 20 } = req.query;
+    const filter = { listing_id: listing._id };
+
+    const [revisions, total] = await Promise.all([
+      ListingRevision.find(filter)
+        .select('-snapshot')
+        .sort({ version: -1 })
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .limit(parseInt(limit))
+        .populate('user_id', 'name avatar_url'),
+      ListingRevision.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      revisions,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  },
+
+  // A single revision with its snapshot
+  async getRevision(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listing = await findOwnListing(req, 'view the history of');
+    const revision = await ListingRevision.findOne({ listing_id: listing._id, version: req.params.version })
+      .populate('user_id', 'name avatar_url');
+
+    if (!revision) {
+      throw new AppError('Revision not found', 404);
+    }
+
+    res.json({
+      success: true,
+      revision,
+    });
+  },
+
+  // Field-by-field diff between two revisions
+  async diffRevisions(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listing = await findOwnListing(req, 'view the history of');
+    const from = parseInt(req.query.from);
+    const to = parseInt(req.query.to);
+
+    const revisions = await ListingRevision.find({ listing_id: listing._id, version: { $in: [from, to] } });
+    const before = revisions.find(revision => revision.version === from);
+    const after = revisions.find(revision => revision.version === to);
+
+    if (!before || !after) {
+      throw new AppError('Revision not found', 404, {
+        versions: [from, to].filter(version => !revisions.some(revision => revision.version === version)),
+      });
+    }
+
+    const changes = Object.fromEntries(
+      REVISION_FIELDS
+        .filter(field => !sameValue(before.snapshot[field], after.snapshot[field]))
+        .map((field) => {
+          const [a, b] = [before.snapshot[field], after.snapshot[field]];
+          return [field, { before: a, after: b, diff: diffValues(a, b) }];
+        })
+    );
+
+    res.json({
+      success: true,
+      from,
+      to,
+      changes,
+    });
+  },
+
+  // Bring a listing's content back to an earlier revision. The restore is
+  // itself recorded, so it can be undone; status is left as it is.
+  async restoreRevision(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const listing = await findOwnListing(req, 'update');
+
+    if (listing.status === 'deleted') {
+      throw new AppError('Listing not found', 404);
+    }
+
+    const version = parseInt(req.params.version);
+    const revision = await ListingRevision.findOne({ listing_id: listing._id, version });
+
+    if (!revision) {
+      throw new AppError('Revision not found', 404);
+    }
+
+    const previousPrice = listing.price;
+
+    listing.trackRevision({ userId: req.user._id, action: 'restore', restoredFrom: version });
+    RESTORABLE_FIELDS.forEach((field) => {
+      listing.set(field, revision.snapshot[field] ?? undefined);
+    });
+    await listing.save();
+
+    if (previousPrice != null && listing.price != null && listing.price < previousPrice) {
+      await notificationService.listingPriceDropped(listing, previousPrice);
+    }
+
+    await listing.populate('user_id', 'name email avatar_url');
+
+    res.json({
+      success: true,
+      listing,
+      restored_from: version,
+    });
+  },
+
+  // Feed of a seller's active listings in a marketplace format. Public so
+  // marketplaces can fetch it on a schedule; report=true returns which
+  // listings were left out and why instead of the feed.
+  async getFeed(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const seller = await User.findById(req.params.userId).select('name');
+    if (!seller) {
+      throw new AppError('User not found', 404);
+    }
+
+    const listings = await Listing.find({ user_id: seller._id, status: 'active' })
+      .sort({ created_at: -1 })
+      .limit(MAX_FEED_LISTINGS)
+      .lean();
+
+    const feed = buildFeed(listings, req.query.format, {
+      categoryId: req.query.category_id,
+      title: `${seller.name}'s listings`,
+    });
+
+    if (req.query.report === 'true') {
+      return res.json({
+        success: true,
+        format: req.query.format,
+        total: listings.length,
+        included: feed.included,
+        skipped: feed.skipped,
+      });
+    }
+
+    res.set({
+      'X-Feed-Included': feed.included,
+      'X-Feed-Skipped': feed.skipped.length,
     });
+    res.attachment(feed.filename);
+    res.type(feed.contentType);
+    res.send(feed.body);
   },
 
   // Get my listings
@@ -0,0 +1,90 @@
+import Notification from '../models/Notification.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { validationResult } from 'express-validator';
+
+const notificationController = {
+  // Get my notifications, newest first
+  async getMine(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, unread = 'false', type } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { user_id: req.user._id };
+    if (unread === 'true') {
+      filter.read_at = null;
+    }
+    if (type) {
+      filter.type = type;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Notification.countDocuments(filter);
+    const unreadCount = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      notifications,
+      unread_count: unreadCount,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  },
+
+  // Count my unread notifications
+  async unreadCount(req, res) {
+    const count = await Notification.countUnread(req.user._id);
+
+    res.json({
+      success: true,
+      unread_count: count,
+    });
+  },
+
+  // Mark a single notification as read
+  async markRead(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const notification = await Notification.findOne({
+      _id: req.params.id,
+      user_id: req.user._id,
+    });
+
+    if (!notification) {
+      throw new AppError('Notification not found', 404);
+    }
+
+    await notification.markRead();
+
+    res.json({
+      success: true,
+      notification,
+    });
+  },
+
+  // Mark all my notifications as read
+  async markAllRead(req, res) {
+    const result = await Notification.markAllRead(req.user._id);
+
+    res.json({
+      success: true,
+      updated: result.modifiedCount,
+    });
+  },
+};
+
+export default notificationController;
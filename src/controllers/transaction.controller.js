@@ -0,0 +1,52 @@
+import Transaction from '../models/Transaction.js';
+import { AppError } from '../middleware/errorHandler.js';
+import transactionService from '../services/transaction.service.js';
+import { validationResult } from 'express-validator';
+
+const transactionController = {
+  // My purchases and sales, newest first
+  async getMine(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const { page = 1, limit = 20, role = 'all', status } = req.query;
+
+    const result = await transactionService.history(req.user._id, {
+      role,
+      status,
+      page: parseInt(page),
+      limit: parseInt(limit),
+    });
+
+    res.json({
+      success: true,
+      ...result,
+    });
+  },
+
+  // A single transaction I'm the buyer or seller in
+  async getById(req, res) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const transaction = await Transaction.findById(req.params.id)
+      .populate('listing_id', 'title photo_url price currency status')
+      .populate('seller_id', 'name avatar_url')
+      .populate('buyer_id', 'name avatar_url');
+
+    if (!transaction || !transaction.isParticipant(req.user._id)) {
+      throw new AppError('Transaction not found', 404);
+    }
+
+    res.json({
+      success: true,
+      transaction,
+    });
+  },
+};
+
+export default transactionController;
@@ -0,0 +1,49 @@
+import aiUsage from '../services/aiUsage.service.js';
+
+// Reserve one AI analysis from the user's plan quota before running it.
+// Monthly limits need a plan upgrade (402); daily limits reset tomorrow (429).
+// The reservation is given back if the request fails or the client leaves
+// before the response is complete. Handlers call req.releaseAIQuota() for
+// results that don't count, like cache hits.
+export const enforceAIQuota = async (req, res, next) => {
+  try {
+    const reservation = await aiUsage.reserve(req.user);
+    const { quota } = reservation;
+    req.aiQuota = quota;
+
+    if (!reservation.reserved && reservation.exceeded === 'monthly') {
+      return res.status(402).json({
+        success: false,
+        message: `Monthly AI analysis limit reached for the ${quota.plan} plan. Upgrade your plan to continue.`,
+        quota,
+      });
+    }
+
+    if (!reservation.reserved) {
+      res.set('Retry-After', Math.ceil((quota.daily.resets_at - Date.now()) / 1000));
+      return res.status(429).json({
+        success: false,
+        message: `Daily AI analysis limit of ${quota.daily.limit} reached. Try again tomorrow.`,
+        quota,
+      });
+    }
+
+    let released = false;
+    req.aiQuotaReservedAt = reservation.reservedAt;
+    req.releaseAIQuota = async () => {
+      if (released) return;
+      released = true;
+      await aiUsage.release(req.user._id, reservation.reservedAt);
+    };
+
+    res.on('close', () => {
+      if (!res.writableFinished || res.statusCode >= 400) {
+        req.releaseAIQuota();
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -3,6 +3,33 @@ import { verifyToken } from '@clerk/backend';
 import mongoose from 'mongoose';
 import User from '../models/User.js';
 
+// Verify a Clerk session token and resolve (or create) the matching user.
+// Shared by the HTTP middleware and the WebSocket handshake.
+export const resolveUserFromToken = async (sessionToken) => {
+  const payload = await verifyToken(sessionToken, {
+    secretKey: process.env.CLERK_SECRET_KEY,
+  });
+
+  if (!payload || !payload.sub) {
+    return null;
+  }
+
+  const clerkUserId = payload.sub;
+
+  // Get or create user in our database
+  let user = await User.findByClerkId(clerkUserId);
+
+  if (!user) {
+    // Fetch user details from Clerk
+    const clerkUser = await clerkClient.users.getUser(clerkUserId);
+
+    // Create user in our database
+    user = await User.createFromClerk(clerkUser);
+  }
+
+  return { user, clerkUserId, sessionId: payload.sid };
+};
+
 // Verify Clerk session and attach user to request
 export const authenticate = async (req, res, next) => {
   try {
@@ -15,49 +42,21 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
-    const payload = await verifyToken(sessionToken, {
-      secretKey: process.env.CLERK_SECRET_KEY,
-    });
+    const session = await resolveUserFromToken(sessionToken);
 
-    if (!payload || !payload.sub) {
+    if (!session) {
       return res.status(401).json({
         success: false,
         message: 'Invalid or expired session'
       })
     }
 
-    const clerkUserId = payload.sub;
-
-    // Verify the session with Clerk
-    // const session = await clerkClient.sessions.verifySession(
-    //   sessionToken,
-    //   process.env.CLERK_SECRET_KEY
-    // );
-
-    // if (!session) {
-    //   return res.status(401).json({
-    //     success: false,
-    //     message: 'Invalid or expired session',
-    //   });
-    // }
-
-    // Get or create user in our database
-    let user = await User.findByClerkId(clerkUserId);
-
-    if (!user) {
-      // Fetch user details from Clerk
-      const clerkUser = await clerkClient.users.getUser(clerkUserId);
-
-      // Create user in our database
-      user = await User.createFromClerk(clerkUser);
-    }
-
-    // No need to update last active in simplified model
+    const { user, clerkUserId, sessionId } = session;
 
     // Attach user to request
     req.user = user;
     req.clerkUserId = clerkUserId;
-    req.sessionId = payload.sid;
+    req.sessionId = sessionId;
 
     next();
   } catch (error) {
@@ -107,14 +106,26 @@ export const optionalAuth = async (req, res, next) => {
   next();
 };
 
-// Role checking not needed in simplified version
+// Restrict a route to admins (role is synced from Clerk public metadata)
+export const requireAdmin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required',
+    });
+  }
+
+  next();
+};
 
 // Check if user is the resource owner
 export const requireOwnership = (modelName, paramName = 'id') => {
   return async (req, res, next) => {
     try {
       const Model = mongoose.model(modelName);
-      const resource = await Model.findById(req.params[paramName]);
+      const resource = mongoose.isValidObjectId(req.params[paramName])
+        ? await Model.findById(req.params[paramName])
+        : null;
 
       if (!resource) {
         return res.status(404).json({
@@ -126,8 +137,11 @@ export const requireOwnership = (modelName, paramName = 'id') => {
       // Check ownership based on model
       let isOwner = false;
 
-      // For listings, check user_id field
-      if (resource.user_id) {
+      // Shared resources (e.g. conversations) decide access themselves
+      if (typeof resource.isAccessibleBy === 'function') {
+        isOwner = resource.isAccessibleBy(req.user._id);
+      } else if (resource.user_id) {
+        // For listings, check user_id field
         isOwner = resource.user_id.toString() === req.user._id.toString();
       }
 
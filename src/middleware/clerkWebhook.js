@@ -1,6 +1,9 @@
 import { Webhook } from 'svix';
 import mongoose from 'mongoose';
-import User from '../models/User.js';
+import User, { accessFromMetadata } from '../models/User.js';
+import notificationService from '../services/notification.service.js';
+import transactionService from '../services/transaction.service.js';
+import realtime from '../services/realtime.service.js';
 
 export const handleClerkWebhook = async (req, res) => {
   try {
@@ -124,6 +127,7 @@ async function handleUserCreated(clerkUser) {
       email: email,
       auth_provider: authProvider,
       avatar_url: clerkUser.image_url,
+      ...accessFromMetadata(clerkUser.public_metadata),
       created_at: new Date(),
     };
 
@@ -167,9 +171,24 @@ async function handleUserUpdated(clerkUser) {
     }
     
     user.avatar_url = clerkUser.image_url || user.avatar_url;
+    Object.assign(user, accessFromMetadata(clerkUser.public_metadata));
+
+    // Let the user know when moderators ban or restore their account
+    const isBanned = Boolean(clerkUser.banned);
+    const banChanged = isBanned !== Boolean(user.is_banned);
+    user.is_banned = isBanned;
 
     await user.save();
     console.log(`User updated successfully: ${user._id}`);
+
+    if (banChanged) {
+      await notificationService.moderationAction(user._id, {
+        action: isBanned ? 'account_suspended' : 'account_restored',
+        reason: isBanned
+          ? 'Your account has been suspended by a moderator.'
+          : 'Your account has been restored.',
+      });
+    }
   } catch (error) {
     console.error('Error updating user:', error);
     // Don't throw error for webhook - just log it
@@ -187,12 +206,26 @@ async function handleUserDeleted(clerkUser) {
     }
 
     // For simplified schema, we can just delete the user
-    // But first, mark all their listings as deleted
+    // But first, delete all their listings the same way the owner would,
+    // so revisions are kept and open reservations are cancelled
     const Listing = mongoose.model('Listing');
-    await Listing.updateMany(
-      { user_id: user._id },
-      { status: 'deleted' }
-    );
+    const listings = await Listing.find({
+      user_id: user._id,
+      status: { $ne: 'deleted' },
+    });
+
+    for (const listing of listings) {
+      try {
+        const previousStatus = listing.status;
+        await listing.softDelete({ source: 'system' });
+        await transactionService.statusChanged(listing, previousStatus);
+        realtime.publishListingStatus(listing, previousStatus);
+        // Let watchers know the listing is gone
+        await notificationService.listingRemoved(listing);
+      } catch (error) {
+        console.error(`Error deleting listing ${listing._id}:`, error);
+      }
+    }
     
     // Optionally delete the user record
     // await user.deleteOne();
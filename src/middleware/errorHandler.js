@@ -55,6 +55,7 @@ export const errorHandler = (err, req, res, next) => {
   res.status(error.statusCode || 500).json({
     success: false,
     message: error.message || 'Server Error',
+    ...(error.details && { details: error.details }),
     ...(process.env.NODE_ENV === 'development' && {
       error: err,
       stack: err.stack,
@@ -76,9 +77,10 @@ export const notFound = (req, res, next) => {
 
 // Custom error class
 export class AppError extends Error {
-  constructor(message, statusCode) {
+  constructor(message, statusCode, details = null) {
     super(message);
     this.statusCode = statusCode;
+    this.details = details;
     this.isOperational = true;
 
     Error.captureStackTrace(this, this.constructor);
@@ -0,0 +1,53 @@
+import { body, validationResult } from 'express-validator';
+import { INITIAL_STATUSES } from '../models/Listing.js';
+
+export const validateLocation = [
+  body('location').optional({ values: 'null' }).isObject(),
+  body('location.lat').if(body('location').exists({ values: 'null' })).isFloat({ min: -90, max: 90 }).toFloat(),
+  body('location.lng').if(body('location').exists({ values: 'null' })).isFloat({ min: -180, max: 180 }).toFloat(),
+  body('suburb').optional().trim().isLength({ max: 100 }),
+  body('postcode').optional().trim().isLength({ max: 10 }),
+];
+
+// Validation middleware
+export const validateListing = [
+  body('title').trim().notEmpty().isLength({ max: 200 }),
+  body('description').trim().notEmpty().isLength({ max: 10000 }),
+  body('photo_url').optional({ checkFalsy: true }).isURL(),
+  body('model_number').optional().trim().isLength({ max: 100 }),
+  body('additional_details').optional().trim().isLength({ max: 10000}),
+  body('additional_photos').optional().isArray(),
+  body('additional_photos.*').optional().isURL(),
+  body('condition').optional().isIn(['new', 'like-new', 'excellent', 'good', 'fair', 'poor', 'for-parts']),
+  body('price').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+  body('currency').optional().trim().toUpperCase().isISO4217(),
+  body('ai_suggested_price').optional().isObject(),
+  body('ai_suggested_price.min').optional().isFloat({ min: 0 }).toFloat(),
+  body('ai_suggested_price.max').optional().isFloat({ min: 0 }).toFloat(),
+  // Selling and reserving have their own routes, which record the buyer
+  body('status').optional().isIn(INITIAL_STATUSES),
+  body('publish_at').optional({ values: 'null' }).isISO8601().toDate(),
+  ...validateLocation,
+  // Custom validation to ensure either photo_url or model_number exists
+  body().custom((value, { req }) => {
+    if (!req.body.photo_url && !req.body.model_number) {
+      throw new Error('Either photo_url or model_number is required');
+    }
+    return true;
+  }),
+];
+
+/**
+ * Run validateListing against listing data outside of a request, e.g. a
+ * row of a bulk import. Returns the sanitized data and the validation
+ * errors in the same shape as validationResult().array().
+ */
+export const checkListing = async (data) => {
+  const req = { body: { ...data } };
+
+  for (const chain of validateListing) {
+    await chain.run(req);
+  }
+
+  return { data: req.body, errors: validationResult(req).array() };
+};
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cached AI analyses, keyed by a hash of the analysis inputs
+ * (image bytes, model number, additional info and prompt version)
+ */
+const aiCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  prompt_version: {
+    type: String,
+    required: true,
+  },
+  model_number: {
+    type: String,
+    default: '',
+  },
+  image_hashes: [String],
+  provider: {
+    type: String,
+    default: null,
+  },
+  analysis: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  hits: {
+    type: Number,
+    default: 0,
+  },
+  last_hit_at: {
+    type: Date,
+    default: null,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+  minimize: false,
+});
+
+// MongoDB removes entries once expires_at has passed
+aiCacheSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const AICache = mongoose.model('AICache', aiCacheSchema);
+
+export default AICache;
@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+
+export const AI_JOB_STATUSES = ['queued', 'processing', 'completed', 'failed'];
+
+// Finished jobs are kept for a week so clients can still poll the result
+const JOB_RETENTION_SECONDS = 7 * 24 * 60 * 60;
+
+const aiJobSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['analyze_product'],
+    default: 'analyze_product',
+  },
+  status: {
+    type: String,
+    enum: AI_JOB_STATUSES,
+    default: 'queued',
+  },
+  input: {
+    images: [String],
+    model_number: {
+      type: String,
+      default: '',
+    },
+    additional_info: {
+      type: String,
+      default: '',
+    },
+    bypass_cache: {
+      type: Boolean,
+      default: false,
+    },
+    // Prompt selection (version, locale, tone, category)
+    prompt: {
+      version: String,
+      locale: String,
+      tone: String,
+      category: String,
+    },
+    barcode: {
+      type: String,
+      default: '',
+    },
+  },
+  // Optional draft listing to fill in when the job completes
+  listing_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    default: null,
+  },
+  // When the job took its analysis from the user's AI quota; given back
+  // if the job fails or is served from the cache
+  quota_reserved_at: {
+    type: Date,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  max_attempts: {
+    type: Number,
+    default: 3,
+  },
+  // Earliest time the job may be picked up, pushed back on retry
+  run_at: {
+    type: Date,
+    default: Date.now,
+  },
+  locked_at: {
+    type: Date,
+    default: null,
+  },
+  locked_by: {
+    type: String,
+    default: null,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  completed_at: {
+    type: Date,
+    default: null,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+// Indexes for performance
+aiJobSchema.index({ status: 1, run_at: 1 });
+aiJobSchema.index({ user_id: 1, created_at: -1 });
+aiJobSchema.index({ completed_at: 1 }, { expireAfterSeconds: JOB_RETENTION_SECONDS });
+
+// Methods
+aiJobSchema.methods.toJSON = function () {
+  const job = this.toObject();
+  delete job.locked_by;
+  delete job.locked_at;
+  delete job.quota_reserved_at;
+  return job;
+};
+
+const AIJob = mongoose.model('AIJob', aiJobSchema);
+
+export default AIJob;
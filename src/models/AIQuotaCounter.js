@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const QUOTA_PERIODS = ['day', 'month'];
+
+/**
+ * AI analyses a user has taken from one quota window. Counters are only
+ * changed with atomic $inc updates, so parallel requests can't overshoot
+ * the plan's limit.
+ */
+const aiQuotaCounterSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  period: {
+    type: String,
+    enum: QUOTA_PERIODS,
+    required: true,
+  },
+  // Start of the UTC day or month the counter covers
+  starts_at: {
+    type: Date,
+    required: true,
+  },
+  count: {
+    type: Number,
+    default: 0,
+  },
+  expires_at: {
+    type: Date,
+    required: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+// One counter per window; reservations rely on this to stop at the limit
+aiQuotaCounterSchema.index({ user_id: 1, period: 1, starts_at: 1 }, { unique: true });
+// MongoDB removes counters once expires_at has passed
+aiQuotaCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const AIQuotaCounter = mongoose.model('AIQuotaCounter', aiQuotaCounterSchema);
+
+export default AIQuotaCounter;
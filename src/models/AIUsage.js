@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+export const AI_USAGE_OPERATIONS = ['analyze', 'stream', 'repair', 'regenerate', 'rewrite', 'ocr'];
+
+/**
+ * One record per AI provider call (or cache hit), used for cost
+ * reporting. Quotas are counted in AIQuotaCounter.
+ */
+const aiUsageSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  model: {
+    type: String,
+    default: null,
+  },
+  operation: {
+    type: String,
+    enum: AI_USAGE_OPERATIONS,
+    required: true,
+  },
+  prompt_version: {
+    type: String,
+    default: null,
+  },
+  input_tokens: {
+    type: Number,
+    default: 0,
+  },
+  output_tokens: {
+    type: Number,
+    default: 0,
+  },
+  total_tokens: {
+    type: Number,
+    default: 0,
+  },
+  latency_ms: {
+    type: Number,
+    default: 0,
+  },
+  success: {
+    type: Boolean,
+    required: true,
+  },
+  // Served from the analysis cache, no provider call was made
+  cached: {
+    type: Boolean,
+    default: false,
+  },
+  // Estimated from the model's token prices, in USD
+  estimated_cost: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+// Indexes for performance
+aiUsageSchema.index({ user_id: 1, created_at: -1 });
+aiUsageSchema.index({ created_at: -1, provider: 1 });
+aiUsageSchema.index({ prompt_version: 1, created_at: -1 });
+
+const AIUsage = mongoose.model('AIUsage', aiUsageSchema);
+
+export default AIUsage;
@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+const conversationSchema = new mongoose.Schema({
+  listing_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+    index: true,
+  },
+  buyer_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  seller_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  // Both participants, kept for inbox queries
+  participants: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  }],
+  last_message: {
+    body: String,
+    sender_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    created_at: Date,
+  },
+  last_message_at: {
+    type: Date,
+    default: Date.now,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+// Indexes for performance
+conversationSchema.index({ listing_id: 1, buyer_id: 1 }, { unique: true });
+conversationSchema.index({ participants: 1, last_message_at: -1 });
+
+conversationSchema.pre('validate', function (next) {
+  this.participants = [this.buyer_id, this.seller_id];
+  next();
+});
+
+// Methods
+conversationSchema.methods.isParticipant = function (userId) {
+  return this.participants.some(id => id.toString() === userId.toString());
+};
+
+// Used by requireOwnership, both participants may access a conversation
+conversationSchema.methods.isAccessibleBy = function (userId) {
+  return this.isParticipant(userId);
+};
+
+conversationSchema.methods.otherParticipant = function (userId) {
+  return this.buyer_id.toString() === userId.toString()
+    ? this.seller_id
+    : this.buyer_id;
+};
+
+// Static methods
+conversationSchema.statics.findForUser = function (userId) {
+  return this.find({ participants: userId }).sort({ last_message_at: -1 });
+};
+
+const Conversation = mongoose.model('Conversation', conversationSchema);
+
+export default Conversation;
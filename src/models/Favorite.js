@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const favoriteSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  listing_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+    index: true,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+// Indexes for performance
+favoriteSchema.index({ user_id: 1, listing_id: 1 }, { unique: true });
+favoriteSchema.index({ user_id: 1, created_at: -1 });
+
+// Static methods
+favoriteSchema.statics.watcherIds = async function (listingId) {
+  const favorites = await this.find({ listing_id: listingId }).select('user_id');
+  return favorites.map(favorite => favorite.user_id);
+};
+
+const Favorite = mongoose.model('Favorite', favoriteSchema);
+
+export default Favorite;
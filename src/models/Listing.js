@@ -1,4 +1,50 @@
 import mongoose from 'mongoose';
+import { pointSchema, withinRadius, distanceExpression } from './schemas/geo.js';
+import ListingRevision from './ListingRevision.js';
+
+export const LISTING_CONDITIONS = ['new', 'like-new', 'excellent', 'good', 'fair', 'poor', 'for-parts'];
+
+export const LISTING_SORTS = {
+  newest: { created_at: -1 },
+  oldest: { created_at: 1 },
+  price_asc: { price: 1, created_at: -1 },
+  price_desc: { price: -1, created_at: -1 },
+};
+
+// Shown when a listing has no photos
+export const DEFAULT_PLACEHOLDER_IMAGE = 'https://dummyimage.com/800x600/e5e7eb/6b7280.png&text=No+Image+Available';
+
+// Radius search bounds in kilometres
+export const DEFAULT_SEARCH_RADIUS_KM = 25;
+export const MAX_SEARCH_RADIUS_KM = 500;
+
+export const LISTING_STATUSES = ['draft', 'scheduled', 'active', 'reserved', 'sold', 'expired', 'deleted'];
+
+// Statuses a new listing can start in
+export const INITIAL_STATUSES = ['draft', 'scheduled', 'active'];
+
+// Allowed status changes; deleted is final
+export const LISTING_TRANSITIONS = {
+  draft: ['scheduled', 'active', 'deleted'],
+  scheduled: ['draft', 'active', 'deleted'],
+  active: ['draft', 'reserved', 'sold', 'expired', 'deleted'],
+  reserved: ['active', 'sold', 'deleted'],
+  sold: ['active', 'deleted'],
+  expired: ['draft', 'active', 'deleted'],
+  deleted: [],
+};
+
+// How long a listing stays active before it expires
+export const LISTING_DURATION_DAYS = parseInt(process.env.LISTING_DURATION_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const canTransition = (from, to) => (from === null || from === undefined
+  ? INITIAL_STATUSES.includes(to)
+  : from === to || LISTING_TRANSITIONS[from]?.includes(to) === true);
+
+// Expiry date for a listing going live now
+export const nextExpiry = (from = new Date()) => new Date(from.getTime() + LISTING_DURATION_DAYS * DAY_MS);
 
 const listingSchema = new mongoose.Schema({
   user_id: {
@@ -60,6 +106,54 @@ const listingSchema = new mongoose.Schema({
     type: String,
     maxlength: 500,
   },
+  // Asking price set by the seller
+  price: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/,
+    default: 'USD',
+  },
+  // Price range suggested by the AI analysis, kept for reference
+  ai_suggested_price: {
+    min: Number,
+    max: Number,
+    currency: String,
+    reasoning: String,
+  },
+  // Prompt version that generated the listing, for comparing prompts
+  ai_prompt_version: {
+    type: String,
+    default: null,
+  },
+  // Pickup location
+  location: {
+    type: pointSchema,
+    default: undefined,
+  },
+  suburb: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: '',
+  },
+  postcode: {
+    type: String,
+    trim: true,
+    maxlength: 10,
+    default: '',
+  },
+  // Number of users watching this listing
+  favorites_count: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   // Additional photos (optional)
   additional_photos: [{
     type: String,
@@ -67,16 +161,43 @@ const listingSchema = new mongoose.Schema({
   // Simplified metadata - only essential fields
   condition: {
     type: String,
-    enum: ['new', 'like-new', 'excellent', 'good', 'fair', 'poor', 'for-parts'],
+    enum: LISTING_CONDITIONS,
     default: 'good',
   },
-  // Status for soft delete or draft functionality
+  // Lifecycle state, changes are limited to LISTING_TRANSITIONS
   status: {
     type: String,
-    enum: ['active', 'sold', 'deleted', 'draft'],
+    enum: LISTING_STATUSES,
     default: 'active',
     index: true,
   },
+  // When a scheduled listing goes live
+  publish_at: {
+    type: Date,
+    default: null,
+  },
+  // When an active listing expires, set each time it goes live or is renewed
+  expires_at: {
+    type: Date,
+    default: null,
+  },
+  // Set once the owner has been told the listing expires soon
+  expiry_notified_at: {
+    type: Date,
+    default: null,
+  },
+  // Buyer holding a reserved listing
+  reserved_for: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Buyer of a sold listing, null when sold outside the app
+  sold_to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
   created_at: {
     type: Date,
     default: Date.now,
@@ -110,6 +231,13 @@ listingSchema.index({ user_id: 1, status: 1 });
 listingSchema.index({ created_at: -1 });
 listingSchema.index({ title: 'text', description: 'text' });
 listingSchema.index({ model_number: 1 });
+listingSchema.index({ status: 1, price: 1 });
+listingSchema.index({ status: 1, 'specifications.category': 1 });
+listingSchema.index({ status: 1, 'specifications.brand': 1 });
+listingSchema.index({ marketplace_tags: 1 });
+listingSchema.index({ location: '2dsphere' });
+listingSchema.index({ status: 1, publish_at: 1 });
+listingSchema.index({ status: 1, expires_at: 1 });
 
 // Virtual to get user details when populated
 listingSchema.virtual('user', {
@@ -131,16 +259,121 @@ listingSchema.methods.toJSON = function () {
   return listing;
 };
 
-listingSchema.methods.markAsSold = async function () {
+/**
+ * Record the next save as a revision. Call before changing any fields:
+ * the revision lists what changed since this point. `source` is human,
+ * ai or system.
+ */
+listingSchema.methods.trackRevision = function ({ userId = null, source = 'human', action = 'update', restoredFrom = null } = {}) {
+  this.$locals.revision = {
+    before: this.isNew ? null : ListingRevision.snapshot(this),
+    userId,
+    source,
+    action,
+    restoredFrom,
+  };
+  return this;
+};
+
+// Write the revision started by trackRevision
+listingSchema.post('save', async function (listing) {
+  const revision = listing.$locals.revision;
+  if (!revision) {
+    return;
+  }
+  listing.$locals.revision = null;
+
+  // The listing is already saved, so a lost revision shouldn't fail the request
+  try {
+    await ListingRevision.record(listing, revision);
+  } catch (error) {
+    console.error(`Listing revision error (${listing._id}):`, error.message);
+  }
+});
+
+// Remember the stored status so a save can check the transition
+listingSchema.post('init', function (listing) {
+  listing.$locals.storedStatus = listing.status;
+});
+
+// Enforce LISTING_TRANSITIONS and keep the lifecycle dates in step with the status
+listingSchema.pre('validate', function () {
+  const now = new Date();
+  const statusChanged = this.isNew || this.isModified('status');
+
+  if (statusChanged) {
+    const from = this.isNew ? null : this.$locals.storedStatus;
+    // Documents that weren't loaded from the database have nothing to check against
+    const known = this.isNew || from !== undefined;
+
+    if (known && !canTransition(from, this.status)) {
+      this.invalidate('status', from
+        ? `A listing can't move from ${from} to ${this.status}`
+        : `A new listing can't be ${this.status}`);
+    }
+
+    if (this.status === 'scheduled' && !(this.publish_at > now)) {
+      this.invalidate('publish_at', 'A scheduled listing needs a publish_at date in the future');
+    }
+
+    if (this.status === 'active' && !(this.expires_at > now)) {
+      this.expires_at = nextExpiry(now);
+    }
+
+    // A reserved listing sells to the buyer holding it unless told otherwise
+    if (this.status === 'sold' && !this.sold_to) {
+      this.sold_to = this.reserved_for;
+    }
+    if (this.status !== 'reserved') {
+      this.reserved_for = null;
+    }
+    if (this.status !== 'sold') {
+      this.sold_to = null;
+    }
+  }
+
+  if (this.isModified('expires_at')) {
+    this.expiry_notified_at = null;
+  }
+});
+
+listingSchema.post('save', function (listing) {
+  listing.$locals.storedStatus = listing.status;
+});
+
+listingSchema.methods.markAsSold = async function ({ userId = null, source = 'human', buyerId = null } = {}) {
+  this.trackRevision({ userId, source, action: 'sold' });
   this.status = 'sold';
+  if (buyerId) {
+    this.sold_to = buyerId;
+  }
   return this.save();
 };
 
-listingSchema.methods.softDelete = async function () {
+listingSchema.methods.reserveFor = async function (buyerId, { userId = null, source = 'human' } = {}) {
+  this.trackRevision({ userId, source, action: 'reserve' });
+  this.status = 'reserved';
+  this.reserved_for = buyerId;
+  return this.save();
+};
+
+listingSchema.methods.softDelete = async function ({ userId = null, source = 'human' } = {}) {
+  this.trackRevision({ userId, source, action: 'delete' });
   this.status = 'deleted';
   return this.save();
 };
 
+/**
+ * Keep a listing live for another full term, from now. Expired listings
+ * go back to active.
+ */
+listingSchema.methods.renew = async function ({ userId = null, source = 'human' } = {}) {
+  this.trackRevision({ userId, source, action: 'renew' });
+  this.status = 'active';
+  this.expires_at = nextExpiry();
+  return this.save();
+};
+
 // Static methods
 listingSchema.statics.findActive = function (filter = {}) {
   return this.find({
@@ -157,12 +390,51 @@ listingSchema.statics.findByUser = function (userId, includeInactive = false) {
   return this.find(filter).sort({ created_at: -1 });
 };
 
+// Build a price range filter, returns undefined when no bounds are given
+listingSchema.statics.buildPriceFilter = function ({ minPrice, maxPrice, sort } = {}) {
+  const price = {};
+  if (minPrice !== undefined && minPrice !== null) price.$gte = minPrice;
+  if (maxPrice !== undefined && maxPrice !== null) price.$lte = maxPrice;
+
+  // Listings without a price have no place in a price-ordered result
+  if (sort === 'price_asc' || sort === 'price_desc') price.$ne = null;
+
+  return Object.keys(price).length > 0 ? price : undefined;
+};
+
+// Facets returned alongside search results, keyed by response name
+const SEARCH_FACETS = {
+  condition: '$condition',
+  category: '$specifications.category',
+  subCategory: '$specifications.subCategory',
+  brand: '$specifications.brand',
+};
+
+const FACET_LIMIT = 20;
+
 listingSchema.statics.search = async function (query, options = {}) {
   const {
     page = 1,
     limit = 20,
+    minPrice,
+    maxPrice,
+    condition = [],
+    category = [],
+    subCategory = [],
+    brand = [],
+    tags = [],
+    createdFrom,
+    createdTo,
+    near,
+    radius = DEFAULT_SEARCH_RADIUS_KM,
   } = options;
 
+  // Relevance only makes sense with a text query, distance with a location
+  let { sort = query ? 'relevance' : (near ? 'distance' : 'newest') } = options;
+  if ((sort === 'relevance' && !query) || (sort === 'distance' && !near)) {
+    sort = 'newest';
+  }
+
   const filter = {
     status: 'active',
   };
@@ -172,18 +444,88 @@ listingSchema.statics.search = async function (query, options = {}) {
     filter.$text = { $search: query };
   }
 
+  const priceFilter = this.buildPriceFilter({ minPrice, maxPrice, sort });
+  if (priceFilter) {
+    filter.price = priceFilter;
+  }
+
+  if (condition.length > 0) filter.condition = { $in: condition };
+  if (category.length > 0) filter['specifications.category'] = { $in: category };
+  if (subCategory.length > 0) filter['specifications.subCategory'] = { $in: subCategory };
+  if (brand.length > 0) filter['specifications.brand'] = { $in: brand };
+  if (tags.length > 0) filter.marketplace_tags = { $all: tags };
+
+  if (createdFrom || createdTo) {
+    filter.created_at = {};
+    if (createdFrom) filter.created_at.$gte = createdFrom;
+    if (createdTo) filter.created_at.$lte = createdTo;
+  }
+
+  // $geoWithin rather than $geoNear so radius search composes with $text
+  if (near) {
+    filter.location = withinRadius(near, Math.min(radius, MAX_SEARCH_RADIUS_KM));
+  }
+
   const skip = (page - 1) * limit;
 
-  const listings = await this.find(filter)
-    .sort({ created_at: -1 })
-    .skip(skip)
-    .limit(limit)
-    .populate('user_id', 'name email avatar_url');
+  const pipeline = [{ $match: filter }];
+  if (query) {
+    pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+  }
+
+  const sortStage = {
+    relevance: { score: -1, created_at: -1 },
+    distance: { distance_km: 1, created_at: -1 },
+  }[sort] || LISTING_SORTS[sort] || LISTING_SORTS.newest;
+
+  // Only the returned page needs a distance, except when ordering by it
+  const distanceStage = near
+    ? { $addFields: { distance_km: { $round: [distanceExpression(near), 2] } } }
+    : null;
+
+  const facetStages = {};
+  Object.entries(SEARCH_FACETS).forEach(([name, field]) => {
+    facetStages[name] = [
+      { $match: { [field.slice(1)]: { $nin: [null, ''] } } },
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_LIMIT },
+    ];
+  });
+  facetStages.tags = [
+    { $unwind: '$marketplace_tags' },
+    { $group: { _id: '$marketplace_tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: FACET_LIMIT },
+  ];
+
+  pipeline.push({
+    $facet: {
+      listings: sort === 'distance'
+        ? [distanceStage, { $sort: sortStage }, { $skip: skip }, { $limit: limit }]
+        : [{ $sort: sortStage }, { $skip: skip }, { $limit: limit }, ...(distanceStage ? [distanceStage] : [])],
+      total: [{ $count: 'count' }],
+      ...facetStages,
+    },
+  });
+
+  const [result] = await this.aggregate(pipeline);
+
+  const listings = await this.populate(result.listings, {
+    path: 'user_id',
+    select: 'name email avatar_url',
+  });
+  const total = result.total[0]?.count || 0;
 
-  const total = await this.countDocuments(filter);
+  const facets = {};
+  Object.keys(facetStages).forEach((name) => {
+    facets[name] = result[name].map(({ _id, count }) => ({ value: _id, count }));
+  });
 
   return {
     listings,
+    facets,
+    sort,
     pagination: {
       page,
       limit,
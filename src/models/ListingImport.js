@@ -0,0 +1,77 @@
+import mongoose from 'mongoose';
+
+export const IMPORT_FORMATS = ['csv', 'xlsx'];
+export const IMPORT_ROW_STATUSES = ['created', 'queued', 'failed'];
+
+// Import reports stay downloadable for this long
+const IMPORT_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+/**
+ * Outcome of a bulk listing import, one result per spreadsheet row.
+ * Rows are numbered as in the file, so the header is row 1.
+ */
+const listingImportSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true,
+  },
+  filename: {
+    type: String,
+    default: '',
+  },
+  format: {
+    type: String,
+    enum: IMPORT_FORMATS,
+    required: true,
+  },
+  enrich: {
+    type: Boolean,
+    default: false,
+  },
+  totals: {
+    rows: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    queued: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+  results: [{
+    _id: false,
+    row: Number,
+    status: {
+      type: String,
+      enum: IMPORT_ROW_STATUSES,
+    },
+    title: String,
+    model_number: String,
+    listing_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Listing',
+      default: null,
+    },
+    job_id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AIJob',
+      default: null,
+    },
+    // Validation and processing errors, [{ field, msg }]
+    issues: [{
+      _id: false,
+      field: String,
+      msg: String,
+    }],
+  }],
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+listingImportSchema.index({ created_at: 1 }, { expireAfterSeconds: IMPORT_RETENTION_SECONDS });
+
+const ListingImport = mongoose.model('ListingImport', listingImportSchema);
+
+export default ListingImport;
@@ -0,0 +1,134 @@
+import mongoose from 'mongoose';
+import { sameValue } from '../services/diff.js';
+
+export const REVISION_SOURCES = ['human', 'ai', 'system'];
+export const REVISION_ACTIONS = ['create', 'update', 'sold', 'delete', 'restore', 'publish', 'expire', 'renew', 'reserve'];
+
+// Listing fields kept in each revision
+export const REVISION_FIELDS = [
+  'title', 'description', 'model_number', 'additional_details',
+  'photo_url', 'additional_photos', 'key_features', 'specifications',
+  'seo_keywords', 'marketplace_tags', 'seo_description', 'quick_summary',
+  'condition', 'price', 'currency', 'ai_suggested_price',
+  'location', 'suburb', 'postcode', 'status', 'publish_at', 'expires_at',
+  'reserved_for', 'sold_to',
+];
+
+// Fields a restore brings back; the lifecycle only changes through its own routes
+const LIFECYCLE_FIELDS = ['status', 'publish_at', 'expires_at', 'reserved_for', 'sold_to'];
+export const RESTORABLE_FIELDS = REVISION_FIELDS.filter(field => !LIFECYCLE_FIELDS.includes(field));
+
+/**
+ * A saved state of a listing. Each revision keeps a full snapshot of the
+ * tracked fields, so any two can be compared and any one restored.
+ */
+const listingRevisionSchema = new mongoose.Schema({
+  listing_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+  },
+  // 1 for the first recorded state of a listing
+  version: {
+    type: Number,
+    required: true,
+  },
+  // Who made the change; null for system changes
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  source: {
+    type: String,
+    enum: REVISION_SOURCES,
+    required: true,
+  },
+  action: {
+    type: String,
+    enum: REVISION_ACTIONS,
+    required: true,
+  },
+  changed_fields: [String],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  // Version brought back by a restore
+  restored_from: {
+    type: Number,
+    default: null,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+  minimize: false,
+});
+
+listingRevisionSchema.index({ listing_id: 1, version: -1 }, { unique: true });
+
+/**
+ * Plain copy of a listing's tracked fields
+ */
+listingRevisionSchema.statics.snapshot = function (listing) {
+  const data = listing.toObject();
+  return JSON.parse(JSON.stringify(
+    Object.fromEntries(REVISION_FIELDS.map(field => [field, data[field] ?? null]))
+  ));
+};
+
+/**
+ * Record the listing's current state as its next revision. `before` is
+ * the snapshot taken before the change, or null for a new listing.
+ * Returns null when no tracked field changed.
+ */
+listingRevisionSchema.statics.record = async function (listing, {
+  before = null,
+  userId = null,
+  source = 'human',
+  action = 'update',
+  restoredFrom = null,
+} = {}) {
+  const snapshot = this.snapshot(listing);
+  const changedFields = REVISION_FIELDS.filter(field => (before
+    ? !sameValue(before[field], snapshot[field])
+    : snapshot[field] !== null));
+
+  if (before && changedFields.length === 0) {
+    return null;
+  }
+
+  const latest = await this.findOne({ listing_id: listing._id }).sort({ version: -1 }).select('version');
+  let version = (latest?.version || 0) + 1;
+
+  // Listings created before revisions were kept get their prior state
+  // as a baseline, so the first change can still be undone
+  if (!latest && before) {
+    await this.create({
+      listing_id: listing._id,
+      version: version++,
+      source: 'system',
+      action: 'create',
+      changed_fields: [],
+      snapshot: before,
+    });
+  }
+
+  return this.create({
+    listing_id: listing._id,
+    version,
+    user_id: userId,
+    source,
+    action: before ? action : 'create',
+    changed_fields: changedFields,
+    snapshot,
+    restored_from: restoredFrom,
+  });
+};
+
+const ListingRevision = mongoose.model('ListingRevision', listingRevisionSchema);
+
+export default ListingRevision;
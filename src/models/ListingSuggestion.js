@@ -0,0 +1,70 @@
+import mongoose from 'mongoose';
+
+export const SUGGESTION_KINDS = ['regenerate', 'rewrite'];
+export const SUGGESTION_STATUSES = ['pending', 'accepted', 'dismissed'];
+
+// Unreviewed suggestions are removed after this long
+export const SUGGESTION_TTL_HOURS = 24;
+
+/**
+ * AI-revised listing sections awaiting the owner's review.
+ * `changes` maps each section to { before, after }.
+ */
+const listingSuggestionSchema = new mongoose.Schema({
+  listing_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+    index: true,
+  },
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  kind: {
+    type: String,
+    enum: SUGGESTION_KINDS,
+    required: true,
+  },
+  instructions: {
+    type: String,
+    default: null,
+  },
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  provider: {
+    type: String,
+    default: null,
+  },
+  prompt_version: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: SUGGESTION_STATUSES,
+    default: 'pending',
+  },
+  accepted_sections: [String],
+  expires_at: {
+    type: Date,
+    default: () => new Date(Date.now() + SUGGESTION_TTL_HOURS * 60 * 60 * 1000),
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+  minimize: false,
+});
+
+// MongoDB removes suggestions once expires_at has passed
+listingSuggestionSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+const ListingSuggestion = mongoose.model('ListingSuggestion', listingSuggestionSchema);
+
+export default ListingSuggestion;
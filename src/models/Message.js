@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const messageSchema = new mongoose.Schema({
+  conversation_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true,
+  },
+  sender_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  recipient_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 2000,
+  },
+  read_at: {
+    type: Date,
+    default: null,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+// Indexes for performance
+messageSchema.index({ conversation_id: 1, created_at: -1 });
+messageSchema.index({ recipient_id: 1, read_at: 1 });
+
+// Static methods
+messageSchema.statics.markConversationRead = function (conversationId, userId) {
+  return this.updateMany(
+    { conversation_id: conversationId, recipient_id: userId, read_at: null },
+    { read_at: new Date() }
+  );
+};
+
+// Unread counts per conversation for a recipient
+messageSchema.statics.unreadCounts = async function (userId, conversationIds = null) {
+  const match = { recipient_id: new mongoose.Types.ObjectId(userId), read_at: null };
+  if (conversationIds) {
+    match.conversation_id = { $in: conversationIds };
+  }
+
+  const counts = await this.aggregate([
+    { $match: match },
+    { $group: { _id: '$conversation_id', count: { $sum: 1 } } },
+  ]);
+
+  return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+};
+
+const Message = mongoose.model('Message', messageSchema);
+
+export default Message;
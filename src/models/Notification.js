@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = [
+  'message.new',
+  'listing.favorited',
+  'listing.price_drop',
+  'listing.sold',
+  'listing.removed',
+  'listing.published',
+  'listing.expiring',
+  'listing.expired',
+  'listing.reserved',
+  'ai.analysis_complete',
+  'moderation.action',
+];
+
+const notificationSchema = new mongoose.Schema({
+  user_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true,
+  },
+  title: {
+    type: String,
+    required: true,
+    maxlength: 200,
+  },
+  body: {
+    type: String,
+    maxlength: 1000,
+    default: '',
+  },
+  // Event payload, e.g. listing_id and old/new price
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {},
+  },
+  read_at: {
+    type: Date,
+    default: null,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+  minimize: false,
+});
+
+// Indexes for performance
+notificationSchema.index({ user_id: 1, created_at: -1 });
+notificationSchema.index({ user_id: 1, read_at: 1 });
+
+// Methods
+notificationSchema.methods.markRead = async function () {
+  if (!this.read_at) {
+    this.read_at = new Date();
+    await this.save();
+  }
+  return this;
+};
+
+// Static methods
+notificationSchema.statics.countUnread = function (userId) {
+  return this.countDocuments({ user_id: userId, read_at: null });
+};
+
+notificationSchema.statics.markAllRead = function (userId) {
+  return this.updateMany(
+    { user_id: userId, read_at: null },
+    { read_at: new Date() }
+  );
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+export default Notification;
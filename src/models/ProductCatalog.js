@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+/**
+ * Local product catalogue: barcode to product identity. Seeded from
+ * past listings' specifications (see productCatalog.service.js).
+ */
+const productCatalogSchema = new mongoose.Schema({
+  // GTIN-14 for EAN/UPC codes, the uppercased value for anything else
+  barcode: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  brand: {
+    type: String,
+    default: '',
+  },
+  model: {
+    type: String,
+    default: '',
+  },
+  model_number: {
+    type: String,
+    default: '',
+  },
+  category: {
+    type: String,
+    default: '',
+  },
+  title: {
+    type: String,
+    default: '',
+  },
+  source: {
+    type: String,
+    enum: ['listings', 'manual'],
+    default: 'listings',
+  },
+  // Listings the entry was seeded from
+  listing_count: {
+    type: Number,
+    default: 0,
+  },
+  last_seen_at: {
+    type: Date,
+    default: Date.now,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+const ProductCatalog = mongoose.model('ProductCatalog', productCatalogSchema);
+
+export default ProductCatalog;
@@ -0,0 +1,84 @@
+import mongoose from 'mongoose';
+
+export const TRANSACTION_STATUSES = ['reserved', 'completed', 'cancelled'];
+
+/**
+ * A sale between a seller and a buyer. Reserving a listing opens a
+ * transaction, marking it sold completes it, and releasing the
+ * reservation cancels it. Sales without a reservation are recorded as
+ * completed straight away; buyer_id is null for sales made off the app.
+ */
+const transactionSchema = new mongoose.Schema({
+  listing_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Listing',
+    required: true,
+  },
+  seller_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  buyer_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null,
+  },
+  // Conversation the buyer was picked from, if any
+  conversation_id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: TRANSACTION_STATUSES,
+    required: true,
+  },
+  // Asking price while reserved, final sale price once completed
+  price: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z]{3}$/,
+    default: 'USD',
+  },
+  reserved_at: {
+    type: Date,
+    default: null,
+  },
+  sold_at: {
+    type: Date,
+    default: null,
+  },
+  cancelled_at: {
+    type: Date,
+    default: null,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false, // We're using created_at instead
+});
+
+// Indexes for performance
+transactionSchema.index({ seller_id: 1, created_at: -1 });
+transactionSchema.index({ buyer_id: 1, created_at: -1 });
+transactionSchema.index({ listing_id: 1, status: 1 });
+
+// Methods
+transactionSchema.methods.isParticipant = function (userId) {
+  return [this.seller_id, this.buyer_id]
+    .some(id => id && (id._id || id).toString() === userId.toString());
+};
+
+const Transaction = mongoose.model('Transaction', transactionSchema);
+
+export default Transaction;
@@ -1,4 +1,45 @@
 import mongoose from 'mongoose';
+import { pointSchema } from './schemas/geo.js';
+import { PLANS, DEFAULT_PLAN } from '../config/plans.js';
+
+export const USER_ROLES = ['user', 'admin'];
+
+// Role and plan from Clerk public metadata, ignoring unknown values
+export const accessFromMetadata = (metadata = {}) => ({
+  ...(USER_ROLES.includes(metadata?.role) && { role: metadata.role }),
+  ...(Object.hasOwn(PLANS, metadata?.plan || '') && { plan: metadata.plan }),
+});
+
+export const PUSH_PLATFORMS = ['ios', 'android', 'web'];
+
+// Max devices kept per user, oldest are dropped first
+const MAX_PUSH_TOKENS = 10;
+
+const pushTokenSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  platform: {
+    type: String,
+    enum: PUSH_PLATFORMS,
+    required: true,
+  },
+  device_name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  created_at: {
+    type: Date,
+    default: Date.now,
+  },
+  last_seen_at: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -31,6 +72,41 @@ const userSchema = new mongoose.Schema({
     unique: true,
     index: true,
   },
+  // Role and plan are mirrored from Clerk public metadata
+  role: {
+    type: String,
+    enum: USER_ROLES,
+    default: 'user',
+  },
+  plan: {
+    type: String,
+    enum: Object.keys(PLANS),
+    default: DEFAULT_PLAN,
+  },
+  // Mirrors the Clerk ban flag, used to detect moderation changes
+  is_banned: {
+    type: Boolean,
+    default: false,
+  },
+  // Default pickup location inherited by new listings
+  pickup_location: {
+    location: {
+      type: pointSchema,
+      default: undefined,
+    },
+    suburb: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    postcode: {
+      type: String,
+      trim: true,
+      maxlength: 10,
+    },
+  },
+  // Expo push tokens, one per device
+  push_tokens: [pushTokenSchema],
   created_at: {
     type: Date,
     default: Date.now,
@@ -41,20 +117,59 @@ const userSchema = new mongoose.Schema({
 
 // Indexes for performance
 userSchema.index({ created_at: -1 });
+userSchema.index({ 'push_tokens.token': 1 });
 
 // Methods
 userSchema.methods.toJSON = function() {
   const userObject = this.toObject();
   // Remove sensitive fields from JSON output
   delete userObject.clerkId;
+  delete userObject.push_tokens;
   return userObject;
 };
 
+userSchema.methods.addPushToken = async function ({ token, platform, device_name: deviceName }) {
+  // A device moving to another account must stop receiving the old one's pushes
+  await this.constructor.updateMany(
+    { _id: { $ne: this._id }, 'push_tokens.token': token },
+    { $pull: { push_tokens: { token } } }
+  );
+
+  const existing = this.push_tokens.find(device => device.token === token);
+  if (existing) {
+    existing.platform = platform;
+    existing.device_name = deviceName || existing.device_name;
+    existing.last_seen_at = new Date();
+  } else {
+    this.push_tokens.push({ token, platform, device_name: deviceName });
+  }
+
+  if (this.push_tokens.length > MAX_PUSH_TOKENS) {
+    this.push_tokens.sort((a, b) => b.last_seen_at - a.last_seen_at);
+    this.push_tokens.splice(MAX_PUSH_TOKENS);
+  }
+
+  return this.save();
+};
+
+userSchema.methods.removePushToken = async function (token) {
+  this.push_tokens = this.push_tokens.filter(device => device.token !== token);
+  return this.save();
+};
+
 // Static methods
 userSchema.statics.findByClerkId = function(clerkId) {
   return this.findOne({ clerkId });
 };
 
+// Drop tokens the push transport reported as no longer valid
+userSchema.statics.prunePushTokens = function (tokens) {
+  return this.updateMany(
+    { 'push_tokens.token': { $in: tokens } },
+    { $pull: { push_tokens: { token: { $in: tokens } } } }
+  );
+};
+
 userSchema.statics.findByEmail = function(email) {
   return this.findOne({ email: email.toLowerCase() });
 };
@@ -79,6 +194,7 @@ userSchema.statics.createFromClerk = async function(clerkUser) {
     email: clerkUser.emailAddresses[0]?.emailAddress,
     auth_provider: authProvider,
     avatar_url: clerkUser.imageUrl,
+    ...accessFromMetadata(clerkUser.publicMetadata),
     created_at: new Date(),
   };
   
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+const EARTH_RADIUS_KM = 6378.1;
+
+// GeoJSON point, coordinates are stored as [longitude, latitude]
+export const pointSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['Point'],
+    default: 'Point',
+  },
+  coordinates: {
+    type: [Number],
+    required: true,
+    validate: {
+      validator: (coords) => coords.length === 2 &&
+        coords[0] >= -180 && coords[0] <= 180 &&
+        coords[1] >= -90 && coords[1] <= 90,
+      message: 'Coordinates must be [longitude, latitude]',
+    },
+  },
+}, { _id: false });
+
+// Convert { lat, lng } input into a GeoJSON point
+export const toPoint = ({ lat, lng } = {}) => {
+  if (lat === undefined || lat === null || lng === undefined || lng === null) {
+    return undefined;
+  }
+  return { type: 'Point', coordinates: [parseFloat(lng), parseFloat(lat)] };
+};
+
+// $geoWithin filter for a radius in kilometres around a point
+export const withinRadius = ({ lat, lng }, radiusKm) => ({
+  $geoWithin: {
+    $centerSphere: [[lng, lat], radiusKm / EARTH_RADIUS_KM],
+  },
+});
+
+// Aggregation expression for the haversine distance in kilometres
+// between a fixed point and a GeoJSON field
+export const distanceExpression = ({ lat, lng }, field = '$location.coordinates') => {
+  const toRadians = (value) => ({ $degreesToRadians: value });
+  const lat1 = (lat * Math.PI) / 180;
+  const lat2 = toRadians({ $arrayElemAt: [field, 1] });
+  const lng2 = toRadians({ $arrayElemAt: [field, 0] });
+  const halfDeltaLat = { $divide: [{ $subtract: [lat2, lat1] }, 2] };
+  const halfDeltaLng = { $divide: [{ $subtract: [lng2, (lng * Math.PI) / 180] }, 2] };
+
+  const a = {
+    $add: [
+      { $pow: [{ $sin: halfDeltaLat }, 2] },
+      {
+        $multiply: [
+          Math.cos(lat1),
+          { $cos: lat2 },
+          { $pow: [{ $sin: halfDeltaLng }, 2] },
+        ],
+      },
+    ],
+  };
+
+  return {
+    $multiply: [2 * EARTH_RADIUS_KM, { $asin: { $sqrt: a } }],
+  };
+};
@@ -0,0 +1,76 @@
+import { Router } from 'express';
+import { query, validationResult } from 'express-validator';
+import { authenticate, requireAdmin } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import aiUsage from '../services/aiUsage.service.js';
+import productCatalog from '../services/productCatalog.service.js';
+
+const router = Router();
+
+// All admin routes require an authenticated admin
+router.use(authenticate, requireAdmin);
+
+// AI usage and estimated cost by day and provider (last 30 days by default)
+router.get(
+  '/ai-usage',
+  [
+    query('from').optional().isISO8601().toDate(),
+    query('to').optional().isISO8601().toDate(),
+    query('provider').optional().trim(),
+    query('user_id').optional().isMongoId(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const summary = await aiUsage.summary({
+      from: req.query.from,
+      to: req.query.to,
+      provider: req.query.provider,
+      userId: req.query.user_id,
+    });
+
+    res.json({
+      success: true,
+      currency: 'USD',
+      ...summary,
+    });
+  })
+);
+
+// Compare prompt versions (A/B results) on reliability, cost and how
+// often the generated listings were published
+router.get(
+  '/ai-prompts',
+  [
+    query('from').optional().isISO8601().toDate(),
+    query('to').optional().isISO8601().toDate(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    res.json({
+      success: true,
+      currency: 'USD',
+      versions: await aiUsage.promptComparison({ from: req.query.from, to: req.query.to }),
+    });
+  })
+);
+
+// Rebuild the product catalogue from barcodes in listings' specifications
+router.post(
+  '/catalog/seed',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      ...await productCatalog.seedFromListings(),
+    });
+  })
+);
+
+export default router;
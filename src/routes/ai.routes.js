@@ -1,22 +1,64 @@
 import { Router } from 'express';
-import { body, validationResult } from 'express-validator';
-import { authenticate } from '../middleware/auth.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { body, param, query, validationResult } from 'express-validator';
+import { authenticate, requireOwnership } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import { enforceAIQuota } from '../middleware/aiQuota.js';
 import { uploadListingImages } from '../config/cloudinary.js';
 import aiService from '../services/ai.service.js';
+import aiQueue from '../services/aiQueue.service.js';
+import AIJob from '../models/AIJob.js';
+import ListingSuggestion from '../models/ListingSuggestion.js';
+import aiUsage from '../services/aiUsage.service.js';
+import { listPromptOptions } from '../services/ai/prompts/index.js';
+import { LISTING_SECTION_SCHEMAS } from '../services/ai/listingSchema.js';
+import { normalizeBarcode } from '../services/catalog/barcode.js';
+import { diffValues, sameValue } from '../services/diff.js';
 
 const router = Router();
 
 // All AI routes require authentication
 router.use(authenticate);
 
+const promptOptions = listPromptOptions();
+
+// Optional prompt selection, see GET /api/ai/prompts
+const validatePrompt = [
+  body('promptVersion').optional().isIn(promptOptions.versions.map(({ version }) => version)),
+  body('locale').optional().isIn(promptOptions.locales),
+  body('tone').optional().isIn(promptOptions.tones),
+  body('category').optional().isIn(promptOptions.categories),
+];
+
+const promptSelection = (req) => ({
+  version: req.body.promptVersion,
+  locale: req.body.locale,
+  tone: req.body.tone,
+  category: req.body.category,
+});
+
+// Optional barcode, resolved through the product catalogue when no model
+// number is given
+const validateBarcode = body('barcode')
+  .optional()
+  .trim()
+  .custom(value => normalizeBarcode(value) !== null)
+  .withMessage('Invalid barcode');
+
+// Skip the analysis cache with bypassCache=true or Cache-Control: no-cache
+const wantsFreshAnalysis = (req) =>
+  req.body.bypassCache === true || /no-cache/i.test(req.get('Cache-Control') || '');
+
 // Analyze product images and generate listing content
 router.post(
   '/analyze-product',
+  enforceAIQuota,
   uploadListingImages.array('images', 5),
   [
     body('modelNumber').optional().trim(),
     body('additionalInfo').optional().trim().isLength({ max: 500 }),
+    body('bypassCache').optional().isBoolean().toBoolean(),
+    validateBarcode,
+    ...validatePrompt,
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -28,10 +70,10 @@ router.post(
     const hasImages = req.files && req.files.length > 0;
     const hasModelNumber = req.body.modelNumber && req.body.modelNumber.trim().length > 0;
 
-    if (!hasImages && !hasModelNumber) {
+    if (!hasImages && !hasModelNumber && !req.body.barcode) {
       return res.status(400).json({
         success: false,
-        message: 'Either images or model number is required',
+        message: 'Either images, model number or barcode is required',
       });
     }
 
@@ -42,119 +84,419 @@ router.post(
     const analysis = await aiService.analyzeProductImages(
       imageUrls,
       req.body.modelNumber,
-      req.body.additionalInfo
+      req.body.additionalInfo,
+      {
+        bypassCache: wantsFreshAnalysis(req),
+        userId: req.user._id,
+        prompt: promptSelection(req),
+        barcode: req.body.barcode,
+      }
     );
 
-    // Build comprehensive description from all AI-generated content
-    const marketplaceContent = analysis.marketplaceContent || {};
-    let fullDescription = '';
-    
-    // Add product description
-    if (marketplaceContent.productDescription) {
-      fullDescription += marketplaceContent.productDescription + '\n\n';
+    // Cache hits don't count towards the quota
+    if (analysis.cache.hit) {
+      await req.releaseAIQuota();
     }
-    
-    // Add key features
-    if (marketplaceContent.keyFeatures && marketplaceContent.keyFeatures.length > 0) {
-      fullDescription += '🔑 KEY FEATURES:\n';
-      marketplaceContent.keyFeatures.forEach(feature => {
-        fullDescription += `• ${feature}\n`;
+
+    res.json({
+      success: true,
+      cached: analysis.cache.hit,
+      listing_data: aiService.buildListingData(analysis, imageUrls, req.body.modelNumber),
+      analysis_details: analysis, // Keep full details for review screen
+    });
+  })
+);
+
+// Streaming variant of analyze-product over Server-Sent Events.
+// Emits `partial` events while the model writes, then `result` with the
+// same payload analyze-product returns, or `error`.
+router.post(
+  '/analyze-product/stream',
+  enforceAIQuota,
+  uploadListingImages.array('images', 5),
+  [
+    body('modelNumber').optional().trim(),
+    body('additionalInfo').optional().trim().isLength({ max: 500 }),
+    body('bypassCache').optional().isBoolean().toBoolean(),
+    validateBarcode,
+    ...validatePrompt,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const hasImages = req.files && req.files.length > 0;
+    const hasModelNumber = req.body.modelNumber && req.body.modelNumber.trim().length > 0;
+
+    if (!hasImages && !hasModelNumber && !req.body.barcode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either images, model number or barcode is required',
       });
-      fullDescription += '\n';
     }
-    
-    // Add comprehensive specifications
-    if (analysis.specifications) {
-      fullDescription += '📊 SPECIFICATIONS:\n';
-      const specs = analysis.specifications;
-      
-      // Core specs
-      if (specs.brand) fullDescription += `Brand: ${specs.brand}\n`;
-      if (specs.model) fullDescription += `Model: ${specs.model}\n`;
-      if (specs.modelNumber) fullDescription += `Model Number: ${specs.modelNumber}\n`;
-      if (specs.category) fullDescription += `Category: ${specs.category}\n`;
-      if (specs.subCategory) fullDescription += `Type: ${specs.subCategory}\n`;
-      
-      // Physical specs
-      if (specs.dimensions) fullDescription += `Dimensions: ${specs.dimensions}\n`;
-      if (specs.weight) fullDescription += `Weight: ${specs.weight}\n`;
-      if (specs.capacity) fullDescription += `Capacity: ${specs.capacity}\n`;
-      if (specs.color) fullDescription += `Color: ${specs.color}\n`;
-      if (specs.material) fullDescription += `Material: ${specs.material}\n`;
-      
-      // Technical specs
-      if (specs.powerSpecs) fullDescription += `Power: ${specs.powerSpecs}\n`;
-      if (specs.connectivity) fullDescription += `Connectivity: ${specs.connectivity}\n`;
-      if (specs.compatibility) fullDescription += `Compatibility: ${specs.compatibility}\n`;
-      
-      // Additional info
-      if (specs.year) fullDescription += `Year: ${specs.year}\n`;
-      if (specs.origin) fullDescription += `Made in: ${specs.origin}\n`;
-      if (specs.certifications) fullDescription += `Certifications: ${specs.certifications}\n`;
-      if (specs.warranty) fullDescription += `Warranty: ${specs.warranty}\n`;
-      
-      // All additional specs from allSpecs object
-      if (specs.allSpecs && typeof specs.allSpecs === 'object') {
-        Object.entries(specs.allSpecs).forEach(([key, value]) => {
-          if (value && typeof value === 'string' && value.trim()) {
-            fullDescription += `${key}: ${value}\n`;
+
+    const imageUrls = hasImages ? req.files.map(file => file.path) : [];
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+
+    // The response closing before it ends means the client went away
+    const disconnect = new AbortController();
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        disconnect.abort();
+      }
+    });
+
+    const sendEvent = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression buffers responses unless flushed
+      res.flush?.();
+    };
+
+    try {
+      const stream = aiService.streamProductAnalysis(
+        imageUrls,
+        req.body.modelNumber,
+        req.body.additionalInfo,
+        {
+          bypassCache: wantsFreshAnalysis(req),
+          userId: req.user._id,
+          prompt: promptSelection(req),
+          barcode: req.body.barcode,
+          signal: disconnect.signal,
+        }
+      );
+
+      for await (const { event, data } of stream) {
+        if (disconnect.signal.aborted) break;
+
+        if (event === 'result') {
+          if (data.cache.hit) {
+            await req.releaseAIQuota();
           }
-        });
+          sendEvent('result', {
+            success: true,
+            cached: data.cache.hit,
+            listing_data: aiService.buildListingData(data, imageUrls, req.body.modelNumber),
+            analysis_details: data,
+          });
+        } else {
+          sendEvent(event, data);
+        }
       }
-      
-      fullDescription += '\n';
+    } catch (error) {
+      // The stream has already answered 200, so give the quota back here
+      await req.releaseAIQuota();
+      sendEvent('error', {
+        success: false,
+        message: error.isOperational ? error.message : 'Failed to analyze product images',
+        ...(error.details && { details: error.details }),
+      });
     }
-    
-    // Add marketplace summary
-    if (marketplaceContent.shortMarketplaceSummary) {
-      fullDescription += '🛒 QUICK SUMMARY:\n' + marketplaceContent.shortMarketplaceSummary + '\n\n';
+
+    res.end();
+  })
+);
+
+// Provider chain health (configured providers and circuit state)
+router.get(
+  '/providers',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      providers: aiService.providerStatus(),
+    });
+  })
+);
+
+// Prompt versions, locales, tones and categories to choose from
+router.get(
+  '/prompts',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      ...promptOptions,
+    });
+  })
+);
+
+// My AI quota for the current day and month
+router.get(
+  '/usage',
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      quota: await aiUsage.getQuota(req.user),
+    });
+  })
+);
+
+const LISTING_SECTIONS = Object.keys(LISTING_SECTION_SCHEMAS);
+
+// Sections revised when the request doesn't name any
+const DEFAULT_SECTIONS = {
+  regenerate: ['title', 'key_features', 'seo_description', 'quick_summary', 'marketplace_tags'],
+  rewrite: ['description'],
+};
+
+const validateSections = body('sections')
+  .optional()
+  .isArray({ min: 1, max: LISTING_SECTIONS.length })
+  .custom(sections => sections.every(section => LISTING_SECTIONS.includes(section)))
+  .withMessage(`sections must be a list of: ${LISTING_SECTIONS.join(', ')}`);
+
+// Plain listing values, so they compare and store cleanly
+const currentValue = (listing, section) => {
+  const value = listing[section];
+  return Array.isArray(value) ? [...value] : value ?? null;
+};
+
+// Suggestion with a diff for each changed section
+const presentSuggestion = (suggestion) => ({
+  _id: suggestion._id,
+  listing_id: suggestion.listing_id,
+  kind: suggestion.kind,
+  instructions: suggestion.instructions,
+  status: suggestion.status,
+  expires_at: suggestion.expires_at,
+  changes: Object.fromEntries(
+    Object.entries(suggestion.changes).map(([section, { before, after }]) => [
+      section,
+      { before, after, changed: !sameValue(before, after), diff: diffValues(before, after) },
+    ])
+  ),
+});
+
+// Shared by regenerate and rewrite: revise the sections and save them as
+// a pending suggestion the owner can accept
+const reviseListing = kind => asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+
+  const listing = req.resource;
+  const sections = [...new Set(req.body.sections || DEFAULT_SECTIONS[kind])];
+  const instructions = kind === 'rewrite' ? req.body.instructions : null;
+
+  const revision = await aiService.reviseListing(listing, {
+    sections,
+    instructions,
+    locale: req.body.locale,
+    userId: req.user._id,
+  });
+
+  const suggestion = await ListingSuggestion.create({
+    listing_id: listing._id,
+    user_id: req.user._id,
+    kind,
+    instructions,
+    changes: Object.fromEntries(sections.map(section => [
+      section,
+      { before: currentValue(listing, section), after: revision.sections[section] },
+    ])),
+    provider: revision.aiProvider,
+    prompt_version: revision.prompt.version,
+  });
+
+  res.status(201).json({
+    success: true,
+    suggestion: presentSuggestion(suggestion),
+  });
+});
+
+// Regenerate selected listing sections from the current data and photos
+router.post(
+  '/listings/:id/regenerate',
+  requireOwnership('Listing'),
+  enforceAIQuota,
+  [
+    validateSections,
+    body('locale').optional().isIn(promptOptions.locales),
+  ],
+  reviseListing('regenerate')
+);
+
+// Rewrite selected listing sections following the seller's instructions
+router.post(
+  '/listings/:id/rewrite',
+  requireOwnership('Listing'),
+  enforceAIQuota,
+  [
+    body('instructions').trim().notEmpty().isLength({ max: 1000 }),
+    validateSections,
+    body('locale').optional().isIn(promptOptions.locales),
+  ],
+  reviseListing('rewrite')
+);
+
+// Apply a suggestion to the listing, optionally only some of its sections.
+// Sections edited since the suggestion was made are rejected with 409
+// unless force is set.
+router.post(
+  '/listings/:id/suggestions/:suggestionId/accept',
+  requireOwnership('Listing'),
+  [
+    param('suggestionId').isMongoId(),
+    validateSections,
+    body('force').optional().isBoolean().toBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
     }
-    
-    // Add Long SEO Description
-    if (marketplaceContent.longSeoDescription) {
-      fullDescription += '🌐 SEO DESCRIPTION:\n' + marketplaceContent.longSeoDescription + '\n\n';
+
+    const listing = req.resource;
+    const suggestion = await ListingSuggestion.findOne({
+      _id: req.params.suggestionId,
+      listing_id: listing._id,
+      status: 'pending',
+    });
+
+    if (!suggestion) {
+      throw new AppError('Suggestion not found or already reviewed', 404);
     }
-    
-    // Add SEO Keywords
-    if (marketplaceContent.seoKeywords) {
-      fullDescription += '🔍 KEYWORDS:\n';
-      
-      if (marketplaceContent.seoKeywords.primary && marketplaceContent.seoKeywords.primary.length > 0) {
-        fullDescription += 'Primary: ' + marketplaceContent.seoKeywords.primary.join(', ') + '\n';
-      }
-      
-      if (marketplaceContent.seoKeywords.secondary && marketplaceContent.seoKeywords.secondary.length > 0) {
-        fullDescription += 'Secondary: ' + marketplaceContent.seoKeywords.secondary.join(', ') + '\n';
-      }
-      
-      if (marketplaceContent.seoKeywords.longTail && marketplaceContent.seoKeywords.longTail.length > 0) {
-        fullDescription += 'Long-tail: ' + marketplaceContent.seoKeywords.longTail.join(', ') + '\n';
-      }
-      
-      fullDescription += '\n';
+
+    const sections = req.body.sections || Object.keys(suggestion.changes);
+    const unknown = sections.filter(section => !Object.hasOwn(suggestion.changes, section));
+    if (unknown.length > 0) {
+      throw new AppError('Sections are not part of this suggestion', 400, { sections: unknown });
     }
-    
-    // Add Marketplace Tags
-    if (marketplaceContent.marketplaceTags && marketplaceContent.marketplaceTags.length > 0) {
-      fullDescription += '🏷️ TAGS:\n' + marketplaceContent.marketplaceTags.join(', ') + '\n\n';
+
+    const conflicts = sections.filter(section =>
+      !sameValue(currentValue(listing, section), suggestion.changes[section].before));
+    if (conflicts.length > 0 && !req.body.force) {
+      throw new AppError('Listing has changed since this suggestion was made', 409, { conflicts });
     }
 
-    // Format response for simplified schema
-    const response = {
-      title: analysis.title,
-      description: fullDescription.trim() || analysis.description,
-      model_number: req.body.modelNumber || analysis.specifications?.modelNumber || '',
-      photo_url: imageUrls.length > 0 ? imageUrls[0] : '', // Main photo (empty if no images)
-      additional_photos: imageUrls.slice(1), // Rest of the photos
-      condition: analysis.condition || 'good',
-    };
+    listing.trackRevision({ userId: req.user._id, source: 'ai' });
+    sections.forEach((section) => {
+      listing[section] = suggestion.changes[section].after;
+    });
+    await listing.save();
+
+    suggestion.status = 'accepted';
+    suggestion.accepted_sections = sections;
+    await suggestion.save();
 
     res.json({
       success: true,
-      listing_data: response,
-      analysis_details: analysis, // Keep full details for review screen
+      listing,
+      accepted_sections: sections,
+    });
+  })
+);
+
+// Queue an analysis and return a job id right away
+router.post(
+  '/jobs',
+  enforceAIQuota,
+  uploadListingImages.array('images', 5),
+  [
+    body('modelNumber').optional().trim(),
+    body('additionalInfo').optional().trim().isLength({ max: 500 }),
+    body('bypassCache').optional().isBoolean().toBoolean(),
+    validateBarcode,
+    ...validatePrompt,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const hasImages = req.files && req.files.length > 0;
+    const hasModelNumber = req.body.modelNumber && req.body.modelNumber.trim().length > 0;
+
+    if (!hasImages && !hasModelNumber && !req.body.barcode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either images, model number or barcode is required',
+      });
+    }
+
+    const job = await aiQueue.enqueue({
+      userId: req.user._id,
+      images: hasImages ? req.files.map(file => file.path) : [],
+      modelNumber: req.body.modelNumber,
+      additionalInfo: req.body.additionalInfo,
+      bypassCache: wantsFreshAnalysis(req),
+      prompt: promptSelection(req),
+      barcode: req.body.barcode,
+      quotaReservedAt: req.aiQuotaReservedAt,
+    });
+
+    res.status(202).json({
+      success: true,
+      job,
+      status_url: `/api/ai/jobs/${job._id}`,
+    });
+  })
+);
+
+// List my recent jobs
+router.get(
+  '/jobs',
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const filter = { user_id: req.user._id };
+
+    const jobs = await AIJob.find(filter)
+      .select('-result')
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await AIJob.countDocuments(filter);
+
+    res.json({
+      success: true,
+      jobs,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  })
+);
+
+// Poll a job for status and result
+router.get(
+  '/jobs/:id',
+  param('id').isMongoId(),
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const job = await AIJob.findOne({ _id: req.params.id, user_id: req.user._id });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      job,
     });
   })
 );
 
-export default router;
\ No newline at end of file
+export default router;
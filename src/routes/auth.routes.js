@@ -1,9 +1,10 @@
 import { Router } from 'express';
-import { body } from 'express-validator';
+import { body, validationResult } from 'express-validator';
 import mongoose from 'mongoose';
 import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import User from '../models/User.js';
+import { toPoint } from '../models/schemas/geo.js';
 
 const router = Router();
 
@@ -28,8 +29,18 @@ router.patch(
   [
     body('name').optional().trim().isLength({ max: 100 }),
     body('avatar_url').optional().isURL(),
+    body('pickup_location').optional({ values: 'null' }).isObject(),
+    body('pickup_location.lat').if(body('pickup_location').exists({ values: 'null' })).isFloat({ min: -90, max: 90 }),
+    body('pickup_location.lng').if(body('pickup_location').exists({ values: 'null' })).isFloat({ min: -180, max: 180 }),
+    body('pickup_location.suburb').optional().trim().isLength({ max: 100 }),
+    body('pickup_location.postcode').optional().trim().isLength({ max: 10 }),
   ],
   asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
     const allowedUpdates = ['name', 'avatar_url'];
 
     const updates = {};
@@ -39,6 +50,17 @@ router.patch(
       }
     });
 
+    if (req.body.pickup_location !== undefined) {
+      const pickup = req.body.pickup_location;
+      updates.pickup_location = pickup
+        ? {
+            location: toPoint(pickup),
+            suburb: pickup.suburb || '',
+            postcode: pickup.postcode || '',
+          }
+        : null;
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user._id,
       updates,
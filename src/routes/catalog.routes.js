@@ -0,0 +1,72 @@
+import { Router } from 'express';
+import { body, validationResult } from 'express-validator';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { uploadScanImage } from '../config/cloudinary.js';
+import productCatalog from '../services/productCatalog.service.js';
+import { normalizeBarcode } from '../services/catalog/barcode.js';
+
+const router = Router();
+
+// All catalogue routes require authentication
+router.use(authenticate);
+
+// Resolve a barcode, typed or in a photo of the box, to a product.
+// `model_number` in the response can be sent as the modelNumber for AI
+// analysis (or send `barcode` there directly).
+router.post(
+  '/lookup',
+  uploadScanImage.single('image'),
+  [
+    body('barcode')
+      .optional()
+      .trim()
+      .custom(value => normalizeBarcode(value) !== null)
+      .withMessage('Invalid barcode'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    if (!req.body.barcode && !req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Either a barcode or an image is required',
+      });
+    }
+
+    const scanned = req.body.barcode
+      ? [{ format: null, value: req.body.barcode }]
+      : await productCatalog.decodeImage(req.file.buffer);
+
+    if (scanned.length === 0) {
+      return res.status(422).json({
+        success: false,
+        message: 'No barcode found in the image',
+      });
+    }
+
+    // Photos can show several codes; use the first one the catalogue knows
+    for (const barcode of scanned) {
+      const product = await productCatalog.lookup(barcode.value);
+      if (product) {
+        return res.json({
+          success: true,
+          barcode,
+          product,
+          model_number: product.identity,
+        });
+      }
+    }
+
+    res.status(404).json({
+      success: false,
+      message: 'Product not found',
+      barcodes: scanned,
+    });
+  })
+);
+
+export default router;
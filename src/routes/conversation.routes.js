@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { body, query, param } from 'express-validator';
+import { authenticate, requireOwnership } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import conversationController from '../controllers/conversation.controller.js';
+
+const router = Router();
+
+// All conversation routes require authentication
+router.use(authenticate);
+
+// My inbox
+router.get(
+  '/',
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  asyncHandler(conversationController.inbox)
+);
+
+router.get(
+  '/:id',
+  param('id').isMongoId(),
+  requireOwnership('Conversation'),
+  asyncHandler(conversationController.getById)
+);
+
+router.get(
+  '/:id/messages',
+  param('id').isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  requireOwnership('Conversation'),
+  asyncHandler(conversationController.getMessages)
+);
+
+router.post(
+  '/:id/messages',
+  param('id').isMongoId(),
+  body('body').trim().notEmpty().isLength({ max: 2000 }),
+  requireOwnership('Conversation'),
+  asyncHandler(conversationController.sendMessage)
+);
+
+router.post(
+  '/:id/read',
+  param('id').isMongoId(),
+  requireOwnership('Conversation'),
+  asyncHandler(conversationController.markRead)
+);
+
+export default router;
@@ -4,6 +4,9 @@ import userRoutes from './user.routes.js';
 import listingRoutes from './listing.routes.js';
 import uploadRoutes from './upload.routes.js';
 import aiRoutes from './ai.routes.js';
+import conversationRoutes from './conversation.routes.js';
+import adminRoutes from './admin.routes.js';
+import catalogRoutes from './catalog.routes.js';
 import { handleClerkWebhook } from '../middleware/clerkWebhook.js';
 
 const router = Router();
@@ -17,6 +20,9 @@ router.use('/users', userRoutes);
 router.use('/listings', listingRoutes);
 router.use('/upload', uploadRoutes);
 router.use('/ai', aiRoutes);
+router.use('/conversations', conversationRoutes);
+router.use('/admin', adminRoutes);
+router.use('/catalog', catalogRoutes);
 
 // API info
 router.get('/', (req, res) => {
@@ -29,6 +35,9 @@ router.get('/', (req, res) => {
       listings: '/api/listings',
       upload: '/api/upload',
       ai: '/api/ai',
+      conversations: '/api/conversations',
+      admin: '/api/admin',
+      catalog: '/api/catalog',
     },
   });
 });
@@ -3,33 +3,79 @@ import { body, query, param } from 'express-validator';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { searchRateLimiter } from '../middleware/rateLimiter.js';
+import { enforceAIQuota } from '../middleware/aiQuota.js';
+import { uploadListingImages, uploadListingImport } from '../config/cloudinary.js';
+import { validateListing, validateLocation } from '../middleware/listingValidation.js';
 import listingController from '../controllers/listing.controller.js';
+import conversationController from '../controllers/conversation.controller.js';
+import favoriteController from '../controllers/favorite.controller.js';
+import { INITIAL_STATUSES, LISTING_CONDITIONS, LISTING_SORTS, LISTING_STATUSES, MAX_SEARCH_RADIUS_KM } from '../models/Listing.js';
+import { listPromptOptions } from '../services/ai/prompts/index.js';
+import { normalizeBarcode } from '../services/catalog/barcode.js';
+import { listExportFormats } from '../services/export/index.js';
 
 const router = Router();
 
-// Validation middleware
-const validateListing = [
-  body('title').trim().notEmpty().isLength({ max: 200 }),
-  body('description').trim().notEmpty().isLength({ max: 10000 }),
-  body('photo_url').optional({ checkFalsy: true }).isURL(),
-  body('model_number').optional().trim().isLength({ max: 100 }),
-  body('additional_details').optional().trim().isLength({ max: 10000}),
-  body('additional_photos').optional().isArray(),
-  body('additional_photos.*').optional().isURL(),
-  body('condition').optional().isIn(['new', 'like-new', 'excellent', 'good', 'fair', 'poor', 'for-parts']),
-  // Custom validation to ensure either photo_url or model_number exists
-  body().custom((value, { req }) => {
-    if (!req.body.photo_url && !req.body.model_number) {
-      throw new Error('Either photo_url or model_number is required');
+const promptOptions = listPromptOptions();
+
+const validatePriceQuery = [
+  query('minPrice').optional().isFloat({ min: 0 }),
+  query('maxPrice').optional().isFloat({ min: 0 }),
+  query('sort').optional().isIn(Object.keys(LISTING_SORTS)),
+];
+
+// Accepts a single value, a comma-separated list or repeated params
+const listQuery = (field, maxItems = 20) =>
+  query(field).optional().custom((value) => {
+    const values = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+    if (values.length > maxItems) {
+      throw new Error(`${field} accepts at most ${maxItems} values`);
+    }
+    if (values.some(item => item.length > 100)) {
+      throw new Error(`${field} values must be at most 100 characters`);
     }
     return true;
-  }),
-];
+  });
 
 const validateSearch = [
   query('q').optional().trim(),
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('minPrice').optional().isFloat({ min: 0 }),
+  query('maxPrice').optional().isFloat({ min: 0 }),
+  query('sort').optional().isIn(['relevance', 'distance', ...Object.keys(LISTING_SORTS)]),
+  listQuery('condition').custom((value) => {
+    const values = (Array.isArray(value) ? value : String(value).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+    if (!values.every(item => LISTING_CONDITIONS.includes(item))) {
+      throw new Error(`condition must be one of ${LISTING_CONDITIONS.join(', ')}`);
+    }
+    return true;
+  }),
+  listQuery('category'),
+  listQuery('subCategory'),
+  listQuery('brand'),
+  listQuery('tags'),
+  query('createdFrom').optional().isISO8601(),
+  query('createdTo').optional().isISO8601(),
+  query('lat').optional().isFloat({ min: -90, max: 90 }),
+  query('lng').optional().isFloat({ min: -180, max: 180 }),
+  query('radius').optional().isFloat({ gt: 0, max: MAX_SEARCH_RADIUS_KM }),
+  query().custom((value, { req }) => {
+    if ((req.query.lat === undefined) !== (req.query.lng === undefined)) {
+      throw new Error('lat and lng must be provided together');
+    }
+    return true;
+  }),
+];
+
+// Marketplace export format, see listExportFormats
+const validateExport = [
+  query('format').isIn(listExportFormats().map(({ name }) => name)),
+  query('category_id').optional().trim().isInt({ min: 1 }),
 ];
 
 // Public routes (no auth required)
@@ -44,6 +90,7 @@ router.get(
   '/',
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
+  validatePriceQuery,
   asyncHandler(listingController.getAll)
 );
 
@@ -62,6 +109,14 @@ router.get(
   asyncHandler(listingController.getByUser)
 );
 
+router.get(
+  '/user/:userId/feed',
+  param('userId').isMongoId(),
+  validateExport,
+  query('report').optional().isBoolean(),
+  asyncHandler(listingController.getFeed)
+);
+
 // Protected routes (require authentication)
 router.use(authenticate);
 
@@ -73,7 +128,26 @@ router.post(
 
 router.post(
   '/create-with-ai',
-  validateListing,
+  enforceAIQuota,
+  uploadListingImages.array('images', 5),
+  [
+    body('model_number').optional().trim().isLength({ max: 100 }),
+    body('additional_details').optional().trim().isLength({ max: 500 }),
+    body('condition').optional().isIn(['new', 'like-new', 'excellent', 'good', 'fair', 'poor', 'for-parts']),
+    body('price').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
+    body('currency').optional().trim().toUpperCase().isISO4217(),
+    body('bypass_cache').optional().isBoolean().toBoolean(),
+    body('barcode')
+      .optional()
+      .trim()
+      .custom(value => normalizeBarcode(value) !== null)
+      .withMessage('Invalid barcode'),
+    body('prompt_version').optional().isIn(promptOptions.versions.map(({ version }) => version)),
+    body('locale').optional().isIn(promptOptions.locales),
+    body('tone').optional().isIn(promptOptions.tones),
+    body('category').optional().isIn(promptOptions.categories),
+    ...validateLocation,
+  ],
   asyncHandler(listingController.createWithAI)
 );
 
@@ -87,30 +161,142 @@ router.put(
 router.patch(
   '/:id/status',
   param('id').isMongoId(),
-  body('status').isIn(['active', 'sold', 'draft']),
+  // Reserving and selling record a buyer, see /:id/reserve and /:id/mark-sold
+  body('status').isIn(INITIAL_STATUSES),
+  body('publish_at')
+    .if(body('status').equals('scheduled'))
+    .isISO8601()
+    .withMessage('publish_at is required to schedule a listing')
+    .toDate(),
   asyncHandler(async (req, res) => {
-    req.body = { status: req.body.status };
+    req.body = { status: req.body.status, publish_at: req.body.publish_at };
     return listingController.update(req, res);
   })
 );
 
+router.post(
+  '/:id/renew',
+  param('id').isMongoId(),
+  asyncHandler(listingController.renew)
+);
+
 router.delete(
   '/:id',
   param('id').isMongoId(),
   asyncHandler(listingController.delete)
 );
 
+router.post(
+  '/:id/conversations',
+  param('id').isMongoId(),
+  body('message').optional().trim().isLength({ min: 1, max: 2000 }),
+  asyncHandler(conversationController.start)
+);
+
+router.post(
+  '/:id/favorite',
+  param('id').isMongoId(),
+  asyncHandler(favoriteController.add)
+);
+
+router.delete(
+  '/:id/favorite',
+  param('id').isMongoId(),
+  asyncHandler(favoriteController.remove)
+);
+
 router.post(
   '/:id/mark-sold',
   param('id').isMongoId(),
+  body('buyer_id').optional().isMongoId(),
+  body('conversation_id').optional().isMongoId(),
+  body('price').optional({ values: 'null' }).isFloat({ min: 0 }).toFloat(),
   asyncHandler(listingController.markSold)
 );
 
+router.post(
+  '/:id/reserve',
+  param('id').isMongoId(),
+  body('buyer_id').optional().isMongoId(),
+  body('conversation_id').optional().isMongoId(),
+  body().custom((value, { req }) => {
+    if (!req.body.buyer_id && !req.body.conversation_id) {
+      throw new Error('Either buyer_id or conversation_id is required');
+    }
+    return true;
+  }),
+  asyncHandler(listingController.reserve)
+);
+
+router.post(
+  '/:id/release',
+  param('id').isMongoId(),
+  asyncHandler(listingController.release)
+);
+
+router.get(
+  '/:id/export',
+  param('id').isMongoId(),
+  validateExport,
+  asyncHandler(listingController.export)
+);
+
+router.get(
+  '/:id/revisions',
+  param('id').isMongoId(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  asyncHandler(listingController.getRevisions)
+);
+
+router.get(
+  '/:id/revisions/diff',
+  param('id').isMongoId(),
+  query('from').isInt({ min: 1 }),
+  query('to').isInt({ min: 1 }),
+  asyncHandler(listingController.diffRevisions)
+);
+
+router.get(
+  '/:id/revisions/:version',
+  param('id').isMongoId(),
+  param('version').isInt({ min: 1 }),
+  asyncHandler(listingController.getRevision)
+);
+
+router.post(
+  '/:id/revisions/:version/restore',
+  param('id').isMongoId(),
+  param('version').isInt({ min: 1 }),
+  asyncHandler(listingController.restoreRevision)
+);
+
+router.post(
+  '/import',
+  uploadListingImport.single('file'),
+  body('enrich').optional().isBoolean().toBoolean(),
+  body('currency').optional().trim().toUpperCase().isISO4217(),
+  validateLocation,
+  asyncHandler(listingController.import)
+);
+
+router.get(
+  '/my/imports',
+  asyncHandler(listingController.getMyImports)
+);
+
+router.get(
+  '/my/imports/:importId',
+  param('importId').isMongoId(),
+  query('format').optional().isIn(['json', 'csv']),
+  asyncHandler(listingController.getImport)
+);
+
 router.get(
   '/my/listings',
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 50 }),
-  query('status').optional().isIn(['active', 'sold', 'draft', 'all']),
+  query('status').optional().isIn([...LISTING_STATUSES.filter(status => status !== 'deleted'), 'all']),
   asyncHandler(listingController.getMyListings)
 );
 
@@ -1,13 +1,115 @@
 import { Router } from 'express';
-import { param, query } from 'express-validator';
+import { body, param, query, validationResult } from 'express-validator';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import { uploadProfileImage } from '../config/cloudinary.js';
-import User from '../models/User.js';
+import User, { PUSH_PLATFORMS } from '../models/User.js';
 import Listing from '../models/Listing.js';
+import favoriteController from '../controllers/favorite.controller.js';
+import notificationController from '../controllers/notification.controller.js';
+import transactionController from '../controllers/transaction.controller.js';
+import { NOTIFICATION_TYPES } from '../models/Notification.js';
+import { TRANSACTION_STATUSES } from '../models/Transaction.js';
 
 const router = Router();
 
+// Get my saved listings
+router.get(
+  '/me/favorites',
+  authenticate,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  asyncHandler(favoriteController.getMine)
+);
+
+// Notification center
+router.get(
+  '/me/notifications',
+  authenticate,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('unread').optional().isBoolean(),
+  query('type').optional().isIn(NOTIFICATION_TYPES),
+  asyncHandler(notificationController.getMine)
+);
+
+router.get(
+  '/me/notifications/unread-count',
+  authenticate,
+  asyncHandler(notificationController.unreadCount)
+);
+
+router.post(
+  '/me/notifications/read-all',
+  authenticate,
+  asyncHandler(notificationController.markAllRead)
+);
+
+router.patch(
+  '/me/notifications/:id/read',
+  authenticate,
+  param('id').isMongoId(),
+  asyncHandler(notificationController.markRead)
+);
+
+// My purchases and sales
+router.get(
+  '/me/transactions',
+  authenticate,
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 50 }),
+  query('role').optional().isIn(['buyer', 'seller', 'all']),
+  query('status').optional().isIn(TRANSACTION_STATUSES),
+  asyncHandler(transactionController.getMine)
+);
+
+router.get(
+  '/me/transactions/:id',
+  authenticate,
+  param('id').isMongoId(),
+  asyncHandler(transactionController.getById)
+);
+
+// Register a device for push notifications
+router.post(
+  '/me/push-tokens',
+  authenticate,
+  [
+    body('token').trim().matches(/^Expo(nent)?PushToken\[.+\]$/).withMessage('Invalid Expo push token'),
+    body('platform').isIn(PUSH_PLATFORMS),
+    body('device_name').optional().trim().isLength({ max: 100 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+    await user.addPushToken(req.body);
+
+    res.status(201).json({
+      success: true,
+      devices: user.push_tokens,
+    });
+  })
+);
+
+// Unregister a device (e.g. on logout)
+router.delete(
+  '/me/push-tokens/:token',
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user._id);
+    await user.removePushToken(req.params.token);
+
+    res.json({
+      success: true,
+      devices: user.push_tokens,
+    });
+  })
+);
+
 // Get user by ID (public profile)
 router.get(
   '/:id',
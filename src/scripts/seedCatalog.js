@@ -0,0 +1,19 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import { connectDB } from '../config/database.js';
+import productCatalog from '../services/productCatalog.service.js';
+
+dotenv.config();
+
+// Seed the product catalogue from past listings: npm run seed:catalog
+await connectDB();
+
+try {
+  const result = await productCatalog.seedFromListings();
+  console.log(`✅ Scanned ${result.scanned} listings, ${result.barcodes} barcodes, ${result.upserted} catalogue entries written`);
+} catch (error) {
+  console.error('Catalogue seed failed:', error);
+  process.exitCode = 1;
+} finally {
+  await mongoose.connection.close();
+}
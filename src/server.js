@@ -9,6 +9,9 @@ import { connectDB } from './config/database.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { rateLimiter } from './middleware/rateLimiter.js';
 import routes from './routes/index.js';
+import realtime from './services/realtime.service.js';
+import aiQueue from './services/aiQueue.service.js';
+import listingLifecycle from './services/listingLifecycle.service.js';
 
 // Load environment variables
 dotenv.config();
@@ -114,10 +117,26 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
 });
 
+// Real-time delivery of messages and listing status changes
+realtime.attach(server);
+
+// Background AI analysis worker (disable on API-only instances)
+if (process.env.AI_WORKER_ENABLED !== 'false') {
+  aiQueue.start();
+}
+
+// Scheduled publishing, expiry and expiry notices (run on at least one instance)
+if (process.env.LISTING_SWEEPER_ENABLED !== 'false') {
+  listingLifecycle.start();
+}
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err) => {
   console.error('UNHANDLED REJECTION! 💥 Shutting down...');
   console.error(err);
+  realtime.close();
+  aiQueue.stop();
+  listingLifecycle.stop();
   server.close(() => {
     process.exit(1);
   });
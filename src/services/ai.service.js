@@ -1,365 +1,973 @@
-import { GoogleGenerativeAI } from '@google/generative-ai';
-import OpenAI from 'openai';
 import { AppError } from '../middleware/errorHandler.js';
+import { CircuitBreaker } from './ai/circuitBreaker.js';
+import { createProviderChain } from './ai/providers/index.js';
+import aiCache from './aiCache.service.js';
+import aiUsage from './aiUsage.service.js';
+import { LISTING_CONDITIONS, DEFAULT_PLACEHOLDER_IMAGE } from '../models/Listing.js';
+import {
+  LISTING_OUTPUT_SCHEMA,
+  buildSectionSchema,
+  normaliseListingOutput,
+  validateListingOutput,
+  validateSections,
+  validateTextExtraction,
+  TEXT_EXTRACTION_SCHEMA,
+} from './ai/listingSchema.js';
+import { resolvePrompt, renderPrompt } from './ai/prompts/index.js';
+import { buildRevisionPrompt, REVISION_PROMPT_VERSION } from './ai/prompts/revision.js';
+import { buildOcrPrompt, OCR_PROMPT_VERSION } from './ai/prompts/ocr.js';
+import { fetchImages } from './ai/images.js';
+import { recognizeText, readBarcodes, findModelNumbers, recycleOcr } from './ai/ocr.js';
+import productCatalog from './productCatalog.service.js';
 
-// Initialize AI clients
-const genAI = process.env.GOOGLE_AI_API_KEY ? new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY) : null;
-const openai = process.env.OPENAI_API_KEY ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY }) : null;
+// Bump whenever the output schema changes so cached analyses from the
+// old schema are no longer served (prompt versions are keyed separately)
+const SCHEMA_VERSION = 'schema-1';
+
+const DEFAULT_PROVIDER_TIMEOUT_MS = parseInt(process.env.AI_PROVIDER_TIMEOUT_MS) || 60 * 1000;
+// Longest wait between two chunks of a stream once it has started
+const DEFAULT_STREAM_IDLE_TIMEOUT_MS = parseInt(process.env.AI_STREAM_IDLE_TIMEOUT_MS) || 30 * 1000;
+
+// local (tesseract.js + zxing-wasm), vision (the provider chain) or off
+const OCR_MODES = ['local', 'vision', 'off'];
+const DEFAULT_OCR_MODE = OCR_MODES.includes(process.env.AI_OCR) ? process.env.AI_OCR : 'local';
+// Requests that wait for the analysis don't run local OCR in the API
+// process unless AI_OCR_SYNC asks for it; queued jobs use AI_OCR
+const syncOcrMode = mode => (mode === 'local' ? 'off' : mode);
+const DEFAULT_SYNC_OCR_MODE = OCR_MODES.includes(process.env.AI_OCR_SYNC)
+  ? process.env.AI_OCR_SYNC
+  : syncOcrMode(DEFAULT_OCR_MODE);
+const OCR_TIMEOUT_MS = parseInt(process.env.AI_OCR_TIMEOUT_MS) || 20 * 1000;
+
+// Reject if the call takes longer than the provider's timeout, or as soon
+// as `signal` aborts
+const withTimeout = (promise, timeoutMs, providerName, signal = null) => {
+  let timer;
+  let onAbort;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`${providerName} timed out after ${timeoutMs}ms`)),
+      timeoutMs
+    );
+    onAbort = () => reject(new Error(`${providerName} request aborted`));
+    if (signal?.aborted) {
+      onAbort();
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+  return Promise.race([promise, timeout]).finally(() => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  });
+};
+
+// Stop a provider stream that is no longer read: abort its upstream
+// request and close the generator. Not awaited, a stalled generator only
+// closes once its pending chunk settles.
+const abandonStream = (iterator, controller) => {
+  controller.abort();
+  iterator?.return?.()?.catch(() => {});
+};
 
 class AIService {
-  constructor() {
-    this.geminiModel = genAI ? genAI.getGenerativeModel({ model: 'gemini-2.5-flash' }) : null;
-    this.preferredProvider = process.env.AI_PROVIDER || 'gemini'; // 'gemini' or 'openai'
+  /**
+   * @param {Object} [options]
+   * @param {Array} [options.providers] - Ordered providers implementing the
+   *   interface described in ./ai/providers/index.js. Defaults to the chain
+   *   named by AI_PROVIDERS.
+   * @param {number} [options.timeoutMs] - Default per-provider timeout
+   * @param {number} [options.streamIdleTimeoutMs] - Longest wait between
+   *   stream chunks
+   * @param {Object} [options.circuitBreaker] - CircuitBreaker options
+   * @param {Object|null} [options.cache] - Analysis cache, null to disable
+   * @param {Object|null} [options.usage] - Usage meter, null to disable
+   * @param {Object|null} [options.catalog] - Barcode catalogue, null to disable
+   * @param {string} [options.ocrMode] - How label text is read from photos
+   *   in queued jobs (local, vision or off). Defaults to AI_OCR.
+   * @param {string} [options.syncOcrMode] - The same for requests waiting
+   *   on the analysis. Defaults to AI_OCR_SYNC.
+   */
+  constructor(options = {}) {
+    this.cache = options.cache === undefined ? aiCache : options.cache;
+    this.usage = options.usage === undefined ? aiUsage : options.usage;
+    this.catalog = options.catalog === undefined ? productCatalog : options.catalog;
+    this.timeoutMs = options.timeoutMs || DEFAULT_PROVIDER_TIMEOUT_MS;
+    this.streamIdleTimeoutMs = options.streamIdleTimeoutMs || DEFAULT_STREAM_IDLE_TIMEOUT_MS;
+    this.ocrMode = options.ocrMode || DEFAULT_OCR_MODE;
+    this.syncOcrMode = options.syncOcrMode
+      || (options.ocrMode ? syncOcrMode(options.ocrMode) : DEFAULT_SYNC_OCR_MODE);
+    this.providers = options.providers || createProviderChain();
+    this.breakers = new Map(this.providers.map(provider => [
+      provider.name,
+      new CircuitBreaker(options.circuitBreaker),
+    ]));
+  }
+
+  /**
+   * Build the provider request for a product analysis
+   */
+  buildRequest(images, modelNumber, additionalInfo, selection = resolvePrompt()) {
+    return {
+      prompt: this.buildPrompt(modelNumber, additionalInfo, selection),
+      images: images || [],
+      responseSchema: LISTING_OUTPUT_SCHEMA,
+      context: { modelNumber, additionalInfo },
+    };
+  }
+
+  /**
+   * Providers that are configured and whose circuit isn't open, in order
+   */
+  availableProviders() {
+    return this.providers.filter(provider =>
+      provider.isConfigured() && this.breakers.get(provider.name).isAvailable()
+    );
   }
 
   /**
-   * Analyze product images and generate listing details
+   * Report a failed provider call to its circuit breaker. Output that
+   * failed validation still means the provider answered, so it counts
+   * towards availability rather than against it.
    */
-  async analyzeProductImages(images, modelNumber = null, additionalInfo = null) {
+  recordProviderError(provider, error) {
+    const breaker = this.breakers.get(provider.name);
+    if (error.invalidOutput) {
+      breaker.recordSuccess();
+    } else {
+      breaker.recordFailure();
+    }
+  }
+
+  /**
+   * Health of every provider in the chain
+   */
+  providerStatus() {
+    return this.providers.map(provider => ({
+      name: provider.name,
+      configured: provider.isConfigured(),
+      circuit: this.breakers.get(provider.name).toJSON(),
+    }));
+  }
+
+  /**
+   * Record a provider call (or cache hit) for quotas and cost reporting
+   */
+  async recordUsage(provider, details) {
+    if (!this.usage) {
+      return;
+    }
+    await this.usage.record({
+      provider: provider.name,
+      model: provider.model || null,
+      ...details,
+    });
+  }
+
+  /**
+   * Call a provider under its timeout, recording usage either way
+   */
+  async callProvider(provider, request, { operation, userId, promptVersion }) {
+    const started = Date.now();
+    // Cancels the request itself once the timeout gives up on it
+    const controller = new AbortController();
+    const call = { ...request, signal: controller.signal };
+
     try {
-      // Validate that we have either images or model number
-      if ((!images || images.length === 0) && !modelNumber) {
-        throw new AppError('Either images or model number is required', 400);
+      const result = await withTimeout(
+        call.images.length > 0 ? provider.analyzeImages(call) : provider.analyzeText(call),
+        provider.timeoutMs || this.timeoutMs,
+        provider.name
+      ).catch((error) => {
+        controller.abort();
+        throw error;
+      });
+      await this.recordUsage(provider, {
+        userId,
+        operation,
+        promptVersion,
+        usage: result.usage,
+        latencyMs: Date.now() - started,
+        success: true,
+      });
+      return result;
+    } catch (error) {
+      await this.recordUsage(provider, {
+        userId,
+        operation,
+        promptVersion,
+        latencyMs: Date.now() - started,
+        success: false,
+        error: error.message,
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Run `attempt(provider, failures)` against each available provider in
+   * order until one succeeds. Throws a 500 listing every provider's error
+   * (`message` describes the operation) when they all fail.
+   */
+  async withFailover(attempt, message) {
+    const providers = this.availableProviders();
+    if (providers.length === 0) {
+      throw new AppError('AI service not configured', 503);
+    }
+
+    const failures = [];
+    let attempted = 0;
+    for (const provider of providers) {
+      const breaker = this.breakers.get(provider.name);
+      // Another request may have taken a half-open circuit's trial call
+      if (!breaker.canRequest()) {
+        continue;
       }
-      if (this.preferredProvider === 'gemini' && this.geminiModel) {
-        return await this.analyzeWithGemini(images, modelNumber, additionalInfo);
-      } else if (this.preferredProvider === 'openai' && openai) {
-        return await this.analyzeWithGPT4(images, modelNumber, additionalInfo);
-      } else {
-        throw new AppError('AI service not configured', 500);
+      attempted++;
+      try {
+        const result = await attempt(provider, failures);
+        breaker.recordSuccess();
+        return result;
+      } catch (error) {
+        this.recordProviderError(provider, error);
+        failures.push({
+          provider: provider.name,
+          error: error.message,
+          ...(error.details && error.details),
+        });
+        console.error(`AI error (${provider.name}):`, error);
       }
+    }
+
+    if (attempted === 0) {
+      throw new AppError('AI service not configured', 503);
+    }
+
+    throw new AppError(message, 500, { providers: failures });
+  }
+
+  /**
+   * Look up a request in the analysis cache.
+   * Returns { entry, analysis } where analysis is set on a hit and entry
+   * is what a fresh analysis should be stored under.
+   */
+  async checkCache(images, modelNumber, additionalInfo, selection, bypassCache = false) {
+    if (!this.cache?.enabled) {
+      return { entry: null, analysis: null };
+    }
+
+    const promptVersion = `${selection.key}:${SCHEMA_VERSION}`;
+    try {
+      const entry = {
+        ...await this.cache.buildKey({ images, modelNumber, additionalInfo, promptVersion }),
+        promptVersion,
+      };
+      const cached = bypassCache ? null : await this.cache.get(entry.key);
+
+      return {
+        entry,
+        analysis: cached && {
+          ...cached.analysis,
+          prompt: this.describePrompt(selection),
+          cache: { hit: true, key: entry.key, cached_at: cached.created_at },
+        },
+      };
     } catch (error) {
-      console.error('AI analysis error:', error);
-      throw new AppError('Failed to analyze product images', 500);
+      // e.g. an image couldn't be fetched for hashing; analyze uncached
+      console.error('AI cache lookup error:', error.message);
+      return { entry: null, analysis: null };
     }
   }
 
   /**
-   * Analyze with Google Gemini
+   * The prompt selection as recorded on analysis results
    */
-  async analyzeWithGemini(images, modelNumber, additionalInfo) {
-    const prompt = this.buildPrompt(modelNumber, additionalInfo);
+  describePrompt({ version, locale, tone, category, experiment }) {
+    return { version, locale, tone, category, experiment };
+  }
 
-    // If no images provided, analyze based on model number only
-    if (!images || images.length === 0) {
-      const result = await this.geminiModel.generateContent([prompt]);
-      const response = await result.response;
-      const text = response.text();
-      return this.parseAIResponse(text, 'gemini');
+  /**
+   * Store a fresh analysis and report the cache miss on it
+   */
+  async storeInCache(entry, analysis, bypassCache = false) {
+    if (entry) {
+      const { failedProviders, ...cacheable } = analysis;
+      await this.cache.set(entry, cacheable);
     }
 
-    // Convert images to Gemini format
-    const imageParts = await Promise.all(
-      images.map(async (imageUrl) => {
-        const response = await fetch(imageUrl);
-        const buffer = await response.arrayBuffer();
-        return {
-          inlineData: {
-            data: Buffer.from(buffer).toString('base64'),
-            mimeType: response.headers.get('content-type') || 'image/jpeg',
-          },
-        };
-      })
-    );
+    return {
+      ...analysis,
+      cache: { hit: false, bypassed: bypassCache, key: entry?.key || null },
+    };
+  }
 
-    const result = await this.geminiModel.generateContent([prompt, ...imageParts]);
-    const response = await result.response;
-    const text = response.text();
+  /**
+   * Analyze product images and generate listing details.
+   * Identical requests are served from the cache unless `bypassCache` is
+   * set; a bypassed request still refreshes the cached entry.
+   * `userId` attributes provider usage to a user and assigns A/B prompt
+   * variants; `prompt` picks { version, locale, tone, category }.
+   * `barcode` is resolved through the product catalogue when no model
+   * number is given. `queued` marks a background job, which reads labels
+   * with ocrMode rather than syncOcrMode.
+   */
+  async analyzeProductImages(images, modelNumber = null, additionalInfo = null, { bypassCache = false, userId = null, prompt = {}, barcode = null, queued = false } = {}) {
+    // Validate that we have images, a model number or a barcode
+    if ((!images || images.length === 0) && !modelNumber && !barcode) {
+      throw new AppError('Either images, model number or barcode is required', 400);
+    }
 
-    return this.parseAIResponse(text, 'gemini');
+    const selection = resolvePrompt({ ...prompt, userId });
+    // A barcode identifies the product as well as a typed model number
+    const { entry, analysis: cached } = await this.checkCache(images, modelNumber || barcode, additionalInfo, selection, bypassCache);
+    if (cached) {
+      await this.recordUsage({ name: cached.aiProvider || 'cache' }, {
+        userId,
+        operation: 'analyze',
+        promptVersion: selection.version,
+        success: true,
+        cached: true,
+      });
+      return cached;
+    }
+
+    const labels = await this.identifyProduct(images, { modelNumber, barcode, userId, queued });
+    const request = this.buildRequest(images, labels.modelNumber, additionalInfo, selection);
+    const meta = { userId, promptVersion: selection.version };
+
+    // Try each provider in order until one succeeds
+    const analysis = await this.withFailover(async (provider, failures) => {
+      const { text } = await this.callProvider(provider, request, { ...meta, operation: 'analyze' });
+
+      return {
+        ...await this.resolveOutput(provider, text, request, meta),
+        prompt: this.describePrompt(selection),
+        ...(labels.ocr && { ocr: labels.ocr }),
+        ...(labels.product && { product: labels.product }),
+        // Record the provider that actually served the request
+        aiProvider: provider.name,
+        ...(failures.length > 0 && { failedProviders: [...failures] }),
+      };
+    }, 'Failed to analyze product images');
+
+    return this.storeInCache(entry, analysis, bypassCache);
   }
 
   /**
-   * Analyze with OpenAI GPT-4 Vision
+   * Regenerate (no instructions) or rewrite (with instructions) selected
+   * sections of a saved listing from its current data and photos.
+   * Returns { sections: { [section]: value }, aiProvider, prompt }.
    */
-  async analyzeWithGPT4(images, modelNumber, additionalInfo) {
-    const prompt = this.buildPrompt(modelNumber, additionalInfo);
+  async reviseListing(listing, { sections, instructions = null, locale, userId = null }) {
+    const request = {
+      prompt: buildRevisionPrompt({ listing, sections, instructions, locale }),
+      images: [listing.photo_url, ...(listing.additional_photos || [])]
+        .filter(url => url && url !== DEFAULT_PLACEHOLDER_IMAGE),
+      responseSchema: buildSectionSchema(sections),
+      context: { modelNumber: listing.model_number, sections, instructions },
+    };
+    const meta = { userId, promptVersion: REVISION_PROMPT_VERSION };
+    const operation = instructions ? 'rewrite' : 'regenerate';
+
+    return this.withFailover(async (provider) => {
+      const { text } = await this.callProvider(provider, request, { ...meta, operation });
+      const { data } = await this.validateWithRepair(
+        provider,
+        text,
+        request,
+        output => this.parseStructured(output, parsed => validateSections(parsed, sections)),
+        meta
+      );
 
-    // If no images provided, use regular GPT-4 (not vision)
-    if (!images || images.length === 0) {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
-        messages: [
-          {
-            role: 'system',
-            content: 'You are an expert at analyzing product specifications and creating detailed, accurate marketplace listings. Always provide honest condition assessments and accurate product information.',
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        max_tokens: 1500,
-        temperature: 0.3,
+      return {
+        sections: Object.fromEntries(sections.map(section => [section, data[section]])),
+        aiProvider: provider.name,
+        prompt: { version: REVISION_PROMPT_VERSION, locale: locale || null },
+      };
+    }, 'Failed to revise listing');
+  }
+
+  /**
+   * Stream product analysis, yielding partial fields as they are generated
+   * and finally the same validated object analyzeProductImages returns.
+   *
+   * Yields { event: 'partial', data: { title, description, key_features, quick_summary } }
+   * and { event: 'result', data: analysis }.
+   *
+   * Falls back to the next provider only until the first chunk arrives,
+   * and fails once a started stream goes quiet for streamIdleTimeoutMs.
+   * A cache hit yields the result straight away. Aborting `signal` (e.g.
+   * when the client disconnects) cancels the provider request and ends
+   * the stream without a result.
+   */
+  async *streamProductAnalysis(images, modelNumber = null, additionalInfo = null, { bypassCache = false, userId = null, prompt = {}, barcode = null, signal = null } = {}) {
+    if ((!images || images.length === 0) && !modelNumber && !barcode) {
+      throw new AppError('Either images, model number or barcode is required', 400);
+    }
+
+    const selection = resolvePrompt({ ...prompt, userId });
+    const meta = { userId, promptVersion: selection.version };
+    const { entry, analysis: cached } = await this.checkCache(images, modelNumber || barcode, additionalInfo, selection, bypassCache);
+    if (cached) {
+      await this.recordUsage({ name: cached.aiProvider || 'cache' }, {
+        ...meta,
+        operation: 'stream',
+        success: true,
+        cached: true,
       });
+      yield { event: 'result', data: cached };
+      return;
+    }
 
-      return this.parseAIResponse(response.choices[0].message.content, 'openai');
+    const providers = this.availableProviders();
+    if (providers.length === 0) {
+      throw new AppError('AI service not configured', 503);
     }
 
-    const messages = [
-      {
-        role: 'system',
-        content: 'You are an expert at analyzing product images and creating detailed, accurate marketplace listings. Always provide honest condition assessments and accurate product information.',
-      },
-      {
-        role: 'user',
-        content: [
-          { type: 'text', text: prompt },
-          ...images.map(url => ({
-            type: 'image_url',
-            image_url: { url, detail: 'high' },
-          })),
-        ],
-      },
-    ];
+    const labels = await this.identifyProduct(images, { modelNumber, barcode, userId });
+    const request = this.buildRequest(images, labels.modelNumber, additionalInfo, selection);
+    let provider;
+    let iterator;
+    let controller;
+    let step;
+    let started;
+    for (const candidate of providers) {
+      const breaker = this.breakers.get(candidate.name);
+      if (!breaker.canRequest()) {
+        continue;
+      }
+      started = Date.now();
+      controller = new AbortController();
+      iterator = null;
+      try {
+        iterator = candidate.stream({ ...request, signal: controller.signal })[Symbol.asyncIterator]();
+        step = await withTimeout(iterator.next(), candidate.timeoutMs || this.timeoutMs, candidate.name, signal);
+        provider = candidate;
+        break;
+      } catch (error) {
+        abandonStream(iterator, controller);
+        if (signal?.aborted) {
+          return;
+        }
+        breaker.recordFailure();
+        await this.recordUsage(candidate, {
+          ...meta,
+          operation: 'stream',
+          latencyMs: Date.now() - started,
+          success: false,
+          error: error.message,
+        });
+        console.error(`AI streaming error (${candidate.name}):`, error);
+      }
+    }
+
+    if (!provider) {
+      throw new AppError('Failed to analyze product images', 500);
+    }
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
-      messages,
-      max_tokens: 1500,
-      temperature: 0.3,
+    let text = '';
+    let lastPartial = '';
+
+    try {
+      while (!step.done) {
+        text += step.value;
+
+        const partial = this.extractPartialFields(text);
+        const serialized = JSON.stringify(partial);
+        if (serialized !== lastPartial && Object.keys(partial).length > 0) {
+          lastPartial = serialized;
+          yield { event: 'partial', data: partial };
+        }
+
+        step = await withTimeout(iterator.next(), this.streamIdleTimeoutMs, provider.name, signal);
+      }
+    } catch (error) {
+      if (signal?.aborted) {
+        return;
+      }
+      this.breakers.get(provider.name).recordFailure();
+      await this.recordUsage(provider, {
+        ...meta,
+        operation: 'stream',
+        latencyMs: Date.now() - started,
+        success: false,
+        error: error.message,
+      });
+      console.error('AI streaming error:', error);
+      throw new AppError('Failed to analyze product images', 500);
+    } finally {
+      // Timed out, aborted, or the consumer stopped reading
+      if (!step.done) {
+        abandonStream(iterator, controller);
+      }
+    }
+
+    // Providers return their token usage when the stream ends
+    await this.recordUsage(provider, {
+      ...meta,
+      operation: 'stream',
+      usage: step.value?.usage,
+      latencyMs: Date.now() - started,
+      success: true,
     });
 
-    return this.parseAIResponse(response.choices[0].message.content, 'openai');
-  }
-
-  /**
-   * Build analysis prompt
-   */
-  buildPrompt(modelNumber, additionalInfo) {
-    const productIdentifier = modelNumber || 'the product shown in the images';
-
-    let prompt = `Act as a senior e-commerce content strategist and marketplace listing expert.
-  
-  Generate premium marketplace content for this product: **${productIdentifier}**
-  
-  Deliver the output in **strict JSON format**, matching the structure below.
-  
-  {
-    "seoTitle": "SEO-optimised product title",
-    "keyFeatures": [
-      "6-10 bullet points focused on real benefits, not just specs",
-      "Emphasise build quality, energy efficiency, hygiene, durability, capacity, quiet operation",
-      "Each point should highlight value and user benefits"
-    ],
-    "productDescription": "2–3 paragraphs in premium tone. Clear, helpful, professional — no hype. Explain who it’s ideal for and why.",
-    "specifications": {
-      "brand": "Product brand",
-      "model": "Product model",
-      "modelNumber": "Full model number",
-      "category": "Product category (Electronics, Fashion, Home Appliances, Furniture, Sports, Automotive, etc.)",
-      "subCategory": "Specific subcategory",
-      "dimensions": "Product dimensions (L x W x H)",
-      "weight": "Product weight",
-      "capacity": "Capacity/Size if applicable",
-      "color": "Product color/finish",
-      "material": "Primary materials used",
-      "year": "Year/manufacture date",
-      "condition": "Current condition assessment",
-      "powerSpecs": "Power requirements/battery (if applicable)",
-      "connectivity": "Connection types/ports (if applicable)",
-      "compatibility": "Compatible systems/models (if applicable)",
-      "warranty": "Warranty information (if known)",
-      "origin": "Country of manufacture (if visible)",
-      "certifications": "Safety certifications/standards (if visible)",
-      "allSpecs": {
-        "Generate ALL product-specific specifications here as key-value pairs": "Include every technical detail, feature, measurement, rating, etc. based on product type",
-        "For Electronics": "Screen size, resolution, processor, RAM, storage, battery, OS, etc.",
-        "For Appliances": "Energy rating, capacity, dimensions, load type, RPM, noise level, etc.",
-        "For Furniture": "Dimensions, material, weight capacity, assembly required, style, etc.",
-        "For Clothing": "Size, fit, fabric composition, care instructions, style, etc.",
-        "For Vehicles/Parts": "Make, model, year, VIN, mileage, engine, transmission, etc.",
-        "Be comprehensive": "Include everything visible or known about this specific product"
+    let analysis;
+    try {
+      analysis = await this.resolveOutput(provider, text, request, meta);
+      this.breakers.get(provider.name).recordSuccess();
+    } catch (error) {
+      this.recordProviderError(provider, error);
+      console.error('AI streaming error:', error);
+      throw error.isOperational ? error : new AppError('Failed to analyze product images', 500);
+    }
+
+    yield {
+      event: 'result',
+      data: await this.storeInCache(entry, {
+        ...analysis,
+        prompt: this.describePrompt(selection),
+        ...(labels.ocr && { ocr: labels.ocr }),
+        ...(labels.product && { product: labels.product }),
+        aiProvider: provider.name,
+      }, bypassCache),
+    };
+  }
+
+  /**
+   * Pull the user-facing fields out of an incomplete JSON response.
+   * String values are returned while still being written; key features
+   * only once each bullet is complete.
+   */
+  extractPartialFields(text) {
+    const fields = {
+      title: 'seoTitle',
+      description: 'productDescription',
+      quick_summary: 'shortMarketplaceSummary',
+    };
+    const partial = {};
+
+    const decode = (raw) => {
+      // Drop a dangling escape so the fragment is valid JSON
+      const safe = raw.replace(/\\u[0-9a-fA-F]{0,3}$|\\$/, '');
+      try {
+        return JSON.parse(`"${safe}"`);
+      } catch {
+        return null;
       }
-    },
-    "shortMarketplaceSummary": "1 concise paragraph for eBay/FB Marketplace/Google Shopping (50-80 words)",
-    "longSeoDescription": "1-2 paragraphs targeting search keywords. Avoid repetition from earlier sections. Focus on benefits and search intent. (150-200 words)",
-    "seoKeywords": {
-      "primary": ["3-5 primary keywords"],
-      "secondary": ["5-7 secondary keywords"],
-      "longTail": ["5-8 long-tail keyword phrases"]
-    },
-    "marketplaceTags": ["20-30 relevant tags for marketplace categorisation"],
-    "condition": "new|like-new|excellent|good|fair|poor|for-parts",
-    "conditionNotes": "Specific condition details if visible, any defects or wear",
-    "suggestedPrice": {
-      "min": 0,
-      "max": 0,
-      "currency": "USD",
-      "reasoning": "Brief price justification based on condition and market value"
-    },
-    "warnings": ["Any safety or authenticity concerns if applicable"],
-    "confidence": 0.95
-  }
-  
-  **Tone & Style Guidelines:**
-  - Sounds like premium retail (Appliances Online / The Good Guys / JB Hi-Fi)
-  - Clean, confident, premium tone
-  - Australia context where relevant
-  - Zero fluff, zero overly-salesy language
-  - Use straightforward language, high trust, high clarity
-  - Focus on durability, hygiene, efficiency, and real user benefits
-  
-  **Formatting Rules:**
-  - Deliver JSON output only
-  - No Markdown or text explanations outside the JSON
-  - All keys must be present and filled accurately (no placeholders)
-  - Write as if product details are known
-  - Focus on high-intent keywords and conversion
-  - Include detailed, verified specifications
-  - Avoid repetition across sections
-  - Include all technical and descriptive details possible
-  
-  **Important:**
-  - Write as if product details are verified and complete
-  - Focus on high-intent SEO and conversion-driven structure
-  - Content must be suitable for Facebook Marketplace, eBay, Google Shopping & website listings
-  - Include keywords that enhance search ranking
-  - Be accurate and honest about the condition
-  - If uncertain about any detail, reflect that in the confidence score
-  
-  `;
-
-    if (additionalInfo) {
-      prompt += `
-  
-  **Additional Context:** ${additionalInfo}`;
-    }
-
-    return prompt;
-  }
-
-
-  /**
-   * Parse AI response
-   */
-  parseAIResponse(text, provider) {
+    };
+
+    Object.entries(fields).forEach(([name, key]) => {
+      const match = text.match(new RegExp(`"${key}"\\s*:\\s*"((?:[^"\\\\]|\\\\.)*)`));
+      if (match) {
+        const value = decode(match[1]);
+        if (value) partial[name] = value;
+      }
+    });
+
+    const featuresMatch = text.match(/"keyFeatures"\s*:\s*\[([^\]]*)/);
+    if (featuresMatch) {
+      const features = [...featuresMatch[1].matchAll(/"((?:[^"\\]|\\.)*)"/g)]
+        .map(([, raw]) => decode(raw))
+        .filter(Boolean);
+      if (features.length > 0) partial.key_features = features;
+    }
+
+    return partial;
+  }
+
+  /**
+   * Build analysis prompt from the selected template (see ./ai/prompts)
+   */
+  buildPrompt(modelNumber, additionalInfo, selection = resolvePrompt()) {
+    return renderPrompt(selection, { modelNumber, additionalInfo });
+  }
+
+  /**
+   * Pull the JSON object out of raw provider output, or null
+   */
+  extractJSON(text) {
+    const raw = String(text || '').trim()
+      // Some models wrap JSON in a Markdown code fence despite instructions
+      .replace(/^```(?:json)?\s*/i, '')
+      .replace(/\s*```$/, '');
+
+    let data = null;
     try {
-      // Try to extract JSON from the response
-      const jsonMatch = text.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        const parsed = JSON.parse(jsonMatch[0]);
-
-        // Validate and clean the response with new structure
-        return {
-          // Main title from seoTitle
-          title: parsed.seoTitle?.substring(0, 200) || 'Product Listing',
-
-          // Use productDescription as main description
-          description: parsed.productDescription || '',
-
-          // Additional structured content for marketplace
-          marketplaceContent: {
-            seoTitle: parsed.seoTitle || '',
-            keyFeatures: Array.isArray(parsed.keyFeatures) ? parsed.keyFeatures : [],
-            productDescription: parsed.productDescription || '',
-            shortMarketplaceSummary: parsed.shortMarketplaceSummary || '',
-            longSeoDescription: parsed.longSeoDescription || '',
-            seoKeywords: {
-              primary: Array.isArray(parsed.seoKeywords?.primary) ? parsed.seoKeywords.primary : [],
-              secondary: Array.isArray(parsed.seoKeywords?.secondary) ? parsed.seoKeywords.secondary : [],
-              longTail: Array.isArray(parsed.seoKeywords?.longTail) ? parsed.seoKeywords.longTail : [],
-            },
-            marketplaceTags: Array.isArray(parsed.marketplaceTags) ? parsed.marketplaceTags : [],
-          },
-
-          // Extract category from tags/keywords
-          category: {
-            main: parsed.specifications?.category || 'Other',
-            sub: '',
-            tags: Array.isArray(parsed.marketplaceTags) ? parsed.marketplaceTags.slice(0, 10) : [],
-          },
-
-          condition: this.validateCondition(parsed.condition),
-          conditionNotes: parsed.conditionNotes || '',
-
-          specifications: {
-            brand: parsed.specifications?.brand || '',
-            model: parsed.specifications?.model || '',
-            modelNumber: parsed.specifications?.modelNumber || '',
-            category: parsed.specifications?.category || '',
-            subCategory: parsed.specifications?.subCategory || '',
-            dimensions: parsed.specifications?.dimensions || '',
-            weight: parsed.specifications?.weight || '',
-            year: parsed.specifications?.year || null,
-            color: parsed.specifications?.color || '',
-            size: parsed.specifications?.size || parsed.specifications?.capacity || '',
-            material: parsed.specifications?.material || '',
-            capacity: parsed.specifications?.capacity || '',
-            condition: parsed.specifications?.condition || '',
-            powerSpecs: parsed.specifications?.powerSpecs || '',
-            connectivity: parsed.specifications?.connectivity || '',
-            compatibility: parsed.specifications?.compatibility || '',
-            warranty: parsed.specifications?.warranty || '',
-            origin: parsed.specifications?.origin || '',
-            certifications: parsed.specifications?.certifications || '',
-            features: Array.isArray(parsed.keyFeatures)
-              ? parsed.keyFeatures
-              : [],
-            allSpecs: parsed.specifications?.allSpecs || {},
-          },
-
-          suggestedPrice: {
-            min: parseFloat(parsed.suggestedPrice?.min) || 0,
-            max: parseFloat(parsed.suggestedPrice?.max) || 0,
-            currency: parsed.suggestedPrice?.currency || 'USD',
-            reasoning: parsed.suggestedPrice?.reasoning || '',
-          },
-
-          // Combine all keywords
-          searchKeywords: [
-            ...(Array.isArray(parsed.seoKeywords?.primary) ? parsed.seoKeywords.primary : []),
-            ...(Array.isArray(parsed.seoKeywords?.secondary) ? parsed.seoKeywords.secondary : []),
-          ],
-
-          warnings: Array.isArray(parsed.warnings) ? parsed.warnings : [],
-          confidence: parseFloat(parsed.confidence) || 0.5,
-          aiProvider: provider,
-          generatedAt: new Date(),
-        };
+      data = JSON.parse(raw);
+    } catch {
+      // Fall back to the outermost object when there's text around it
+      const start = raw.indexOf('{');
+      const end = raw.lastIndexOf('}');
+      if (start !== -1 && end > start) {
+        try {
+          data = JSON.parse(raw.slice(start, end + 1));
+        } catch {
+          data = null;
+        }
       }
+    }
 
-      throw new Error('Could not parse AI response');
-    } catch (error) {
-      console.error('Error parsing AI response:', error);
-      console.error('Raw text:', text);
+    return data && typeof data === 'object' && !Array.isArray(data) ? data : null;
+  }
 
-      // Return a basic structure if parsing fails
+  /**
+   * Parse raw provider output and validate it with `validate`.
+   * Returns { data, validation } where data is null when no JSON was found.
+   */
+  parseStructured(text, validate) {
+    const data = this.extractJSON(text);
+    if (!data) {
       return {
-        title: 'Product for Sale',
-        description: text.substring(0, 1000),
-        marketplaceContent: {
-          seoTitle: '',
-          keyFeatures: [],
-          productDescription: text.substring(0, 500),
-          shortMarketplaceSummary: '',
-          longSeoDescription: '',
-          seoKeywords: { primary: [], secondary: [], longTail: [] },
-          marketplaceTags: [],
-        },
-        category: { main: 'Other', sub: '', tags: [] },
-        condition: 'good',
-        conditionNotes: '',
-        specifications: {},
-        suggestedPrice: { min: 0, max: 0, currency: 'USD', reasoning: '' },
-        searchKeywords: [],
-        warnings: [],
-        confidence: 0.3,
-        aiProvider: provider,
-        generatedAt: new Date(),
-        error: 'Failed to parse structured response',
+        data: null,
+        validation: { valid: false, missing: [], invalid: [{ field: '(root)', message: 'response is not a JSON object' }] },
       };
     }
+
+    return { data, validation: validate(data) };
+  }
+
+  /**
+   * Parse raw provider output and validate it against the listing schema
+   */
+  parseAIOutput(text) {
+    return this.parseStructured(text, data => validateListingOutput(normaliseListingOutput(data)));
+  }
+
+  /**
+   * Prompt asking the provider to fix the specific problems in its output
+   */
+  buildRepairPrompt(text, validation, schema = LISTING_OUTPUT_SCHEMA) {
+    const problems = [
+      ...validation.missing.map(field => `- "${field}" is missing`),
+      ...validation.invalid.map(({ field, message }) => `- "${field}" ${message}`),
+    ];
+
+    return `Your previous response did not match the required JSON structure.
+
+Problems:
+${problems.join('\n')}
+
+Previous response:
+${String(text || '').substring(0, 12000)}
+
+Return the corrected response as a single JSON object matching this JSON schema. Keep every valid value unchanged, fix only the problems above, and output JSON only.
+
+${JSON.stringify(schema)}`;
+  }
+
+  /**
+   * Validate a provider's output with `parse`, asking the provider once to
+   * repair anything missing or invalid. Throws a 502 listing the remaining
+   * problems when the repaired output still doesn't validate.
+   * Returns { data, repaired, issues } where issues are what the repair fixed.
+   */
+  async validateWithRepair(provider, text, request, parse, { userId = null, promptVersion = null } = {}) {
+    const first = parse(text);
+    if (first.validation.valid) {
+      return { data: first.data, repaired: false, issues: null };
+    }
+
+    console.warn(`AI output from ${provider.name} failed validation, requesting repair:`, first.validation);
+
+    const { text: repairedText } = await this.callProvider(provider, {
+      prompt: this.buildRepairPrompt(text, first.validation, request.responseSchema),
+      images: [],
+      responseSchema: request.responseSchema,
+      context: request.context,
+    }, { operation: 'repair', userId, promptVersion });
+
+    const repaired = parse(repairedText);
+    if (!repaired.validation.valid) {
+      const error = new AppError(`${provider.name} returned invalid output`, 502, {
+        missing: repaired.validation.missing,
+        invalid: repaired.validation.invalid,
+      });
+      error.invalidOutput = true;
+      throw error;
+    }
+
+    return {
+      data: repaired.data,
+      repaired: true,
+      issues: { missing: first.validation.missing, invalid: first.validation.invalid },
+    };
+  }
+
+  /**
+   * Validate (and if needed repair) a listing analysis and format it
+   */
+  async resolveOutput(provider, text, request, meta = {}) {
+    const { data, repaired, issues } = await this.validateWithRepair(
+      provider,
+      text,
+      request,
+      output => this.parseAIOutput(output),
+      meta
+    );
+
+    return this.formatAnalysis(data, provider.name, {
+      valid: true,
+      repaired,
+      // What the repair fixed
+      ...issues,
+    });
+  }
+
+  /**
+   * Shape validated provider output into the analysis returned to clients
+   */
+  formatAnalysis(parsed, provider, validation) {
+    return {
+      // Main title from seoTitle
+      title: parsed.seoTitle.substring(0, 200),
+
+      // Use productDescription as main description
+      description: parsed.productDescription,
+
+      // Additional structured content for marketplace
+      marketplaceContent: {
+        seoTitle: parsed.seoTitle,
+        keyFeatures: parsed.keyFeatures,
+        productDescription: parsed.productDescription,
+        shortMarketplaceSummary: parsed.shortMarketplaceSummary,
+        longSeoDescription: parsed.longSeoDescription,
+        seoKeywords: {
+          primary: parsed.seoKeywords.primary,
+          secondary: parsed.seoKeywords.secondary,
+          longTail: parsed.seoKeywords.longTail,
+        },
+        marketplaceTags: parsed.marketplaceTags,
+      },
+
+      // Extract category from tags/keywords
+      category: {
+        main: parsed.specifications.category,
+        sub: parsed.specifications.subCategory || '',
+        tags: parsed.marketplaceTags.slice(0, 10),
+      },
+
+      condition: parsed.condition,
+      conditionNotes: parsed.conditionNotes || '',
+
+      specifications: {
+        brand: parsed.specifications.brand,
+        model: parsed.specifications.model || '',
+        modelNumber: parsed.specifications.modelNumber || '',
+        category: parsed.specifications.category,
+        subCategory: parsed.specifications.subCategory || '',
+        dimensions: parsed.specifications.dimensions || '',
+        weight: parsed.specifications.weight || '',
+        year: parsed.specifications.year || null,
+        color: parsed.specifications.color || '',
+        size: parsed.specifications.size || parsed.specifications.capacity || '',
+        material: parsed.specifications.material || '',
+        capacity: parsed.specifications.capacity || '',
+        condition: parsed.specifications.condition || '',
+        powerSpecs: parsed.specifications.powerSpecs || '',
+        connectivity: parsed.specifications.connectivity || '',
+        compatibility: parsed.specifications.compatibility || '',
+        warranty: parsed.specifications.warranty || '',
+        origin: parsed.specifications.origin || '',
+        certifications: parsed.specifications.certifications || '',
+        features: parsed.keyFeatures,
+        allSpecs: parsed.specifications.allSpecs || {},
+      },
+
+      suggestedPrice: {
+        min: parsed.suggestedPrice.min,
+        max: parsed.suggestedPrice.max,
+        currency: parsed.suggestedPrice.currency,
+        reasoning: parsed.suggestedPrice.reasoning || '',
+      },
+
+      // Combine all keywords
+      searchKeywords: [
+        ...parsed.seoKeywords.primary,
+        ...parsed.seoKeywords.secondary,
+      ],
+
+      warnings: parsed.warnings || [],
+      confidence: parsed.confidence,
+      validation,
+      aiProvider: provider,
+      generatedAt: new Date(),
+    };
+  }
+
+  /**
+   * Build comprehensive description from all AI-generated content
+   */
+  buildListingDescription(analysis) {
+    const marketplaceContent = analysis.marketplaceContent || {};
+    let fullDescription = '';
+    
+    // Add product description
+    if (marketplaceContent.productDescription) {
+      fullDescription += marketplaceContent.productDescription + '\n\n';
+    }
+    
+    // Add key features
+    if (marketplaceContent.keyFeatures && marketplaceContent.keyFeatures.length > 0) {
+      fullDescription += '🔑 KEY FEATURES:\n';
+      marketplaceContent.keyFeatures.forEach(feature => {
+        fullDescription += `• ${feature}\n`;
+      });
+      fullDescription += '\n';
+    }
+    
+    // Add comprehensive specifications
+    if (analysis.specifications) {
+      fullDescription += '📊 SPECIFICATIONS:\n';
+      const specs = analysis.specifications;
+      
+      // Core specs
+      if (specs.brand) fullDescription += `Brand: ${specs.brand}\n`;
+      if (specs.model) fullDescription += `Model: ${specs.model}\n`;
+      if (specs.modelNumber) fullDescription += `Model Number: ${specs.modelNumber}\n`;
+      if (specs.category) fullDescription += `Category: ${specs.category}\n`;
+      if (specs.subCategory) fullDescription += `Type: ${specs.subCategory}\n`;
+      
+      // Physical specs
+      if (specs.dimensions) fullDescription += `Dimensions: ${specs.dimensions}\n`;
+      if (specs.weight) fullDescription += `Weight: ${specs.weight}\n`;
+      if (specs.capacity) fullDescription += `Capacity: ${specs.capacity}\n`;
+      if (specs.color) fullDescription += `Color: ${specs.color}\n`;
+      if (specs.material) fullDescription += `Material: ${specs.material}\n`;
+      
+      // Technical specs
+      if (specs.powerSpecs) fullDescription += `Power: ${specs.powerSpecs}\n`;
+      if (specs.connectivity) fullDescription += `Connectivity: ${specs.connectivity}\n`;
+      if (specs.compatibility) fullDescription += `Compatibility: ${specs.compatibility}\n`;
+      
+      // Additional info
+      if (specs.year) fullDescription += `Year: ${specs.year}\n`;
+      if (specs.origin) fullDescription += `Made in: ${specs.origin}\n`;
+      if (specs.certifications) fullDescription += `Certifications: ${specs.certifications}\n`;
+      if (specs.warranty) fullDescription += `Warranty: ${specs.warranty}\n`;
+      
+      // All additional specs from allSpecs object
+      if (specs.allSpecs && typeof specs.allSpecs === 'object') {
+        Object.entries(specs.allSpecs).forEach(([key, value]) => {
+          if (value && typeof value === 'string' && value.trim()) {
+            fullDescription += `${key}: ${value}\n`;
+          }
+        });
+      }
+      
+      fullDescription += '\n';
+    }
+    
+    // Add marketplace summary
+    if (marketplaceContent.shortMarketplaceSummary) {
+      fullDescription += '🛒 QUICK SUMMARY:\n' + marketplaceContent.shortMarketplaceSummary + '\n\n';
+    }
+    
+    // Add Long SEO Description
+    if (marketplaceContent.longSeoDescription) {
+      fullDescription += '🌐 SEO DESCRIPTION:\n' + marketplaceContent.longSeoDescription + '\n\n';
+    }
+    
+    // Add SEO Keywords
+    if (marketplaceContent.seoKeywords) {
+      fullDescription += '🔍 KEYWORDS:\n';
+      
+      if (marketplaceContent.seoKeywords.primary && marketplaceContent.seoKeywords.primary.length > 0) {
+        fullDescription += 'Primary: ' + marketplaceContent.seoKeywords.primary.join(', ') + '\n';
+      }
+      
+      if (marketplaceContent.seoKeywords.secondary && marketplaceContent.seoKeywords.secondary.length > 0) {
+        fullDescription += 'Secondary: ' + marketplaceContent.seoKeywords.secondary.join(', ') + '\n';
+      }
+      
+      if (marketplaceContent.seoKeywords.longTail && marketplaceContent.seoKeywords.longTail.length > 0) {
+        fullDescription += 'Long-tail: ' + marketplaceContent.seoKeywords.longTail.join(', ') + '\n';
+      }
+      
+      fullDescription += '\n';
+    }
+    
+    // Add Marketplace Tags
+    if (marketplaceContent.marketplaceTags && marketplaceContent.marketplaceTags.length > 0) {
+      fullDescription += '🏷️ TAGS:\n' + marketplaceContent.marketplaceTags.join(', ') + '\n\n';
+    }
+
+    return fullDescription.trim() || analysis.description;
+  }
+
+  /**
+   * Format an analysis as listing form data for the review screen
+   */
+  buildListingData(analysis, imageUrls = [], modelNumber = null) {
+    return {
+      title: analysis.title,
+      description: this.buildListingDescription(analysis),
+      model_number: modelNumber || analysis.specifications?.modelNumber || analysis.product?.model_number
+        || analysis.ocr?.usedModelNumber || '',
+      photo_url: imageUrls.length > 0 ? imageUrls[0] : '', // Main photo (empty if no images)
+      additional_photos: imageUrls.slice(1), // Rest of the photos
+      condition: analysis.condition || 'good',
+      currency: analysis.suggestedPrice?.currency || 'USD',
+      ai_suggested_price: analysis.suggestedPrice,
+    };
+  }
+
+  /**
+   * Map an analysis result onto Listing schema fields
+   */
+  toListingFields(analysis) {
+    const marketplaceContent = analysis.marketplaceContent || {};
+    const specs = analysis.specifications || {};
+    const suggestedPrice = analysis.suggestedPrice || { min: 0, max: 0, currency: 'USD', reasoning: '' };
+
+    // Listing.specifications is a Map of strings, so flatten the structured
+    // specs and allSpecs into plain string values
+    const specifications = {};
+    const addSpec = (key, value) => {
+      // Map keys can't contain dots or start with $
+      const safeKey = String(key).replace(/\./g, '').replace(/^\$+/, '').trim();
+      if (!safeKey || value === null || value === undefined) return;
+      const text = Array.isArray(value) ? value.join(', ') : String(value).trim();
+      if (text) specifications[safeKey] = text;
+    };
+
+    Object.entries(specs).forEach(([key, value]) => {
+      if (key === 'allSpecs' || key === 'features') return;
+      addSpec(key, value);
+    });
+
+    if (specs.allSpecs && typeof specs.allSpecs === 'object') {
+      Object.entries(specs.allSpecs).forEach(([key, value]) => {
+        if (typeof value === 'string' || typeof value === 'number') {
+          addSpec(key, value);
+        }
+      });
+    }
+
+    return {
+      title: analysis.title,
+      description: (this.buildListingDescription(analysis) || analysis.title).substring(0, 10000),
+      model_number: specs.modelNumber || analysis.product?.model_number || analysis.ocr?.usedModelNumber || '',
+      key_features: (marketplaceContent.keyFeatures || []).map(feature => String(feature).substring(0, 500)),
+      specifications,
+      seo_keywords: marketplaceContent.seoKeywords || { primary: [], secondary: [], longTail: [] },
+      marketplace_tags: marketplaceContent.marketplaceTags || [],
+      seo_description: marketplaceContent.longSeoDescription || '',
+      quick_summary: (marketplaceContent.shortMarketplaceSummary || '').substring(0, 500),
+      condition: analysis.condition || 'good',
+      ai_prompt_version: analysis.prompt?.version || null,
+      ai_suggested_price: {
+        ...suggestedPrice,
+        currency: /^[A-Za-z]{3}$/.test(suggestedPrice.currency || '') ? suggestedPrice.currency.toUpperCase() : 'USD',
+      },
+    };
   }
 
   /**
    * Validate condition value
    */
   validateCondition(condition) {
-    const validConditions = ['new', 'like-new', 'excellent', 'good', 'fair', 'poor', 'for-parts'];
     const normalized = condition?.toLowerCase().replace(/[^a-z-]/g, '');
 
-    if (validConditions.includes(normalized)) {
+    if (LISTING_CONDITIONS.includes(normalized)) {
       return normalized;
     }
 
@@ -422,12 +1030,159 @@ class AIService {
   }
 
   /**
-   * Extract text from images using OCR (if needed)
+   * Read label text, model numbers and barcodes from product photos.
+   * Returns { source, text: [{ image, text, confidence }], barcodes:
+   * [{ image, format, value }], modelNumbers }, or null when OCR is off or
+   * fails (reading labels never fails an analysis). `mode` defaults to
+   * ocrMode.
    */
-  async extractTextFromImages(images) {
-    // This would integrate with an OCR service like Google Cloud Vision
-    // For now, return empty array
-    return [];
+  async extractTextFromImages(images, { userId = null, mode = this.ocrMode } = {}) {
+    if (mode === 'off' || !images || images.length === 0) {
+      return null;
+    }
+
+    const cancel = new AbortController();
+    try {
+      const extracted = await withTimeout(
+        mode === 'vision'
+          ? this.extractTextWithVision(images, userId)
+          : this.extractTextLocally(images, cancel.signal),
+        OCR_TIMEOUT_MS,
+        'OCR'
+      );
+
+      const allText = extracted.text.map(({ text }) => text).join('\n');
+      return {
+        source: mode,
+        ...extracted,
+        modelNumbers: [...new Set([...(extracted.modelNumbers || []), ...findModelNumbers(allText)])],
+      };
+    } catch (error) {
+      console.error(`OCR error (${mode}):`, error.message);
+      if (mode === 'local') {
+        // The timeout only stops the wait: skip the remaining photos and
+        // give later requests a fresh worker, leaving other requests' jobs
+        // to finish on this one
+        cancel.abort();
+        recycleOcr();
+      }
+      return null;
+    }
+  }
+
+  async extractTextLocally(images, signal = null) {
+    const fetched = await fetchImages(images);
+    const text = [];
+    const barcodes = [];
+
+    // One image at a time: OCR is CPU-bound and runs on a single worker
+    for (const { url, buffer } of fetched) {
+      if (signal?.aborted) {
+        break;
+      }
+
+      const [recognized, decoded] = await Promise.allSettled([
+        recognizeText(buffer),
+        readBarcodes(buffer),
+      ]);
+
+      if (recognized.status === 'fulfilled' && recognized.value.text) {
+        text.push({ image: url, ...recognized.value });
+      } else if (recognized.status === 'rejected') {
+        console.error('OCR text error:', recognized.reason?.message);
+      }
+
+      if (decoded.status === 'fulfilled') {
+        barcodes.push(...decoded.value.map(barcode => ({ image: url, ...barcode })));
+      } else {
+        console.error('OCR barcode error:', decoded.reason?.message);
+      }
+    }
+
+    return { text, barcodes };
+  }
+
+  async extractTextWithVision(images, userId) {
+    const request = {
+      prompt: buildOcrPrompt(),
+      images,
+      responseSchema: TEXT_EXTRACTION_SCHEMA,
+      context: { task: 'ocr' },
+    };
+
+    // Best effort with the first available provider; label reading
+    // shouldn't trip the circuit breakers the analysis itself relies on
+    const [provider] = this.availableProviders();
+    if (!provider) {
+      throw new Error('No AI provider available');
+    }
+
+    const { text } = await this.callProvider(provider, request, {
+      operation: 'ocr',
+      userId,
+      promptVersion: OCR_PROMPT_VERSION,
+    });
+
+    const { data, validation } = this.parseStructured(text, validateTextExtraction);
+    if (!validation.valid) {
+      throw new Error(`${provider.name} returned invalid label text`);
+    }
+
+    return {
+      text: data.text ? [{ image: null, text: data.text, confidence: null }] : [],
+      barcodes: data.barcodes.map(barcode => ({ image: null, format: barcode.format || null, value: barcode.value })),
+      modelNumbers: data.modelNumbers.map(value => value.trim().toUpperCase()).filter(Boolean),
+    };
+  }
+
+  /**
+   * Work out the model number to analyse with. A typed model number wins
+   * (and skips reading the labels), then a catalogue match for the given
+   * barcode or one read from the photos, then the best model number read
+   * from the labels.
+   * Returns { modelNumber, ocr, product } where ocr.usedModelNumber is the
+   * label text model number, if that's what was used.
+   */
+  async identifyProduct(images, { modelNumber = null, barcode = null, userId = null, queued = false } = {}) {
+    if (modelNumber) {
+      return { modelNumber, ocr: null, product: null };
+    }
+
+    const ocr = await this.extractTextFromImages(images, {
+      userId,
+      mode: queued ? this.ocrMode : this.syncOcrMode,
+    });
+    const withOcr = usedModelNumber => (ocr ? { ...ocr, usedModelNumber } : null);
+
+    const barcodes = [barcode, ...(ocr?.barcodes || []).map(({ value }) => value)].filter(Boolean);
+    const product = await this.lookupProduct(barcodes);
+    if (product) {
+      return { modelNumber: product.identity, ocr: withOcr(null), product };
+    }
+
+    const detected = ocr?.modelNumbers[0] || null;
+    if (!detected && (!images || images.length === 0)) {
+      throw new AppError('Barcode not found in the product catalogue', 404);
+    }
+
+    return { modelNumber: detected, ocr: withOcr(detected), product: null };
+  }
+
+  /**
+   * First catalogue match for the barcodes. Lookup failures are logged
+   * and treated as no match.
+   */
+  async lookupProduct(barcodes) {
+    if (!this.catalog || barcodes.length === 0) {
+      return null;
+    }
+
+    try {
+      return await this.catalog.identify(barcodes);
+    } catch (error) {
+      console.error('Product catalogue lookup error:', error.message);
+      return null;
+    }
   }
 
   /**
@@ -444,5 +1199,7 @@ class AIService {
   }
 }
 
+export { AIService };
+
 // Export singleton instance
 export default new AIService();
@@ -0,0 +1,77 @@
+/**
+ * Minimal circuit breaker for AI providers.
+ *
+ * closed    - calls go through, consecutive failures are counted
+ * open      - calls are skipped until the cooldown has passed
+ * half-open - one trial call is let through; success closes the circuit,
+ *             failure opens it again. A trial that never reports back
+ *             is given up on after another cooldown.
+ */
+export class CircuitBreaker {
+  constructor({ failureThreshold = 3, cooldownMs = 60 * 1000, now = Date.now } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.now = now;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  get state() {
+    if (this.openedAt === null) {
+      return 'closed';
+    }
+    return this.now() - this.openedAt >= this.cooldownMs ? 'half-open' : 'open';
+  }
+
+  get trialInFlight() {
+    return this.trialStartedAt !== null && this.now() - this.trialStartedAt < this.cooldownMs;
+  }
+
+  /**
+   * Whether a call could go through right now, without claiming the trial
+   */
+  isAvailable() {
+    const state = this.state;
+    return state === 'closed' || (state === 'half-open' && !this.trialInFlight);
+  }
+
+  /**
+   * Whether a call may go through. In half-open this claims the single
+   * trial call, so the caller must record its result.
+   */
+  canRequest() {
+    if (!this.isAvailable()) {
+      return false;
+    }
+    if (this.state === 'half-open') {
+      this.trialStartedAt = this.now();
+    }
+    return true;
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialStartedAt = null;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.openedAt = this.now();
+    }
+    this.trialStartedAt = null;
+  }
+
+  toJSON() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt) : null,
+      trialInFlight: this.trialInFlight,
+    };
+  }
+}
+
+export default CircuitBreaker;
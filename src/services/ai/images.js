@@ -0,0 +1,101 @@
+import crypto from 'crypto';
+import dns from 'dns/promises';
+import net from 'net';
+
+// Images fetched for hashing are usually fetched again by the provider
+// moments later, so keep recent downloads around briefly
+const RECENT_TTL_MS = 60 * 1000;
+const RECENT_MAX = 50;
+const recent = new Map();
+
+// Image URLs can come from users (imports, listing photos), so the server
+// must not be pointed at its own network or cloud metadata endpoints.
+// IPv4-mapped IPv6 addresses are checked against the IPv4 ranges.
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8],
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+export const isPrivateAddress = (address) => {
+  const family = net.isIP(address);
+  return family === 0 || blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+/**
+ * Reject URLs that aren't http(s) or whose host resolves to a private,
+ * loopback or link-local address
+ */
+export const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new Error(`Invalid image URL: ${url}`);
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    throw new Error(`Image URL must use http or https: ${url}`);
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = await dns.lookup(host, { all: true });
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`Image URL points to a private address: ${url}`);
+  }
+};
+
+/**
+ * Download an image so it can be sent inline to a provider. Redirects
+ * aren't followed, since they could lead past the address check.
+ */
+const download = async (url) => {
+  await assertPublicUrl(url);
+  const response = await fetch(url, { redirect: 'error' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch image (${response.status}): ${url}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+
+  return {
+    url,
+    buffer,
+    data: buffer.toString('base64'),
+    mimeType: response.headers.get('content-type') || 'image/jpeg',
+  };
+};
+
+export const fetchImage = (url) => {
+  const cached = recent.get(url);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.promise;
+  }
+
+  const promise = download(url);
+  // Failed downloads shouldn't be reused
+  promise.catch(() => recent.delete(url));
+
+  recent.set(url, { promise, expiresAt: Date.now() + RECENT_TTL_MS });
+  if (recent.size > RECENT_MAX) {
+    recent.delete(recent.keys().next().value);
+  }
+
+  return promise;
+};
+
+export const fetchImages = (urls = []) => Promise.all(urls.map(fetchImage));
+
+export const toDataUrl = ({ data, mimeType }) => `data:${mimeType};base64,${data}`;
+
+/**
+ * SHA-256 of each image's bytes, so re-uploads of the same photo
+ * (which get a new URL) hash the same
+ */
+export const hashImages = async (urls = []) => {
+  const fetched = await fetchImages(urls);
+  return fetched.map(({ buffer }) => crypto.createHash('sha256').update(buffer).digest('hex'));
+};
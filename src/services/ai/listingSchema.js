@@ -0,0 +1,287 @@
+import Ajv from 'ajv';
+import { LISTING_CONDITIONS } from '../../models/Listing.js';
+
+const stringField = (description, extra = {}) => ({ type: 'string', description, ...extra });
+const stringList = (description, extra = {}) => ({
+  type: 'array',
+  description,
+  items: { type: 'string', minLength: 1 },
+  ...extra,
+});
+
+/**
+ * JSON schema for the listing JSON the AI providers must return.
+ * Sent to Gemini (responseSchema) and OpenAI (structured outputs) and used
+ * to validate every response.
+ */
+export const LISTING_OUTPUT_SCHEMA = {
+  type: 'object',
+  required: [
+    'seoTitle',
+    'keyFeatures',
+    'productDescription',
+    'specifications',
+    'shortMarketplaceSummary',
+    'longSeoDescription',
+    'seoKeywords',
+    'marketplaceTags',
+    'condition',
+    'suggestedPrice',
+    'confidence',
+  ],
+  properties: {
+    seoTitle: stringField('SEO-optimised product title', { minLength: 1, maxLength: 200 }),
+    keyFeatures: stringList('6-10 benefit-focused bullet points', { minItems: 1 }),
+    productDescription: stringField('2-3 paragraph product description', { minLength: 1 }),
+    specifications: {
+      type: 'object',
+      required: ['brand', 'category'],
+      properties: {
+        brand: stringField('Product brand'),
+        model: stringField('Product model'),
+        modelNumber: stringField('Full model number'),
+        category: stringField('Product category', { minLength: 1 }),
+        subCategory: stringField('Specific subcategory'),
+        dimensions: stringField('Product dimensions (L x W x H)'),
+        weight: stringField('Product weight'),
+        capacity: stringField('Capacity/size if applicable'),
+        color: stringField('Product color/finish'),
+        material: stringField('Primary materials used'),
+        year: { type: ['string', 'number', 'null'], description: 'Year/manufacture date' },
+        condition: stringField('Current condition assessment'),
+        powerSpecs: stringField('Power requirements/battery'),
+        connectivity: stringField('Connection types/ports'),
+        compatibility: stringField('Compatible systems/models'),
+        warranty: stringField('Warranty information'),
+        origin: stringField('Country of manufacture'),
+        certifications: stringField('Safety certifications/standards'),
+        allSpecs: {
+          type: 'object',
+          description: 'Every other product-specific specification as key-value pairs',
+          additionalProperties: { type: ['string', 'number', 'boolean'] },
+        },
+      },
+    },
+    shortMarketplaceSummary: stringField('50-80 word marketplace summary', { minLength: 1 }),
+    longSeoDescription: stringField('150-200 word SEO description', { minLength: 1 }),
+    seoKeywords: {
+      type: 'object',
+      required: ['primary', 'secondary', 'longTail'],
+      properties: {
+        primary: stringList('3-5 primary keywords', { minItems: 1 }),
+        secondary: stringList('5-7 secondary keywords'),
+        longTail: stringList('5-8 long-tail keyword phrases'),
+      },
+    },
+    marketplaceTags: stringList('20-30 marketplace tags', { minItems: 1 }),
+    condition: { type: 'string', enum: LISTING_CONDITIONS },
+    conditionNotes: stringField('Specific condition details, defects or wear'),
+    suggestedPrice: {
+      type: 'object',
+      required: ['min', 'max', 'currency'],
+      properties: {
+        min: { type: 'number', minimum: 0 },
+        max: { type: 'number', minimum: 0 },
+        currency: stringField('ISO 4217 currency code', { pattern: '^[A-Z]{3}$' }),
+        reasoning: stringField('Brief price justification'),
+      },
+    },
+    warnings: stringList('Safety or authenticity concerns'),
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+  },
+};
+
+/**
+ * Listing fields the AI can regenerate or rewrite on a saved listing,
+ * with the schema each revised value must match
+ */
+export const LISTING_SECTION_SCHEMAS = {
+  title: stringField('Listing title', { minLength: 1, maxLength: 200 }),
+  description: stringField('Full listing description', { minLength: 1, maxLength: 10000 }),
+  key_features: {
+    type: 'array',
+    description: '6-10 benefit-focused bullet points',
+    items: { type: 'string', minLength: 1, maxLength: 500 },
+    minItems: 1,
+  },
+  seo_description: stringField('150-200 word SEO description', { minLength: 1, maxLength: 10000 }),
+  quick_summary: stringField('50-80 word marketplace summary', { minLength: 1, maxLength: 500 }),
+  marketplace_tags: stringList('20-30 marketplace tags', { minItems: 1 }),
+};
+
+/**
+ * JSON schema for an object holding just the given sections
+ */
+export const buildSectionSchema = (sections) => ({
+  type: 'object',
+  required: sections,
+  properties: Object.fromEntries(sections.map(section => [section, LISTING_SECTION_SCHEMAS[section]])),
+});
+
+/**
+ * JSON schema for label text read by a vision model (AI_OCR=vision)
+ */
+export const TEXT_EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['text', 'barcodes', 'modelNumbers'],
+  properties: {
+    text: stringField('All legible label text, one label per line'),
+    barcodes: {
+      type: 'array',
+      description: 'Readable barcodes and QR codes',
+      items: {
+        type: 'object',
+        required: ['value'],
+        properties: {
+          format: stringField('Barcode format, e.g. EAN13 or QRCode'),
+          value: stringField('Decoded value', { minLength: 1 }),
+        },
+      },
+    },
+    modelNumbers: stringList('Model numbers, most likely first'),
+  },
+};
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Ajv instance path (/specifications/brand) to a dotted field name
+const fieldName = (error) => {
+  const path = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+  if (error.keyword === 'required') {
+    return path ? `${path}.${error.params.missingProperty}` : error.params.missingProperty;
+  }
+  return path || '(root)';
+};
+
+/**
+ * Build a validator for a schema. The validator returns
+ * { valid, missing: [field], invalid: [{ field, message }] }
+ */
+export const createValidator = (schema) => {
+  const validate = ajv.compile(schema);
+
+  return (data) => {
+    const valid = validate(data);
+    const missing = [];
+    const invalid = [];
+
+    (validate.errors || []).forEach((error) => {
+      if (error.keyword === 'required') {
+        missing.push(fieldName(error));
+      } else {
+        invalid.push({ field: fieldName(error), message: error.message });
+      }
+    });
+
+    return { valid, missing, invalid };
+  };
+};
+
+/**
+ * Validate parsed AI output against the listing schema
+ */
+export const validateListingOutput = createValidator(LISTING_OUTPUT_SCHEMA);
+
+/**
+ * Validate label text read by a vision model
+ */
+export const validateTextExtraction = createValidator(TEXT_EXTRACTION_SCHEMA);
+
+// Compiled section validators, keyed by the section list
+const sectionValidators = new Map();
+
+/**
+ * Validate revised listing sections against LISTING_SECTION_SCHEMAS
+ */
+export const validateSections = (data, sections) => {
+  const key = [...sections].sort().join(',');
+  if (!sectionValidators.has(key)) {
+    sectionValidators.set(key, createValidator(buildSectionSchema(sections)));
+  }
+  return sectionValidators.get(key)(data);
+};
+
+/**
+ * Convert the JSON schema to the OpenAPI subset Gemini's responseSchema accepts.
+ * Free-form objects (no declared properties) become arrays of { key, value }
+ * pairs since Gemini requires object properties to be listed; see
+ * normaliseListingOutput for the reverse mapping.
+ */
+export const toGeminiSchema = (schema) => {
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  const nullable = types.includes('null');
+  const type = types.find(t => t !== 'null');
+
+  if (type === 'object' && !schema.properties) {
+    return {
+      type: 'ARRAY',
+      description: schema.description,
+      items: {
+        type: 'OBJECT',
+        properties: { key: { type: 'STRING' }, value: { type: 'STRING' } },
+        required: ['key', 'value'],
+      },
+    };
+  }
+
+  const converted = {
+    // Mixed scalar types are requested as strings
+    type: types.filter(t => t !== 'null').length > 1 ? 'STRING' : type.toUpperCase(),
+  };
+  if (schema.description) converted.description = schema.description;
+  if (schema.enum) converted.enum = schema.enum;
+  if (nullable) converted.nullable = true;
+
+  if (type === 'object') {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toGeminiSchema(value)])
+    );
+    if (schema.required) converted.required = schema.required;
+  }
+
+  if (type === 'array') {
+    converted.items = toGeminiSchema(schema.items);
+  }
+
+  return converted;
+};
+
+/**
+ * Undo provider-specific shapes and trivial formatting differences
+ * before validation
+ */
+export const normaliseListingOutput = (data) => {
+  if (!data || typeof data !== 'object') {
+    return data;
+  }
+
+  const allSpecs = data.specifications?.allSpecs;
+  if (Array.isArray(allSpecs)) {
+    data.specifications.allSpecs = Object.fromEntries(
+      allSpecs
+        .filter(entry => entry && entry.key)
+        .map(({ key, value }) => [key, value])
+    );
+  }
+
+  if (typeof data.condition === 'string') {
+    data.condition = data.condition.trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  if (typeof data.suggestedPrice?.currency === 'string') {
+    data.suggestedPrice.currency = data.suggestedPrice.currency.trim().toUpperCase();
+  }
+
+  ['min', 'max'].forEach((key) => {
+    const value = data.suggestedPrice?.[key];
+    if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      data.suggestedPrice[key] = Number(value);
+    }
+  });
+
+  if (typeof data.confidence === 'string' && !Number.isNaN(Number(data.confidence))) {
+    data.confidence = Number(data.confidence);
+  }
+
+  return data;
+};
@@ -0,0 +1,229 @@
+import { readFile } from 'fs/promises';
+import { createRequire } from 'module';
+
+/**
+ * Local text and barcode reading for product photos: tesseract.js for
+ * rating plates and stickers, zxing-wasm for barcodes. Both libraries are
+ * loaded on first use so the API doesn't pay for them at startup.
+ */
+
+const require = createRequire(import.meta.url);
+
+const OCR_LANG = process.env.AI_OCR_LANG || 'eng';
+
+// Shut the tesseract worker down after this long without work
+const WORKER_IDLE_MS = 5 * 60 * 1000;
+
+// A retired worker is shut down once its jobs settle, or after this long
+const WORKER_DRAIN_MS = 60 * 1000;
+
+const BARCODE_FORMATS = ['EAN13', 'EAN8', 'UPCA', 'UPCE', 'Code128', 'Code39', 'QRCode', 'DataMatrix'];
+
+// The tesseract worker new jobs go to: { worker, stopped, stop, jobs,
+// retired, drainTimer, shutDown }. `stopped` rejects when it is shut
+// down, failing the jobs it was running.
+let current = null;
+let idleTimer = null;
+let barcodeReader = null;
+
+// Language data ships in @tesseract.js-data/<lang> so nothing is
+// downloaded at runtime; without the package tesseract.js fetches it
+const languageOptions = async () => {
+  try {
+    const { default: data } = await import(`@tesseract.js-data/${OCR_LANG}`);
+    return { langPath: data.langPath, gzip: data.gzip, cacheMethod: 'none' };
+  } catch {
+    return {};
+  }
+};
+
+const startWorker = () => {
+  let stop;
+  const stopped = new Promise((_, reject) => {
+    stop = reject;
+  });
+  // Only observed by jobs still running at shutdown
+  stopped.catch(() => {});
+
+  const worker = (async () => {
+    const { createWorker } = await import('tesseract.js');
+    return createWorker(OCR_LANG, 1, await languageOptions());
+  })();
+
+  return {
+    worker,
+    stopped,
+    stop: () => stop(new Error('OCR worker was shut down')),
+    jobs: 0,
+    retired: false,
+    drainTimer: null,
+    shutDown: false,
+  };
+};
+
+const shutDown = async (ocrWorker) => {
+  if (ocrWorker.shutDown) {
+    return;
+  }
+  ocrWorker.shutDown = true;
+  clearTimeout(ocrWorker.drainTimer);
+
+  ocrWorker.stop();
+  try {
+    const worker = await ocrWorker.worker;
+    // Let jobs already being handed over reach the worker first: a job
+    // sent after terminate() is an unhandled rejection inside tesseract.js
+    await new Promise(resolve => setImmediate(resolve));
+    await worker.terminate();
+  } catch (error) {
+    console.error('OCR worker shutdown error:', error.message);
+  }
+};
+
+// Send new jobs to a fresh worker and shut this one down once the jobs
+// it is running have settled
+const retire = (ocrWorker) => {
+  if (current === ocrWorker) {
+    current = null;
+  }
+  if (ocrWorker.retired) {
+    return;
+  }
+  ocrWorker.retired = true;
+
+  if (ocrWorker.jobs === 0) {
+    shutDown(ocrWorker);
+    return;
+  }
+  // A worker stuck on a job never settles
+  ocrWorker.drainTimer = setTimeout(() => shutDown(ocrWorker), WORKER_DRAIN_MS);
+  ocrWorker.drainTimer.unref?.();
+};
+
+const getWorker = () => {
+  if (!current) {
+    const started = startWorker();
+    current = started;
+    // A failed start shouldn't stick
+    started.worker.catch(() => {
+      if (current === started) {
+        current = null;
+      }
+    });
+  }
+
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(recycleOcr, WORKER_IDLE_MS);
+  idleTimer.unref?.();
+
+  return current;
+};
+
+const getBarcodeReader = () => {
+  if (!barcodeReader) {
+    barcodeReader = (async () => {
+      const reader = await import('zxing-wasm/reader');
+      // The default loader fetches the .wasm from a CDN; load the local copy
+      const wasm = await readFile(require.resolve('zxing-wasm/reader/zxing_reader.wasm'));
+      reader.prepareZXingModule({
+        overrides: { wasmBinary: wasm.buffer.slice(wasm.byteOffset, wasm.byteOffset + wasm.byteLength) },
+      });
+      return reader;
+    })();
+    barcodeReader.catch(() => {
+      barcodeReader = null;
+    });
+  }
+  return barcodeReader;
+};
+
+/**
+ * Recognise the text in an image buffer.
+ * Returns { text, confidence } with confidence from 0 to 1.
+ */
+export const recognizeText = async (buffer) => {
+  const ocrWorker = getWorker();
+  ocrWorker.jobs += 1;
+  try {
+    const worker = await ocrWorker.worker;
+    // tesseract.js can't take jobs once terminated
+    if (ocrWorker.shutDown) {
+      throw new Error('OCR worker was shut down');
+    }
+
+    const job = worker.recognize(buffer);
+    // Still rejects inside tesseract.js after losing the race to `stopped`
+    job.catch(() => {});
+    const { data } = await Promise.race([job, ocrWorker.stopped]);
+
+    return {
+      text: data.text.trim(),
+      confidence: Math.round(data.confidence) / 100,
+    };
+  } finally {
+    ocrWorker.jobs -= 1;
+    if (ocrWorker.retired && ocrWorker.jobs === 0) {
+      shutDown(ocrWorker);
+    }
+  }
+};
+
+/**
+ * Decode every barcode in an image buffer. Returns [{ format, value }].
+ */
+export const readBarcodes = async (buffer) => {
+  const reader = await getBarcodeReader();
+  const results = await reader.readBarcodes(new Uint8Array(buffer), {
+    formats: BARCODE_FORMATS,
+    tryHarder: true,
+    maxNumberOfSymbols: 4,
+  });
+
+  return results
+    .filter(result => result.isValid && result.text)
+    .map(result => ({ format: result.format, value: result.text }));
+};
+
+/**
+ * Move on from the current tesseract worker, e.g. after a job on it timed
+ * out. Jobs already running on it are left to finish; the next
+ * recognizeText starts a new one.
+ */
+export const recycleOcr = () => {
+  clearTimeout(idleTimer);
+  if (current) {
+    retire(current);
+  }
+};
+
+// "Model: WF-8204", "Model No. ABC123", "M/N: X-1", "Type KX-TG"
+const LABELLED_MODEL = /\b(?:model(?:\s*(?:no|number|#))?|mod|m\/n|type|part\s*(?:no|number)|p\/n)\b\.?\s*[:#.]?\s*((?=[A-Z\-/.]*\d)[A-Z0-9][A-Z0-9\-/.]{2,24})/gi;
+
+// Unlabelled codes mixing letters and digits, e.g. "KDL-40W600B"
+const MODEL_LIKE = /\b(?=[A-Z0-9\-/]*\d)(?=[A-Z0-9\-/]*[A-Z])[A-Z0-9][A-Z0-9\-/]{3,19}\b/g;
+
+// Things that look like codes on a label but aren't model numbers
+const NOT_MODEL = /^(?:\d+(?:V|W|HZ|A|MA|KG|G|MM|CM|L|ML|KW|KWH|MAH)|IP\d{2}|\d{4}-\d{2}(?:-\d{2})?)$/i;
+
+/**
+ * Likely model numbers in OCR text, best first. Labelled values
+ * ("Model: ...") rank ahead of code-shaped tokens found elsewhere.
+ */
+export const findModelNumbers = (text = '') => {
+  const candidates = [];
+  const add = (value) => {
+    const cleaned = value.replace(/[.\-/]+$/, '').toUpperCase();
+    if (cleaned.length >= 3 && !NOT_MODEL.test(cleaned) && !candidates.includes(cleaned)) {
+      candidates.push(cleaned);
+    }
+  };
+
+  for (const match of text.matchAll(LABELLED_MODEL)) {
+    add(match[1]);
+  }
+  for (const match of text.toUpperCase().matchAll(MODEL_LIKE)) {
+    add(match[0]);
+  }
+
+  return candidates.slice(0, 5);
+};
@@ -0,0 +1,39 @@
+// Specification guidance for allSpecs, by listing category
+export const PROMPT_CATEGORIES = {
+  general: {
+    'Generate ALL product-specific specifications here as key-value pairs': 'Include every technical detail, feature, measurement, rating, etc. based on product type',
+    'For Electronics': 'Screen size, resolution, processor, RAM, storage, battery, OS, etc.',
+    'For Appliances': 'Energy rating, capacity, dimensions, load type, RPM, noise level, etc.',
+    'For Furniture': 'Dimensions, material, weight capacity, assembly required, style, etc.',
+    'For Clothing': 'Size, fit, fabric composition, care instructions, style, etc.',
+    'For Vehicles/Parts': 'Make, model, year, VIN, mileage, engine, transmission, etc.',
+    'Be comprehensive': 'Include everything visible or known about this specific product',
+  },
+  electronics: {
+    'Generate ALL electronics specifications here as key-value pairs': 'Screen size, resolution, refresh rate, processor, RAM, storage, battery health, OS version, ports, wireless standards',
+    'Included accessories': 'Chargers, cables, cases, original packaging',
+    'Be comprehensive': 'Include everything visible or known about this specific product',
+  },
+  appliances: {
+    'Generate ALL appliance specifications here as key-value pairs': 'Energy and water rating, capacity, dimensions, load type, RPM, noise level, programs, installation requirements',
+    'Running costs': 'Annual energy/water use if known',
+    'Be comprehensive': 'Include everything visible or known about this specific product',
+  },
+  furniture: {
+    'Generate ALL furniture specifications here as key-value pairs': 'Overall and seat dimensions, materials, finish, weight capacity, assembly required, style, number of pieces',
+    'Pickup notes': 'Whether it disassembles and what vehicle is needed',
+    'Be comprehensive': 'Include everything visible or known about this specific product',
+  },
+  fashion: {
+    'Generate ALL clothing specifications here as key-value pairs': 'Size (with conversions), fit, measurements, fabric composition, care instructions, style, season',
+    'Authenticity': 'Labels, tags, serial codes or receipts visible',
+    'Be comprehensive': 'Include everything visible or known about this specific product',
+  },
+  vehicles: {
+    'Generate ALL vehicle/part specifications here as key-value pairs': 'Make, model, year, VIN, mileage, engine, transmission, fuel type, service history, registration',
+    'For parts': 'Part numbers, fitment (makes/models/years), OEM or aftermarket',
+    'Be comprehensive': 'Include everything visible or known about this specific product',
+  },
+};
+
+export const DEFAULT_CATEGORY = 'general';
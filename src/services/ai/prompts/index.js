@@ -0,0 +1,136 @@
+import crypto from 'crypto';
+import listingV1 from './listing-v1.js';
+import listingV2 from './listing-v2.js';
+import { PROMPT_LOCALES, DEFAULT_LOCALE } from './locales.js';
+import { PROMPT_TONES, DEFAULT_TONE } from './tones.js';
+import { PROMPT_CATEGORIES, DEFAULT_CATEGORY } from './categories.js';
+
+/**
+ * Listing prompt templates.
+ *
+ * A template is { version, description, build(params) } where build
+ * receives { productIdentifier, locale, toneGuidelines, categorySpecs,
+ * additionalInfo } and returns the prompt text. Versions are immutable:
+ * change a prompt by adding a new version so results stay comparable.
+ */
+const templates = new Map();
+
+export const registerPromptTemplate = (template) => {
+  templates.set(template.version, template);
+};
+
+registerPromptTemplate(listingV1);
+registerPromptTemplate(listingV2);
+
+export { PROMPT_LOCALES, PROMPT_TONES, PROMPT_CATEGORIES };
+
+export const DEFAULT_PROMPT_VERSION = templates.has(process.env.AI_PROMPT_VERSION)
+  ? process.env.AI_PROMPT_VERSION
+  : listingV1.version;
+
+/**
+ * Parse AI_PROMPT_AB, e.g. "listing-v1:50,listing-v2:50", into weighted
+ * variants. Unknown versions are skipped.
+ */
+const parseExperiment = (value = process.env.AI_PROMPT_AB) => {
+  const variants = String(value || '')
+    .split(',')
+    .map(entry => entry.trim().split(':'))
+    .filter(([version]) => {
+      if (version && !templates.has(version)) {
+        console.warn(`Unknown prompt version "${version}" in AI_PROMPT_AB, skipping`);
+        return false;
+      }
+      return Boolean(version);
+    })
+    .map(([version, weight]) => ({ version, weight: Math.max(parseFloat(weight) || 0, 0) }))
+    .filter(variant => variant.weight > 0);
+
+  if (variants.length < 2) {
+    return null;
+  }
+
+  return {
+    name: variants.map(({ version, weight }) => `${version}:${weight}`).join(','),
+    variants,
+  };
+};
+
+const EXPERIMENT = parseExperiment();
+
+/**
+ * Sticky assignment: the same user always lands in the same variant
+ * for a given experiment
+ */
+export const assignVariant = (experiment, userId) => {
+  const total = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${experiment.name}|${userId}`).digest();
+  let point = (hash.readUInt32BE(0) / 0x100000000) * total;
+
+  for (const variant of experiment.variants) {
+    point -= variant.weight;
+    if (point < 0) {
+      return variant.version;
+    }
+  }
+  return experiment.variants[experiment.variants.length - 1].version;
+};
+
+/**
+ * Pick the prompt for a request. An explicit version wins; otherwise
+ * users are assigned through the A/B experiment when one is configured.
+ * Returns { version, locale, tone, category, key, experiment }.
+ */
+export const resolvePrompt = ({ version, locale, tone, category, userId } = {}, experiment = EXPERIMENT) => {
+  let selectedVersion = version && templates.has(version) ? version : null;
+  let assignment = null;
+
+  if (!selectedVersion && experiment && userId) {
+    selectedVersion = assignVariant(experiment, userId);
+    assignment = { name: experiment.name, variant: selectedVersion };
+  }
+
+  const selection = {
+    version: selectedVersion || DEFAULT_PROMPT_VERSION,
+    locale: Object.hasOwn(PROMPT_LOCALES, locale || '') ? locale : DEFAULT_LOCALE,
+    tone: Object.hasOwn(PROMPT_TONES, tone || '') ? tone : DEFAULT_TONE,
+    category: Object.hasOwn(PROMPT_CATEGORIES, category || '') ? category : DEFAULT_CATEGORY,
+    experiment: assignment,
+  };
+
+  // Identifies the exact prompt text, e.g. for cache keys
+  selection.key = [selection.version, selection.locale, selection.tone, selection.category].join(':');
+
+  return selection;
+};
+
+/**
+ * Render the prompt text for a selection from resolvePrompt
+ */
+export const renderPrompt = (selection, { modelNumber, additionalInfo } = {}) => {
+  const template = templates.get(selection.version) || templates.get(DEFAULT_PROMPT_VERSION);
+  const locale = PROMPT_LOCALES[selection.locale];
+
+  return template.build({
+    productIdentifier: modelNumber || 'the product shown in the images',
+    locale,
+    toneGuidelines: PROMPT_TONES[selection.tone](locale),
+    categorySpecs: PROMPT_CATEGORIES[selection.category],
+    additionalInfo,
+  });
+};
+
+/**
+ * Everything a client can choose from
+ */
+export const listPromptOptions = () => ({
+  versions: [...templates.values()].map(({ version, description }) => ({
+    version,
+    description,
+    default: version === DEFAULT_PROMPT_VERSION,
+  })),
+  locales: Object.keys(PROMPT_LOCALES),
+  tones: Object.keys(PROMPT_TONES),
+  categories: Object.keys(PROMPT_CATEGORIES),
+  experiment: EXPERIMENT,
+});
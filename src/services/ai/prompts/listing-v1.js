@@ -0,0 +1,103 @@
+/**
+ * Original listing prompt: the full output structure spelled out inline
+ */
+export default {
+  version: 'listing-v1',
+  description: 'Full JSON example with inline field guidance',
+
+  build({ productIdentifier, locale, toneGuidelines, categorySpecs, additionalInfo }) {
+    const allSpecs = Object.entries(categorySpecs)
+      .map(([key, value]) => `        ${JSON.stringify(key)}: ${JSON.stringify(value)}`)
+      .join(',\n');
+
+    let prompt = `Act as a senior e-commerce content strategist and marketplace listing expert.
+  
+  Generate premium marketplace content for this product: **${productIdentifier}**
+  
+  Deliver the output in **strict JSON format**, matching the structure below.
+  
+  {
+    "seoTitle": "SEO-optimised product title",
+    "keyFeatures": [
+      "6-10 bullet points focused on real benefits, not just specs",
+      "Emphasise build quality, energy efficiency, hygiene, durability, capacity, quiet operation",
+      "Each point should highlight value and user benefits"
+    ],
+    "productDescription": "2–3 paragraphs in premium tone. Clear, helpful, professional — no hype. Explain who it’s ideal for and why.",
+    "specifications": {
+      "brand": "Product brand",
+      "model": "Product model",
+      "modelNumber": "Full model number",
+      "category": "Product category (Electronics, Fashion, Home Appliances, Furniture, Sports, Automotive, etc.)",
+      "subCategory": "Specific subcategory",
+      "dimensions": "Product dimensions (L x W x H)",
+      "weight": "Product weight",
+      "capacity": "Capacity/Size if applicable",
+      "color": "Product color/finish",
+      "material": "Primary materials used",
+      "year": "Year/manufacture date",
+      "condition": "Current condition assessment",
+      "powerSpecs": "Power requirements/battery (if applicable)",
+      "connectivity": "Connection types/ports (if applicable)",
+      "compatibility": "Compatible systems/models (if applicable)",
+      "warranty": "Warranty information (if known)",
+      "origin": "Country of manufacture (if visible)",
+      "certifications": "Safety certifications/standards (if visible)",
+      "allSpecs": {
+${allSpecs}
+      }
+    },
+    "shortMarketplaceSummary": "1 concise paragraph for eBay/FB Marketplace/Google Shopping (50-80 words)",
+    "longSeoDescription": "1-2 paragraphs targeting search keywords. Avoid repetition from earlier sections. Focus on benefits and search intent. (150-200 words)",
+    "seoKeywords": {
+      "primary": ["3-5 primary keywords"],
+      "secondary": ["5-7 secondary keywords"],
+      "longTail": ["5-8 long-tail keyword phrases"]
+    },
+    "marketplaceTags": ["20-30 relevant tags for marketplace categorisation"],
+    "condition": "new|like-new|excellent|good|fair|poor|for-parts",
+    "conditionNotes": "Specific condition details if visible, any defects or wear",
+    "suggestedPrice": {
+      "min": 0,
+      "max": 0,
+      "currency": "${locale.currency}",
+      "reasoning": "Brief price justification based on condition and market value"
+    },
+    "warnings": ["Any safety or authenticity concerns if applicable"],
+    "confidence": 0.95
+  }
+  
+  **Tone & Style Guidelines:**
+${toneGuidelines.map(line => `  - ${line}`).join('\n')}
+  - Write in ${locale.language} using ${locale.spelling}
+  - ${locale.context}
+  
+  **Formatting Rules:**
+  - Deliver JSON output only
+  - No Markdown or text explanations outside the JSON
+  - All keys must be present and filled accurately (no placeholders)
+  - Write as if product details are known
+  - Focus on high-intent keywords and conversion
+  - Include detailed, verified specifications
+  - Avoid repetition across sections
+  - Include all technical and descriptive details possible
+  
+  **Important:**
+  - Write as if product details are verified and complete
+  - Focus on high-intent SEO and conversion-driven structure
+  - Content must be suitable for ${locale.marketplaces}
+  - Include keywords that enhance search ranking
+  - Be accurate and honest about the condition
+  - If uncertain about any detail, reflect that in the confidence score
+  
+  `;
+
+    if (additionalInfo) {
+      prompt += `
+  
+  **Additional Context:** ${additionalInfo}`;
+    }
+
+    return prompt;
+  },
+};
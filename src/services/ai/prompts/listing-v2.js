@@ -0,0 +1,44 @@
+/**
+ * Schema-first listing prompt. The output structure comes from the
+ * response schema, so the prompt only carries writing guidance.
+ */
+export default {
+  version: 'listing-v2',
+  description: 'Short brief relying on the structured output schema',
+
+  build({ productIdentifier, locale, toneGuidelines, categorySpecs, additionalInfo }) {
+    const specGuidance = Object.entries(categorySpecs)
+      .map(([key, value]) => `- ${key}: ${value}`)
+      .join('\n');
+
+    return `You write marketplace listings for second-hand and new products.
+
+Product: ${productIdentifier}
+
+Return one JSON object with the fields of the listing schema: seoTitle, keyFeatures, productDescription, specifications (with allSpecs), shortMarketplaceSummary, longSeoDescription, seoKeywords, marketplaceTags, condition, conditionNotes, suggestedPrice, warnings and confidence.
+
+Writing:
+${toneGuidelines.map(line => `- ${line}`).join('\n')}
+- ${locale.language}, ${locale.spelling}
+- ${locale.context}
+- Suitable for ${locale.marketplaces}
+
+Content:
+- seoTitle: brand, model and the one or two attributes buyers search for, under 80 characters
+- keyFeatures: 6-10 benefits, one sentence each
+- productDescription: 2-3 short paragraphs, who it suits and why
+- shortMarketplaceSummary: 50-80 words; longSeoDescription: 150-200 words without repeating the description
+- seoKeywords: 3-5 primary, 5-7 secondary, 5-8 long-tail; marketplaceTags: 20-30 tags
+
+Specifications (allSpecs):
+${specGuidance}
+
+Accuracy:
+- Only state details visible in the images, implied by the model number or given below
+- Assess condition honestly (new, like-new, excellent, good, fair, poor, for-parts) and note visible wear in conditionNotes
+- suggestedPrice in ${locale.currency} for this condition in the local second-hand market, with reasoning
+- Lower confidence (0-1) when details are uncertain${additionalInfo ? `
+
+Seller notes: ${additionalInfo}` : ''}`;
+  },
+};
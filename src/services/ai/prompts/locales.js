@@ -0,0 +1,29 @@
+// Market context for each supported listing locale
+export const PROMPT_LOCALES = {
+  'en-AU': {
+    language: 'Australian English',
+    spelling: 'Australian spelling (optimise, colour, centre)',
+    currency: 'AUD',
+    context: 'Australia context where relevant (local standards, energy and water ratings, voltage)',
+    retailers: 'Appliances Online / The Good Guys / JB Hi-Fi',
+    marketplaces: 'Facebook Marketplace, eBay, Gumtree, Google Shopping & website listings',
+  },
+  'en-US': {
+    language: 'American English',
+    spelling: 'US spelling (optimize, color, center)',
+    currency: 'USD',
+    context: 'US context where relevant (imperial measurements alongside metric, UL/FCC/Energy Star)',
+    retailers: 'Best Buy / Crate & Barrel / REI',
+    marketplaces: 'Facebook Marketplace, eBay, Craigslist, OfferUp, Google Shopping & website listings',
+  },
+  'en-GB': {
+    language: 'British English',
+    spelling: 'British spelling (optimise, colour, centre)',
+    currency: 'GBP',
+    context: 'UK context where relevant (UK plugs, energy labels, CE/UKCA marks)',
+    retailers: 'John Lewis / Currys / AO.com',
+    marketplaces: 'Facebook Marketplace, eBay, Gumtree, Vinted, Google Shopping & website listings',
+  },
+};
+
+export const DEFAULT_LOCALE = 'en-AU';
@@ -0,0 +1,14 @@
+export const OCR_PROMPT_VERSION = 'ocr-v1';
+
+/**
+ * Prompt for reading label text and barcodes from product photos with a
+ * vision model (AI_OCR=vision)
+ */
+export const buildOcrPrompt = () => `Read the text printed on the product in these photos: rating plates, model-number stickers, labels and packaging.
+
+Return a single JSON object with:
+- text: all legible label text, transcribed exactly, one label per line
+- barcodes: [{ format, value }] for any barcode or QR code whose digits or content you can read
+- modelNumbers: the product's model numbers, most likely first. Don't include serial numbers, dates or electrical ratings
+
+Don't guess characters you can't read. Return empty values if there is no legible text. JSON only.`;
@@ -0,0 +1,65 @@
+import { PROMPT_LOCALES, DEFAULT_LOCALE } from './locales.js';
+
+export const REVISION_PROMPT_VERSION = 'revision-v1';
+
+const SECTION_GUIDANCE = {
+  title: 'title: brand, model and the attributes buyers search for, under 200 characters',
+  description: 'description: the full listing description, plain text, under 10000 characters',
+  key_features: 'key_features: 6-10 benefit-focused bullet points, one sentence each',
+  seo_description: 'seo_description: 150-200 words targeting search keywords without repeating the description',
+  quick_summary: 'quick_summary: 50-80 word summary for marketplace feeds, under 500 characters',
+  marketplace_tags: 'marketplace_tags: 20-30 short tags for marketplace categorisation',
+};
+
+// Current listing data the model should stay consistent with
+const describeListing = (listing) => {
+  const specifications = listing.specifications instanceof Map
+    ? Object.fromEntries(listing.specifications)
+    : listing.specifications || {};
+
+  return JSON.stringify({
+    title: listing.title,
+    model_number: listing.model_number || undefined,
+    condition: listing.condition,
+    price: listing.price ?? undefined,
+    currency: listing.currency,
+    specifications,
+    key_features: listing.key_features,
+    description: (listing.description || '').substring(0, 4000),
+    quick_summary: listing.quick_summary || undefined,
+    seo_description: listing.seo_description || undefined,
+    marketplace_tags: listing.marketplace_tags,
+    seller_notes: listing.additional_details || undefined,
+  }, null, 2);
+};
+
+/**
+ * Prompt for regenerating (no instructions) or rewriting (with
+ * instructions) selected sections of a saved listing
+ */
+export const buildRevisionPrompt = ({ listing, sections, instructions = null, locale = DEFAULT_LOCALE }) => {
+  const market = PROMPT_LOCALES[locale] || PROMPT_LOCALES[DEFAULT_LOCALE];
+
+  const task = instructions
+    ? `Rewrite the sections below following the seller's instructions. Change only what the instructions ask for and keep every fact consistent with the listing.
+
+Seller's instructions: ${instructions}`
+    : 'Write fresh versions of the sections below from the listing data and the photos. Keep every fact consistent with the listing.';
+
+  return `You are editing an existing marketplace listing.
+
+${task}
+
+Sections to return:
+${sections.map(section => `- ${SECTION_GUIDANCE[section]}`).join('\n')}
+
+Writing:
+- ${market.language}, ${market.spelling}
+- Clear, honest and specific, no hype
+- Be accurate about the condition and don't invent details that aren't in the listing, the photos or the instructions
+
+Current listing:
+${describeListing(listing)}
+
+Return a single JSON object with exactly these keys: ${sections.join(', ')}. JSON only.`;
+};
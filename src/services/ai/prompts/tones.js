@@ -0,0 +1,26 @@
+// Writing style guidelines, `retailers` comes from the locale
+export const PROMPT_TONES = {
+  premium: ({ retailers }) => [
+    `Sounds like premium retail (${retailers})`,
+    'Clean, confident, premium tone',
+    'Zero fluff, zero overly-salesy language',
+    'Use straightforward language, high trust, high clarity',
+    'Focus on durability, hygiene, efficiency, and real user benefits',
+  ],
+  friendly: () => [
+    'Sounds like a trusted local seller talking to a neighbour',
+    'Warm, conversational and honest',
+    'Short sentences, plain words, no jargon unless the buyer needs it',
+    'Mention how the item has been used and why it suits the next owner',
+    'No hype or pressure tactics',
+  ],
+  technical: () => [
+    'Sounds like a specialist reseller writing for informed buyers',
+    'Precise, specification-led and factual',
+    'Lead with model details, measurements, ratings and compatibility',
+    'Explain what each key spec means in practice, briefly',
+    'No marketing superlatives',
+  ],
+};
+
+export const DEFAULT_TONE = 'premium';
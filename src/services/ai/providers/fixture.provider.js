@@ -0,0 +1,122 @@
+import crypto from 'crypto';
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * The same input always produces the same listing, and nothing is fetched
+ * over the network (images are only counted).
+ */
+export const createFixtureProvider = ({ name = 'fixture', chunkSize = 40, timeoutMs } = {}) => {
+  const buildResponse = ({ images = [], context = {} }) => {
+    const modelNumber = context.modelNumber || 'SAMPLE-100';
+    const seed = crypto
+      .createHash('sha256')
+      .update(`${modelNumber}|${context.additionalInfo || ''}|${images.join(',')}`)
+      .digest();
+    const basePrice = 50 + (seed.readUInt16BE(0) % 950);
+
+    return {
+      seoTitle: `Fixture Brand ${modelNumber} Product`,
+      keyFeatures: [
+        `Reliable everyday performance from the ${modelNumber}`,
+        'Solid build quality for long-term use',
+        'Easy to clean and maintain',
+      ],
+      productDescription: `The Fixture Brand ${modelNumber} is a dependable choice for everyday use. ` +
+        `This listing was generated offline from ${images.length} image(s).`,
+      specifications: {
+        brand: 'Fixture Brand',
+        model: modelNumber,
+        modelNumber,
+        category: 'Home Appliances',
+        subCategory: 'Fixtures',
+        color: 'White',
+        condition: 'Good',
+        allSpecs: { 'Test Fixture': 'true' },
+      },
+      shortMarketplaceSummary: `Fixture Brand ${modelNumber} in good condition, ready to go.`,
+      longSeoDescription: `Looking for a Fixture Brand ${modelNumber}? This one is in good working order.`,
+      seoKeywords: {
+        primary: ['fixture brand', modelNumber.toLowerCase()],
+        secondary: ['home appliance'],
+        longTail: [`fixture brand ${modelNumber.toLowerCase()} for sale`],
+      },
+      marketplaceTags: ['fixture', 'home', 'appliance'],
+      condition: 'good',
+      conditionNotes: 'Generated by the fixture provider',
+      suggestedPrice: {
+        min: basePrice,
+        max: basePrice + 50,
+        currency: 'USD',
+        reasoning: 'Deterministic fixture price',
+      },
+      warnings: [],
+      confidence: 0.9,
+    };
+  };
+
+  // Section revisions: deterministic values for just the requested sections
+  const buildSections = ({ context }) => {
+    const modelNumber = context.modelNumber || 'SAMPLE-100';
+    const suffix = context.instructions ? ' (revised)' : '';
+    const values = {
+      title: `Fixture Brand ${modelNumber} Product${suffix}`,
+      description: `The Fixture Brand ${modelNumber} is a dependable choice for everyday use.${suffix}`,
+      key_features: [
+        `Reliable everyday performance from the ${modelNumber}`,
+        `Solid build quality for long-term use${suffix}`,
+      ],
+      seo_description: `Looking for a Fixture Brand ${modelNumber}? This one is in good working order.${suffix}`,
+      quick_summary: `Fixture Brand ${modelNumber} in good condition, ready to go.${suffix}`,
+      marketplace_tags: ['fixture', 'home', 'appliance', modelNumber.toLowerCase()],
+    };
+
+    return Object.fromEntries(context.sections.map(section => [section, values[section]]));
+  };
+
+  // Label text for AI_OCR=vision
+  const buildTextExtraction = () => ({
+    text: 'MODEL: FIXTURE-100\n240V 50Hz',
+    barcodes: [],
+    modelNumbers: ['FIXTURE-100'],
+  });
+
+  const respond = (request) => {
+    if (request.context?.task === 'ocr') return buildTextExtraction();
+    if (request.context?.sections) return buildSections(request);
+    return buildResponse(request);
+  };
+
+  // Roughly four characters per token, so usage reports look realistic
+  const estimateUsage = ({ prompt = '' }, text) => ({
+    input_tokens: Math.ceil(prompt.length / 4),
+    output_tokens: Math.ceil(text.length / 4),
+  });
+
+  return {
+    name,
+    model: 'fixture',
+    timeoutMs,
+
+    isConfigured: () => true,
+
+    async analyzeImages(request) {
+      const text = JSON.stringify(respond(request));
+      return { text, usage: estimateUsage(request, text) };
+    },
+
+    async analyzeText(request) {
+      return this.analyzeImages({ ...request, images: [] });
+    },
+
+    async *stream(request) {
+      const text = JSON.stringify(respond(request));
+      for (let i = 0; i < text.length; i += chunkSize) {
+        yield text.slice(i, i + chunkSize);
+      }
+
+      return { usage: estimateUsage(request, text) };
+    },
+  };
+};
+
+export default createFixtureProvider;
@@ -0,0 +1,70 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { fetchImages } from '../images.js';
+import { toGeminiSchema } from '../listingSchema.js';
+
+/**
+ * Google Gemini provider
+ */
+export const createGeminiProvider = ({
+  apiKey = process.env.GOOGLE_AI_API_KEY,
+  model = process.env.GEMINI_MODEL || 'gemini-2.5-flash',
+  timeoutMs,
+} = {}) => {
+  const client = apiKey ? new GoogleGenerativeAI(apiKey) : null;
+  const geminiModel = client ? client.getGenerativeModel({ model }) : null;
+
+  const buildRequest = async ({ prompt, images = [], responseSchema }) => {
+    const fetched = await fetchImages(images);
+    return {
+      contents: [{
+        role: 'user',
+        parts: [
+          { text: prompt },
+          ...fetched.map(({ data, mimeType }) => ({ inlineData: { data, mimeType } })),
+        ],
+      }],
+      // Constrain the output to the listing schema
+      ...(responseSchema && {
+        generationConfig: {
+          responseMimeType: 'application/json',
+          responseSchema: toGeminiSchema(responseSchema),
+        },
+      }),
+    };
+  };
+
+  const toUsage = (metadata) => ({
+    input_tokens: metadata?.promptTokenCount || 0,
+    output_tokens: metadata?.candidatesTokenCount || 0,
+  });
+
+  return {
+    name: 'gemini',
+    model,
+    timeoutMs,
+
+    isConfigured: () => Boolean(geminiModel),
+
+    async analyzeImages(request) {
+      const result = await geminiModel.generateContent(await buildRequest(request), { signal: request.signal });
+      const response = await result.response;
+      return { text: response.text(), usage: toUsage(response.usageMetadata) };
+    },
+
+    async analyzeText(request) {
+      return this.analyzeImages({ ...request, images: [] });
+    },
+
+    async *stream(request) {
+      const result = await geminiModel.generateContentStream(await buildRequest(request), { signal: request.signal });
+      for await (const chunk of result.stream) {
+        yield chunk.text();
+      }
+
+      const response = await result.response;
+      return { usage: toUsage(response.usageMetadata) };
+    },
+  };
+};
+
+export default createGeminiProvider;
@@ -0,0 +1,66 @@
+import { createGeminiProvider } from './gemini.provider.js';
+import { createOpenAIProvider, createLocalProvider } from './openai.provider.js';
+import { createFixtureProvider } from './fixture.provider.js';
+
+/**
+ * AI provider registry.
+ *
+ * A provider is an object with:
+ *   name                                  - unique provider name
+ *   isConfigured()                        - whether it can be used right now
+ *   analyzeImages({ prompt, images, context, signal }) -> Promise<{ text, usage }>
+ *   analyzeText({ prompt, context, signal }) -> Promise<{ text, usage }>
+ *   stream({ prompt, images, context, signal }) -> AsyncGenerator<string, { usage }>
+ *   timeoutMs (optional)                  - overrides the default timeout
+ *
+ * `context` carries the raw inputs (modelNumber, additionalInfo) for
+ * providers that don't need the prompt, such as the fixture provider.
+ * Requests may also carry a `responseSchema` (JSON schema) that providers
+ * with structured output support should constrain their response to.
+ * `usage` is { input_tokens, output_tokens } when the provider reports it.
+ * `signal` aborts when the service gives up on a call (a timeout, or an
+ * abandoned stream), and should cancel the upstream request.
+ */
+const factories = new Map();
+
+export const registerProvider = (name, factory) => {
+  factories.set(name, factory);
+};
+
+export const createProvider = (name, options = {}) => {
+  const factory = factories.get(name);
+  if (!factory) {
+    throw new Error(`Unknown AI provider: ${name}`);
+  }
+  return factory(options);
+};
+
+export const listProviders = () => [...factories.keys()];
+
+/**
+ * Ordered provider names from AI_PROVIDERS (e.g. "gemini,openai"),
+ * falling back to AI_PROVIDER first and the rest after it
+ */
+export const providerOrder = () => {
+  if (process.env.AI_PROVIDERS) {
+    return process.env.AI_PROVIDERS.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  const preferred = process.env.AI_PROVIDER || 'gemini';
+  return [preferred, ...['gemini', 'openai'].filter(name => name !== preferred)];
+};
+
+export const createProviderChain = (names = providerOrder()) =>
+  names
+    .filter((name) => {
+      if (!factories.has(name)) {
+        console.warn(`Skipping unknown AI provider: ${name}`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => createProvider(name));
+
+registerProvider('gemini', createGeminiProvider);
+registerProvider('openai', createOpenAIProvider);
+registerProvider('local', createLocalProvider);
+registerProvider('fixture', createFixtureProvider);
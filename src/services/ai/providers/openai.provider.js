@@ -0,0 +1,161 @@
+import OpenAI from 'openai';
+import { fetchImages, toDataUrl } from '../images.js';
+
+const SYSTEM_PROMPTS = {
+  text: 'You are an expert at analyzing product specifications and creating detailed, accurate marketplace listings. Always provide honest condition assessments and accurate product information.',
+  images: 'You are an expert at analyzing product images and creating detailed, accurate marketplace listings. Always provide honest condition assessments and accurate product information.',
+};
+
+/**
+ * OpenAI chat completions provider. With a `baseURL` it talks to any
+ * OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio).
+ *
+ * `inlineImages` sends images as base64 data URLs for servers that can't
+ * fetch remote URLs themselves.
+ *
+ * `responseFormat` picks how a request's responseSchema is enforced:
+ * 'json_schema' (structured outputs), 'json_object' (JSON mode, for servers
+ * without schema support) or 'none'.
+ */
+export const createOpenAIProvider = ({
+  name = 'openai',
+  apiKey = process.env.OPENAI_API_KEY,
+  baseURL,
+  model = process.env.OPENAI_MODEL || 'gpt-4o',
+  inlineImages = false,
+  maxTokens = 4096,
+  temperature = 0.3,
+  responseFormat = 'json_schema',
+  timeoutMs,
+} = {}) => {
+  const client = apiKey || baseURL
+    ? new OpenAI({ apiKey: apiKey || 'not-needed', ...(baseURL && { baseURL }) })
+    : null;
+
+  const buildMessages = async (prompt, images = []) => {
+    // If no images provided, use a text-only request
+    if (images.length === 0) {
+      return [
+        { role: 'system', content: SYSTEM_PROMPTS.text },
+        { role: 'user', content: prompt },
+      ];
+    }
+
+    const urls = inlineImages
+      ? (await fetchImages(images)).map(toDataUrl)
+      : images;
+
+    return [
+      { role: 'system', content: SYSTEM_PROMPTS.images },
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          ...urls.map(url => ({
+            type: 'image_url',
+            image_url: { url, detail: 'high' },
+          })),
+        ],
+      },
+    ];
+  };
+
+  const buildResponseFormat = (responseSchema) => {
+    if (!responseSchema || responseFormat === 'none') {
+      return undefined;
+    }
+    if (responseFormat === 'json_object') {
+      return { type: 'json_object' };
+    }
+    return {
+      type: 'json_schema',
+      // Not strict: strict mode requires every property to be required
+      json_schema: { name: 'listing', schema: responseSchema, strict: false },
+    };
+  };
+
+  const buildParams = async ({ prompt, images = [], responseSchema }) => {
+    const format = buildResponseFormat(responseSchema);
+    return {
+      model,
+      messages: await buildMessages(prompt, images),
+      max_tokens: maxTokens,
+      temperature,
+      ...(format && { response_format: format }),
+    };
+  };
+
+  const toUsage = (usage) => ({
+    input_tokens: usage?.prompt_tokens || 0,
+    output_tokens: usage?.completion_tokens || 0,
+  });
+
+  return {
+    name,
+    model,
+    timeoutMs,
+
+    isConfigured: () => Boolean(client),
+
+    async analyzeImages(request) {
+      const response = await client.chat.completions.create(await buildParams(request), { signal: request.signal });
+
+      return { text: response.choices[0].message.content, usage: toUsage(response.usage) };
+    },
+
+    async analyzeText(request) {
+      return this.analyzeImages({ ...request, images: [] });
+    },
+
+    async *stream(request) {
+      const stream = await client.chat.completions.create({
+        ...await buildParams(request),
+        stream: true,
+        // Token counts arrive in a final chunk with no choices
+        stream_options: { include_usage: true },
+      }, { signal: request.signal });
+
+      let usage = null;
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          yield delta;
+        }
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+      }
+
+      return { usage: toUsage(usage) };
+    },
+  };
+};
+
+/**
+ * Local OpenAI-compatible server, e.g. Ollama (http://localhost:11434/v1)
+ * or llama.cpp (http://localhost:8080/v1)
+ */
+export const createLocalProvider = ({
+  baseURL = process.env.AI_LOCAL_BASE_URL,
+  model = process.env.AI_LOCAL_MODEL || 'llama3.2-vision',
+  // Never left undefined, which would fall back to the OpenAI key and send
+  // it to the local server
+  apiKey = process.env.AI_LOCAL_API_KEY || 'not-needed',
+  responseFormat = process.env.AI_LOCAL_RESPONSE_FORMAT || 'json_schema',
+  ...options
+} = {}) => {
+  const provider = createOpenAIProvider({
+    name: 'local',
+    baseURL,
+    model,
+    apiKey,
+    inlineImages: true,
+    responseFormat,
+    ...options,
+  });
+
+  // Only usable when a server address is configured
+  return { ...provider, isConfigured: () => Boolean(baseURL) };
+};
+
+export default createOpenAIProvider;
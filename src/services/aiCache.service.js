@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import AICache from '../models/AICache.js';
+import { hashImages } from './ai/images.js';
+
+const DEFAULT_TTL_HOURS = 7 * 24;
+
+// "ABC 123", "abc-123" and "ABC123 " identify the same product
+const normalizeModelNumber = (modelNumber) =>
+  String(modelNumber || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const normalizeText = (text) =>
+  String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Content-addressed cache for AI analyses. Cache failures never fail an
+ * analysis; they are logged and treated as a miss.
+ */
+class AICacheService {
+  constructor({
+    enabled = process.env.AI_CACHE_ENABLED !== 'false',
+    ttlHours = parseFloat(process.env.AI_CACHE_TTL_HOURS) || DEFAULT_TTL_HOURS,
+  } = {}) {
+    this.enabled = enabled;
+    this.ttlMs = ttlHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Build the cache key for an analysis request.
+   * Image order doesn't matter, so hashes are sorted before keying.
+   */
+  async buildKey({ images = [], modelNumber, additionalInfo, promptVersion }) {
+    const imageHashes = await hashImages(images);
+    const modelNumberKey = normalizeModelNumber(modelNumber);
+
+    const key = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({
+        prompt: promptVersion,
+        images: [...imageHashes].sort(),
+        model: modelNumberKey,
+        info: normalizeText(additionalInfo),
+      }))
+      .digest('hex');
+
+    return { key, imageHashes, modelNumber: modelNumberKey };
+  }
+
+  /**
+   * Look up an entry, counting the hit. Returns null on a miss.
+   */
+  async get(key) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    try {
+      return await AICache.findOneAndUpdate(
+        { key, expires_at: { $gt: new Date() } },
+        { $inc: { hits: 1 }, last_hit_at: new Date() },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      console.error('AI cache read error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store an analysis, replacing any previous entry for the key
+   */
+  async set({ key, imageHashes, modelNumber, promptVersion }, analysis) {
+    if (!this.enabled) {
+      return;
+    }
+
+    try {
+      await AICache.findOneAndUpdate(
+        { key },
+        {
+          key,
+          prompt_version: promptVersion,
+          model_number: modelNumber,
+          image_hashes: imageHashes,
+          provider: analysis.aiProvider || null,
+          analysis,
+          hits: 0,
+          last_hit_at: null,
+          expires_at: new Date(Date.now() + this.ttlMs),
+          created_at: new Date(),
+        },
+        { upsert: true }
+      );
+    } catch (error) {
+      console.error('AI cache write error:', error.message);
+    }
+  }
+}
+
+export { AICacheService };
+
+// Export singleton instance
+export default new AICacheService();
@@ -0,0 +1,287 @@
+import os from 'os';
+import AIJob from '../models/AIJob.js';
+import Listing from '../models/Listing.js';
+import aiService from './ai.service.js';
+import aiUsage from './aiUsage.service.js';
+import notificationService from './notification.service.js';
+
+const POLL_INTERVAL_MS = parseInt(process.env.AI_WORKER_POLL_MS) || 2000;
+const BACKOFF_BASE_MS = parseInt(process.env.AI_JOB_BACKOFF_MS) || 5000;
+// A job locked for longer than this is assumed to belong to a dead worker
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * MongoDB-backed queue for AI analysis jobs. Workers claim jobs with an
+ * atomic findOneAndUpdate, so several server instances can share one queue.
+ */
+class AIQueue {
+  constructor({ processor = null, pollIntervalMs = POLL_INTERVAL_MS, backoffBaseMs = BACKOFF_BASE_MS } = {}) {
+    this.processor = processor || this.analyze.bind(this);
+    this.pollIntervalMs = pollIntervalMs;
+    this.backoffBaseMs = backoffBaseMs;
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.timer = null;
+    this.running = false;
+    this.active = null;
+  }
+
+  /**
+   * Queue an analysis and return the job right away
+   */
+  async enqueue({ userId, images = [], modelNumber = '', additionalInfo = '', listingId = null, bypassCache = false, prompt = {}, barcode = '', quotaReservedAt = null }) {
+    return AIJob.create({
+      user_id: userId,
+      input: {
+        images,
+        model_number: modelNumber || '',
+        additional_info: additionalInfo || '',
+        bypass_cache: bypassCache,
+        prompt,
+        barcode: barcode || '',
+      },
+      listing_id: listingId,
+      quota_reserved_at: quotaReservedAt,
+    });
+  }
+
+  /**
+   * Give the job's quota reservation back once it has failed or was
+   * served from the cache
+   */
+  async releaseQuota(job) {
+    const cached = job.status === 'completed' && job.result?.analysis_details?.cache?.hit;
+    if (job.quota_reserved_at && (job.status === 'failed' || cached)) {
+      await aiUsage.release(job.user_id, job.quota_reserved_at);
+    }
+  }
+
+  /**
+   * Claim the next due job, including jobs abandoned by a crashed worker
+   * that still have attempts left
+   */
+  async claim() {
+    const now = new Date();
+
+    return AIJob.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'queued', run_at: { $lte: now } },
+          {
+            status: 'processing',
+            locked_at: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+            $expr: { $lt: ['$attempts', '$max_attempts'] },
+          },
+        ],
+      },
+      {
+        status: 'processing',
+        locked_at: now,
+        locked_by: this.workerId,
+        $inc: { attempts: 1 },
+      },
+      { sort: { run_at: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Fail abandoned jobs that have used up their attempts, so a job that
+   * crashes or hangs its worker isn't picked up forever. Returns how many
+   * were failed.
+   */
+  async failAbandoned() {
+    const now = new Date();
+    const jobs = await AIJob.find({
+      status: 'processing',
+      locked_at: { $lt: new Date(now.getTime() - LOCK_TIMEOUT_MS) },
+      $expr: { $gte: ['$attempts', '$max_attempts'] },
+    }).select('user_id listing_id locked_at quota_reserved_at');
+
+    let failed = 0;
+    for (const job of jobs) {
+      // Another worker may get there first
+      const { modifiedCount } = await AIJob.updateOne(
+        { _id: job._id, status: 'processing', locked_at: job.locked_at },
+        {
+          status: 'failed',
+          error: 'The job stopped responding too many times',
+          completed_at: now,
+          locked_at: null,
+          locked_by: null,
+        }
+      );
+      if (modifiedCount === 0) {
+        continue;
+      }
+
+      failed++;
+      job.status = 'failed';
+      await this.releaseQuota(job);
+      await notificationService.aiAnalysisComplete(job.user_id, {
+        jobId: job._id,
+        listingId: job.listing_id,
+        failed: true,
+      });
+    }
+    return failed;
+  }
+
+  /**
+   * Process a single job if one is due. Returns the job, or null when idle.
+   */
+  async processNext() {
+    const job = await this.claim();
+    if (!job) {
+      return null;
+    }
+
+    try {
+      job.result = await this.processor(job);
+      job.status = 'completed';
+      job.error = null;
+      job.completed_at = new Date();
+    } catch (error) {
+      job.error = error.message;
+
+      // Client errors won't succeed on a retry
+      const retryable = !(error.statusCode >= 400 && error.statusCode < 500);
+
+      if (retryable && job.attempts < job.max_attempts) {
+        job.status = 'queued';
+        job.run_at = new Date(Date.now() + this.backoffBaseMs * 2 ** (job.attempts - 1));
+      } else {
+        job.status = 'failed';
+        job.completed_at = new Date();
+      }
+    }
+
+    // Only write the outcome while we still hold the lock; a job that ran
+    // past the lock timeout may have been claimed by another worker
+    job.$where = { status: 'processing', locked_by: this.workerId, locked_at: job.locked_at };
+    job.locked_at = null;
+    job.locked_by = null;
+    try {
+      await job.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        console.warn(`AI job ${job._id} was reclaimed by another worker, dropping this result`);
+        return job;
+      }
+      throw error;
+    }
+
+    if (job.status === 'completed' || job.status === 'failed') {
+      await this.releaseQuota(job);
+      await notificationService.aiAnalysisComplete(job.user_id, {
+        title: job.result?.listing_data?.title,
+        jobId: job._id,
+        listingId: job.listing_id,
+        failed: job.status === 'failed',
+      });
+    }
+
+    return job;
+  }
+
+  /**
+   * Default processor, runs the same analysis as /api/ai/analyze-product
+   */
+  async analyze(job) {
+    const {
+      images,
+      model_number: modelNumber,
+      additional_info: additionalInfo,
+      bypass_cache: bypassCache,
+      prompt,
+      barcode,
+    } = job.input;
+
+    const analysis = await aiService.analyzeProductImages(
+      images,
+      modelNumber || null,
+      additionalInfo || null,
+      { bypassCache, userId: job.user_id, prompt: prompt || {}, barcode: barcode || null, queued: true }
+    );
+
+    if (job.listing_id) {
+      await this.fillListing(job.listing_id, analysis, job.user_id);
+    }
+
+    return {
+      listing_data: aiService.buildListingData(analysis, images, modelNumber),
+      analysis_details: analysis,
+    };
+  }
+
+  /**
+   * Fill the job's draft listing with the analysis. The seller's photos,
+   * condition and price are kept, and listings published or removed in
+   * the meantime are left alone.
+   */
+  async fillListing(listingId, analysis, userId = null) {
+    const listing = await Listing.findOne({ _id: listingId, status: 'draft' });
+    if (!listing) {
+      return null;
+    }
+
+    const { condition, ...fields } = aiService.toListingFields(analysis);
+    listing.trackRevision({ userId, source: 'ai' });
+    listing.set({
+      ...fields,
+      model_number: listing.model_number || fields.model_number,
+    });
+
+    return listing.save();
+  }
+
+  /**
+   * Start polling for jobs
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    console.log(`🤖 AI worker ${this.workerId} started`);
+    this.schedule(0);
+  }
+
+  schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.timer.unref();
+  }
+
+  async tick() {
+    this.active = (async () => {
+      try {
+        await this.failAbandoned();
+        // Drain due jobs before sleeping again
+        while (this.running && await this.processNext());
+      } catch (error) {
+        console.error('AI worker error:', error);
+      }
+    })();
+
+    await this.active;
+    this.active = null;
+    this.schedule(this.pollIntervalMs);
+  }
+
+  /**
+   * Stop polling, waiting for the job in progress to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.active) {
+      await this.active;
+    }
+  }
+}
+
+export { AIQueue };
+
+// Export singleton instance
+export default new AIQueue();
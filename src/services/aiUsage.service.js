@@ -0,0 +1,348 @@
+import mongoose from 'mongoose';
+import AIUsage from '../models/AIUsage.js';
+import AIQuotaCounter from '../models/AIQuotaCounter.js';
+import Listing from '../models/Listing.js';
+import { getPlan } from '../config/plans.js';
+
+// USD per million tokens. Override or extend with AI_PRICING, e.g.
+// AI_PRICING='{"gpt-4o":{"input":2.5,"output":10}}'
+const DEFAULT_PRICING = {
+  'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+  'gemini-2.5-pro': { input: 1.25, output: 10 },
+  'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+};
+
+const loadPricing = () => {
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.AI_PRICING || '{}') };
+  } catch {
+    console.error('AI_PRICING is not valid JSON, using default prices');
+    return DEFAULT_PRICING;
+  }
+};
+
+const DEFAULT_REPORT_DAYS = 30;
+
+const reportRange = (from, to) => ({
+  $gte: from || new Date(Date.now() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000),
+  ...(to && { $lte: to }),
+});
+
+const rate = (count, total) => (total > 0 ? count / total : null);
+
+const startOfDay = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+const startOfMonth = (date = new Date()) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The daily and monthly quota windows `date` falls in
+const quotaWindows = (date = new Date()) => {
+  const dayStart = startOfDay(date);
+  const monthStart = startOfMonth(date);
+  return {
+    daily: { period: 'day', starts_at: dayStart, resets_at: new Date(dayStart.getTime() + DAY_MS) },
+    monthly: {
+      period: 'month',
+      starts_at: monthStart,
+      resets_at: new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+    },
+  };
+};
+
+const counterFilter = (userId, windows) => ({
+  user_id: userId,
+  $or: windows.map(({ period, starts_at: startsAt }) => ({ period, starts_at: startsAt })),
+});
+
+const quotaWindow = (limit, used, resetsAt) => ({
+  limit,
+  used,
+  remaining: limit === null ? null : Math.max(limit - used, 0),
+  resets_at: resetsAt,
+});
+
+class AIUsageService {
+  constructor({ pricing = loadPricing() } = {}) {
+    this.pricing = pricing;
+  }
+
+  estimateCost(model, inputTokens = 0, outputTokens = 0) {
+    const price = this.pricing[model];
+    if (!price) {
+      return 0;
+    }
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+
+  /**
+   * Record a provider call. Metering never fails the analysis itself.
+   */
+  async record({
+    userId = null,
+    provider,
+    model = null,
+    operation,
+    promptVersion = null,
+    usage = {},
+    latencyMs = 0,
+    success,
+    cached = false,
+    error = null,
+  }) {
+    const inputTokens = usage.input_tokens || 0;
+    const outputTokens = usage.output_tokens || 0;
+
+    try {
+      await AIUsage.create({
+        user_id: userId,
+        provider,
+        model,
+        operation,
+        prompt_version: promptVersion,
+        input_tokens: inputTokens,
+        output_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens,
+        latency_ms: Math.round(latencyMs),
+        success,
+        cached,
+        estimated_cost: this.estimateCost(model, inputTokens, outputTokens),
+        error: error ? String(error).substring(0, 500) : null,
+      });
+    } catch (recordError) {
+      console.error('AI usage record error:', recordError.message);
+    }
+  }
+
+  /**
+   * Daily and monthly quota status for a user's plan
+   */
+  async getQuota(user) {
+    const plan = getPlan(user.plan);
+    const { daily, monthly } = quotaWindows();
+
+    const counters = await AIQuotaCounter.find(counterFilter(user._id, [daily, monthly]));
+    const used = ({ period }) => counters.find(counter => counter.period === period)?.count || 0;
+
+    return {
+      plan: user.plan,
+      daily: quotaWindow(plan.ai_daily_limit, used(daily), daily.resets_at),
+      monthly: quotaWindow(plan.ai_monthly_limit, used(monthly), monthly.resets_at),
+    };
+  }
+
+  /**
+   * Take one analysis from the user's daily and monthly allowance, unless
+   * either is used up. Returns { reserved: true, reservedAt, quota }, or
+   * { reserved: false, exceeded: 'daily' | 'monthly', quota }. Give the
+   * reservation back with release() if the analysis produces nothing
+   * billable.
+   */
+  async reserve(user) {
+    const plan = getPlan(user.plan);
+    const reservedAt = new Date();
+    const windows = quotaWindows(reservedAt);
+    const taken = [];
+
+    // Monthly first: running out of it needs an upgrade, not a wait
+    for (const [name, limit] of [['monthly', plan.ai_monthly_limit], ['daily', plan.ai_daily_limit]]) {
+      const counter = await this.increment(user._id, windows[name], limit);
+      if (!counter) {
+        await this.decrement(user._id, taken.map(([window]) => windows[window]));
+        return { reserved: false, exceeded: name, quota: await this.getQuota(user) };
+      }
+      taken.push([name, counter.count]);
+    }
+
+    const used = Object.fromEntries(taken);
+    return {
+      reserved: true,
+      reservedAt,
+      quota: {
+        plan: user.plan,
+        daily: quotaWindow(plan.ai_daily_limit, used.daily, windows.daily.resets_at),
+        monthly: quotaWindow(plan.ai_monthly_limit, used.monthly, windows.monthly.resets_at),
+      },
+    };
+  }
+
+  /**
+   * Give back a reservation made at `reservedAt`, for analyses that failed
+   * or were served from the cache. Metering never fails the request.
+   */
+  async release(userId, reservedAt) {
+    const { daily, monthly } = quotaWindows(reservedAt);
+    try {
+      await this.decrement(userId, [daily, monthly]);
+    } catch (error) {
+      console.error('AI quota release error:', error.message);
+    }
+  }
+
+  /**
+   * Add one to a window's counter if it is below `limit` (null for no
+   * limit). Returns the counter, or null when the limit has been reached.
+   */
+  async increment(userId, window, limit) {
+    if (limit !== null && limit < 1) {
+      return null;
+    }
+
+    const filter = { user_id: userId, period: window.period, starts_at: window.starts_at };
+    if (limit !== null) {
+      filter.count = { $lt: limit };
+    }
+
+    // A full counter doesn't match, so the upsert hits the unique index.
+    // The first requests of a window can also race to create it, so
+    // that gets one retry.
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        return await AIQuotaCounter.findOneAndUpdate(
+          filter,
+          { $inc: { count: 1 }, $setOnInsert: { expires_at: new Date(window.resets_at.getTime() + DAY_MS) } },
+          { upsert: true, new: true }
+        );
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+      }
+    }
+    return null;
+  }
+
+  async decrement(userId, windows) {
+    if (windows.length === 0) {
+      return;
+    }
+    await AIQuotaCounter.updateMany(
+      { ...counterFilter(userId, windows), count: { $gt: 0 } },
+      { $inc: { count: -1 } }
+    );
+  }
+
+  /**
+   * Usage and estimated cost grouped by UTC day and provider
+   */
+  async summary({ from, to, provider, userId } = {}) {
+    const match = { created_at: reportRange(from, to) };
+    if (provider) match.provider = provider;
+    // Aggregations don't cast, so convert the id ourselves
+    if (userId) match.user_id = new mongoose.Types.ObjectId(userId);
+
+    const rows = await AIUsage.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            day: { $dateToString: { format: '%Y-%m-%d', date: '$created_at' } },
+            provider: '$provider',
+          },
+          calls: { $sum: { $cond: ['$cached', 0, 1] } },
+          cache_hits: { $sum: { $cond: ['$cached', 1, 0] } },
+          failures: { $sum: { $cond: ['$success', 0, 1] } },
+          input_tokens: { $sum: '$input_tokens' },
+          output_tokens: { $sum: '$output_tokens' },
+          estimated_cost: { $sum: '$estimated_cost' },
+          avg_latency_ms: { $avg: { $cond: ['$cached', null, '$latency_ms'] } },
+          users: { $addToSet: '$user_id' },
+        },
+      },
+      { $sort: { '_id.day': -1, '_id.provider': 1 } },
+    ]);
+
+    const days = rows.map(({ _id, users, avg_latency_ms: avgLatency, ...totals }) => ({
+      day: _id.day,
+      provider: _id.provider,
+      ...totals,
+      avg_latency_ms: avgLatency === null ? null : Math.round(avgLatency),
+      unique_users: users.length,
+    }));
+
+    const totals = days.reduce((sum, row) => ({
+      calls: sum.calls + row.calls,
+      cache_hits: sum.cache_hits + row.cache_hits,
+      failures: sum.failures + row.failures,
+      input_tokens: sum.input_tokens + row.input_tokens,
+      output_tokens: sum.output_tokens + row.output_tokens,
+      estimated_cost: sum.estimated_cost + row.estimated_cost,
+    }), { calls: 0, cache_hits: 0, failures: 0, input_tokens: 0, output_tokens: 0, estimated_cost: 0 });
+
+    return { days, totals };
+  }
+
+  /**
+   * Compare prompt versions: reliability and cost from usage records, and
+   * how often the listings each version generated went on to be published
+   */
+  async promptComparison({ from, to } = {}) {
+    const range = reportRange(from, to);
+
+    const [usageRows, listingRows] = await Promise.all([
+      AIUsage.aggregate([
+        { $match: { created_at: range, cached: false, prompt_version: { $ne: null } } },
+        {
+          $group: {
+            _id: '$prompt_version',
+            calls: { $sum: 1 },
+            analyses: {
+              $sum: {
+                $cond: [{ $and: ['$success', { $in: ['$operation', ['analyze', 'stream']] }] }, 1, 0],
+              },
+            },
+            repairs: { $sum: { $cond: [{ $eq: ['$operation', 'repair'] }, 1, 0] } },
+            failures: { $sum: { $cond: ['$success', 0, 1] } },
+            output_tokens: { $sum: '$output_tokens' },
+            estimated_cost: { $sum: '$estimated_cost' },
+            avg_latency_ms: { $avg: '$latency_ms' },
+          },
+        },
+      ]),
+      Listing.aggregate([
+        { $match: { created_at: range, ai_prompt_version: { $ne: null } } },
+        {
+          $group: {
+            _id: '$ai_prompt_version',
+            listings_created: { $sum: 1 },
+            listings_published: { $sum: { $cond: [{ $in: ['$status', ['active', 'reserved', 'sold', 'expired']] }, 1, 0] } },
+            listings_sold: { $sum: { $cond: [{ $eq: ['$status', 'sold'] }, 1, 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const listingsByVersion = new Map(listingRows.map(row => [row._id, row]));
+    const versions = [...new Set([...usageRows, ...listingRows].map(row => row._id))].sort();
+
+    return versions.map((version) => {
+      const usage = usageRows.find(row => row._id === version) || {};
+      const listings = listingsByVersion.get(version) || {};
+
+      return {
+        version,
+        analyses: usage.analyses || 0,
+        repairs: usage.repairs || 0,
+        repair_rate: rate(usage.repairs || 0, usage.analyses || 0),
+        failures: usage.failures || 0,
+        failure_rate: rate(usage.failures || 0, usage.calls || 0),
+        avg_output_tokens: usage.analyses ? Math.round(usage.output_tokens / usage.analyses) : null,
+        avg_latency_ms: usage.avg_latency_ms ? Math.round(usage.avg_latency_ms) : null,
+        estimated_cost: usage.estimated_cost || 0,
+        listings_created: listings.listings_created || 0,
+        listings_published: listings.listings_published || 0,
+        publish_rate: rate(listings.listings_published || 0, listings.listings_created || 0),
+        listings_sold: listings.listings_sold || 0,
+      };
+    });
+  }
+}
+
+export { AIUsageService };
+
+// Export singleton instance
+export default new AIUsageService();
@@ -0,0 +1,31 @@
+// EAN-8, UPC-A, EAN-13 and GTIN-14
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+/**
+ * Check a GTIN's final check digit (weights 3 and 1 from the right)
+ */
+export const isValidGtin = (digits) => {
+  const body = digits.slice(0, -1);
+  const sum = [...body].reverse().reduce(
+    (total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1),
+    0
+  );
+  return (10 - (sum % 10)) % 10 === Number(digits.at(-1));
+};
+
+/**
+ * Canonical form of a scanned or typed barcode, or null if it can't be one.
+ * EAN/UPC codes become GTIN-14 so a UPC-A and its EAN-13 form match;
+ * other symbologies (Code 128, QR) are kept as uppercased text.
+ */
+export const normalizeBarcode = (value) => {
+  const code = String(value ?? '').trim();
+  // Printed EAN/UPC digits are often grouped with spaces or dashes
+  const digits = code.replace(/[\s-]/g, '');
+
+  if (/^\d+$/.test(digits) && GTIN_LENGTHS.includes(digits.length)) {
+    return isValidGtin(digits) ? digits.padStart(14, '0') : null;
+  }
+
+  return /^[\x21-\x7e]{4,64}$/.test(code) ? code.toUpperCase() : null;
+};
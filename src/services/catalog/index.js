@@ -0,0 +1,33 @@
+import { createLocalCatalog } from './local.catalog.js';
+
+/**
+ * Product catalogue registry.
+ *
+ * A catalogue is an object with:
+ *   name              - unique catalogue name
+ *   lookup(barcode)   -> Promise<{ brand, model, model_number, category, title } | null>
+ *
+ * `barcode` is already normalised (see normalizeBarcode). Catalogues are
+ * asked in PRODUCT_CATALOGS order and the first match wins.
+ */
+const factories = new Map();
+
+export const registerCatalog = (name, factory) => {
+  factories.set(name, factory);
+};
+
+export const listCatalogs = () => [...factories.keys()];
+
+export const createCatalogChain = (names = (process.env.PRODUCT_CATALOGS || 'local').split(',')) =>
+  names
+    .map(name => name.trim())
+    .filter((name) => {
+      if (!factories.has(name)) {
+        if (name) console.warn(`Skipping unknown product catalogue: ${name}`);
+        return false;
+      }
+      return true;
+    })
+    .map(name => factories.get(name)());
+
+registerCatalog('local', createLocalCatalog);
@@ -0,0 +1,25 @@
+import ProductCatalog from '../../models/ProductCatalog.js';
+
+/**
+ * Catalogue backed by the ProductCatalog collection
+ */
+export const createLocalCatalog = ({ name = 'local' } = {}) => ({
+  name,
+
+  async lookup(barcode) {
+    const entry = await ProductCatalog.findOne({ barcode }).lean();
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      brand: entry.brand,
+      model: entry.model,
+      model_number: entry.model_number,
+      category: entry.category,
+      title: entry.title,
+    };
+  },
+});
+
+export default createLocalCatalog;
@@ -0,0 +1,121 @@
+// Above this many LCS cells, word diffs fall back to lines
+const MAX_DIFF_CELLS = 1_000_000;
+
+const tokenizeWords = (text) => String(text ?? '').split(/(\s+)/).filter(Boolean);
+
+const tokenizeLines = (text) => String(text ?? '').split(/(?<=\n)/).filter(Boolean);
+
+// Longest-common-subsequence diff of two token lists, merged into
+// [{ type: 'equal' | 'added' | 'removed', value }]
+const diffTokens = (before, after) => {
+  const rows = before.length + 1;
+  const cols = after.length + 1;
+  const lengths = new Uint32Array(rows * cols);
+
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = before[i] === after[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      parts.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < before.length && j < after.length) {
+    if (before[i] === after[j]) {
+      push('equal', before[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      push('removed', before[i++]);
+    } else {
+      push('added', after[j++]);
+    }
+  }
+  while (i < before.length) push('removed', before[i++]);
+  while (j < after.length) push('added', after[j++]);
+
+  return parts;
+};
+
+/**
+ * Word-level diff of two strings. Very long texts are compared line by
+ * line, and replaced wholesale if even that is too large.
+ */
+export const diffText = (before, after) => {
+  const fits = (a, b) => (a.length + 1) * (b.length + 1) <= MAX_DIFF_CELLS;
+
+  const words = [tokenizeWords(before), tokenizeWords(after)];
+  if (fits(...words)) {
+    return diffTokens(...words);
+  }
+
+  const lines = [tokenizeLines(before), tokenizeLines(after)];
+  if (fits(...lines)) {
+    return diffTokens(...lines);
+  }
+
+  return [
+    { type: 'removed', value: String(before ?? '') },
+    { type: 'added', value: String(after ?? '') },
+  ].filter(part => part.value);
+};
+
+/**
+ * Set-style diff of two string lists (tags, bullet points)
+ */
+export const diffList = (before = [], after = []) => ({
+  added: after.filter(item => !before.includes(item)),
+  removed: before.filter(item => !after.includes(item)),
+});
+
+/**
+ * Whether two field values are the same
+ */
+export const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Key-level diff of two objects (specifications, SEO keywords)
+ */
+export const diffObject = (before = {}, after = {}) => {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+  const result = { added: {}, removed: {}, changed: {} };
+
+  keys.forEach((key) => {
+    if (!Object.hasOwn(before, key)) {
+      result.added[key] = after[key];
+    } else if (!Object.hasOwn(after, key)) {
+      result.removed[key] = before[key];
+    } else if (!sameValue(before[key], after[key])) {
+      result.changed[key] = { before: before[key], after: after[key] };
+    }
+  });
+
+  return result;
+};
+
+/**
+ * Diff a field value: lists by item, objects by key, everything else as text
+ */
+export const diffValues = (before, after) => {
+  if (Array.isArray(before) || Array.isArray(after)) {
+    return diffList(before || [], after || []);
+  }
+  if (isPlainObject(before) || isPlainObject(after)) {
+    return diffObject(before || {}, after || {});
+  }
+  return diffText(before, after);
+};
@@ -0,0 +1,179 @@
+import {
+  findSpec,
+  isSpec,
+  listingGtin,
+  listingPhotos,
+  listingSpecs,
+  toDelimited,
+  truncate,
+} from './format.js';
+
+// File Exchange sites by listing currency
+const SITES = {
+  AUD: { site: 'Australia', country: 'AU' },
+  USD: { site: 'US', country: 'US' },
+  GBP: { site: 'UK', country: 'GB' },
+  CAD: { site: 'Canada', country: 'CA' },
+  EUR: { site: 'Germany', country: 'DE' },
+};
+
+// eBay condition IDs. Used items all map to 3000; the listing's own
+// condition goes in ConditionDescription.
+const CONDITION_IDS = {
+  new: 1000,
+  'like-new': 3000,
+  excellent: 3000,
+  good: 3000,
+  fair: 3000,
+  poor: 3000,
+  'for-parts': 7000,
+};
+
+const CONDITION_LABELS = {
+  'like-new': 'Like new',
+  excellent: 'Excellent',
+  good: 'Good',
+  fair: 'Fair',
+  poor: 'Poor',
+  'for-parts': 'For parts or not working',
+};
+
+const TITLE_MAX = 80;
+const MAX_PHOTOS = 12;
+
+// Specifications with their own columns, or not item specifics at all
+const MAPPED_SPECS = [
+  'brand', 'model', 'modelNumber', 'mpn', 'category', 'subCategory', 'condition',
+  'gtin', 'ean', 'upc', 'barcode', 'ean13', 'upca',
+];
+
+// Columns after *Action, in File Exchange template order. eBay has no
+// field for free-form tags, so marketplace_tags aren't exported.
+const COLUMNS = [
+  'CustomLabel', '*Category', '*Title', '*ConditionID', 'ConditionDescription', '*Description',
+  '*Format', '*Duration', '*StartPrice', '*Quantity', 'PicURL', '*Location', 'PostalCode',
+  'Product:EAN', 'Product:UPC', 'C:Brand', 'C:Model', 'C:MPN',
+];
+
+const escapeHtml = text => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Plain-text description as simple HTML, with the key features as a list
+const describe = (listing) => {
+  const paragraphs = String(listing.description || '')
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`);
+
+  const features = listing.key_features || [];
+  if (features.length > 0) {
+    paragraphs.push(`<ul>${features.map(feature => `<li>${escapeHtml(feature)}</li>`).join('')}</ul>`);
+  }
+
+  return paragraphs.join('');
+};
+
+// "Color" -> "C:Color", the File Exchange item specifics column
+const specificsColumn = key => `C:${key.charAt(0).toUpperCase()}${key.slice(1)}`;
+
+const itemSpecifics = specs => Object.entries(specs)
+  .filter(([key, value]) => value && !MAPPED_SPECS.some(name => isSpec(key, name)))
+  .map(([key, value]) => [specificsColumn(key), String(value)]);
+
+export default {
+  name: 'ebay',
+  description: 'eBay File Exchange CSV',
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+
+  // A file targets a single eBay site, so a feed uses one currency
+  feedOptions(listings) {
+    const counts = listings.reduce((totals, { currency }) => ({
+      ...totals,
+      [currency]: (totals[currency] || 0) + 1,
+    }), {});
+    const [currency] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || [];
+    return { currency };
+  },
+
+  /**
+   * Missing or invalid fields for an eBay listing. `categoryId` is the
+   * eBay category, which listings don't carry.
+   */
+  validate(listing, { categoryId, currency } = {}) {
+    const errors = [];
+    const specs = listingSpecs(listing);
+
+    if (!categoryId) {
+      errors.push({ field: 'category', message: 'eBay category ID is required (category_id)' });
+    }
+    if (!listing.title) {
+      errors.push({ field: 'title', message: 'is required' });
+    }
+    if (!listing.description) {
+      errors.push({ field: 'description', message: 'is required' });
+    }
+    if (listing.price === null || listing.price === undefined || listing.price <= 0) {
+      errors.push({ field: 'price', message: 'must be set and greater than 0' });
+    }
+    if (!SITES[listing.currency]) {
+      errors.push({ field: 'currency', message: `must be one of ${Object.keys(SITES).join(', ')}` });
+    } else if (currency && listing.currency !== currency) {
+      errors.push({ field: 'currency', message: `must match the feed currency (${currency})` });
+    }
+    if (listingPhotos(listing).length === 0) {
+      errors.push({ field: 'photos', message: 'at least one photo is required' });
+    }
+    if (!listing.suburb && !listing.postcode) {
+      errors.push({ field: 'location', message: 'suburb or postcode is required' });
+    }
+    if (!findSpec(specs, 'brand')) {
+      errors.push({ field: 'specifications.brand', message: 'is required' });
+    }
+
+    return errors;
+  },
+
+  serialize(listings, { categoryId } = {}) {
+    const { site, country } = SITES[listings[0]?.currency] || SITES.AUD;
+    const currency = listings[0]?.currency || 'AUD';
+    const action = `*Action(SiteID=${site}|Country=${country}|Currency=${currency}|Version=1193|CC=UTF-8)`;
+
+    const rows = listings.map((listing) => {
+      const specs = listingSpecs(listing);
+      const gtin = listingGtin(specs);
+
+      return {
+        [action]: 'Add',
+        CustomLabel: String(listing._id),
+        '*Category': categoryId,
+        '*Title': truncate(listing.title, TITLE_MAX),
+        '*ConditionID': CONDITION_IDS[listing.condition] || 3000,
+        ConditionDescription: CONDITION_LABELS[listing.condition] || '',
+        '*Description': describe(listing),
+        '*Format': 'FixedPrice',
+        '*Duration': 'GTC',
+        '*StartPrice': Number(listing.price).toFixed(2),
+        '*Quantity': 1,
+        PicURL: listingPhotos(listing).slice(0, MAX_PHOTOS).join('|'),
+        '*Location': [listing.suburb, listing.postcode].filter(Boolean).join(' '),
+        PostalCode: listing.postcode || '',
+        'Product:EAN': gtin.length === 13 ? gtin : '',
+        'Product:UPC': gtin.length === 12 ? gtin : '',
+        'C:Brand': findSpec(specs, 'brand'),
+        'C:Model': findSpec(specs, 'model'),
+        'C:MPN': findSpec(specs, 'mpn', 'modelNumber') || listing.model_number || '',
+        ...Object.fromEntries(itemSpecifics(specs)),
+      };
+    });
+
+    // Every row shares the header, so item specifics are the union across listings
+    const columns = [action, ...COLUMNS];
+    const specifics = [...new Set(rows.flatMap(row => Object.keys(row)))]
+      .filter(header => !columns.includes(header))
+      .sort();
+
+    return toDelimited([...columns, ...specifics], rows);
+  },
+};
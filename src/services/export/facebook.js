@@ -0,0 +1,92 @@
+import {
+  findSpec,
+  formatPrice,
+  listingGtin,
+  listingPhotos,
+  listingSpecs,
+  listingUrl,
+  toDelimited,
+  truncate,
+} from './format.js';
+
+// Facebook catalogue condition values
+const CONDITIONS = {
+  new: 'new',
+  'like-new': 'used_like_new',
+  excellent: 'used_like_new',
+  good: 'used_good',
+  fair: 'used_fair',
+  poor: 'used_fair',
+  'for-parts': 'used',
+};
+
+const TITLE_MAX = 200;
+const DESCRIPTION_MAX = 9999;
+const MAX_PHOTOS = 20;
+const MAX_TAGS = 5;
+
+const COLUMNS = [
+  'id', 'title', 'description', 'availability', 'condition', 'price', 'link', 'image_link',
+  'additional_image_link', 'brand', 'mpn', 'gtin', 'product_type', 'color', 'material',
+  ...Array.from({ length: MAX_TAGS }, (_, index) => `product_tags[${index}]`),
+];
+
+export default {
+  name: 'facebook',
+  description: 'Facebook Marketplace / Commerce catalogue CSV',
+  contentType: 'text/csv; charset=utf-8',
+  extension: 'csv',
+
+  validate(listing) {
+    const errors = [];
+    const specs = listingSpecs(listing);
+
+    if (!listing.title) {
+      errors.push({ field: 'title', message: 'is required' });
+    }
+    if (!listing.description) {
+      errors.push({ field: 'description', message: 'is required' });
+    }
+    if (listing.price === null || listing.price === undefined) {
+      errors.push({ field: 'price', message: 'is required' });
+    }
+    if (listingPhotos(listing).length === 0) {
+      errors.push({ field: 'photos', message: 'at least one photo is required' });
+    }
+    // Facebook needs a brand, or a product identifier in its place
+    if (!findSpec(specs, 'brand') && !listingGtin(specs) && !listing.model_number) {
+      errors.push({ field: 'specifications.brand', message: 'brand, GTIN or model number is required' });
+    }
+
+    return errors;
+  },
+
+  serialize(listings) {
+    const rows = listings.map((listing) => {
+      const specs = listingSpecs(listing);
+      const [imageLink, ...additionalImages] = listingPhotos(listing);
+      const tags = (listing.marketplace_tags || []).slice(0, MAX_TAGS);
+
+      return {
+        id: String(listing._id),
+        title: truncate(listing.title, TITLE_MAX),
+        description: truncate(listing.description, DESCRIPTION_MAX),
+        availability: 'in stock',
+        condition: CONDITIONS[listing.condition] || 'used',
+        price: formatPrice(listing.price, listing.currency),
+        link: listingUrl(listing),
+        image_link: imageLink,
+        additional_image_link: additionalImages.slice(0, MAX_PHOTOS - 1).join(','),
+        brand: findSpec(specs, 'brand'),
+        mpn: findSpec(specs, 'mpn', 'modelNumber') || listing.model_number || '',
+        gtin: listingGtin(specs),
+        product_type: [findSpec(specs, 'category'), findSpec(specs, 'subCategory')].filter(Boolean).join(' > '),
+        color: findSpec(specs, 'color', 'colour'),
+        material: findSpec(specs, 'material'),
+        ...Object.fromEntries(tags.map((tag, index) => [`product_tags[${index}]`, tag])),
+      };
+    });
+
+    return toDelimited(COLUMNS, rows);
+  },
+};
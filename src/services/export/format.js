@@ -0,0 +1,89 @@
+import { DEFAULT_PLACEHOLDER_IMAGE } from '../../models/Listing.js';
+
+/**
+ * Shared helpers for marketplace export formats
+ */
+
+// Public listing page, linked from every feed item
+export const listingUrl = (listing) => {
+  const base = process.env.LISTING_URL_BASE
+    || `${process.env.FRONTEND_URL || 'http://localhost:8081'}/listings`;
+  return `${base.replace(/\/$/, '')}/${listing._id}`;
+};
+
+// Main photo first, without the placeholder image
+export const listingPhotos = listing =>
+  [listing.photo_url, ...(listing.additional_photos || [])]
+    .filter(url => url && url !== DEFAULT_PLACEHOLDER_IMAGE);
+
+// Listing.specifications as a plain object
+export const listingSpecs = (listing) => {
+  const specs = listing.specifications;
+  if (!specs) return {};
+  return specs instanceof Map ? Object.fromEntries(specs) : { ...specs };
+};
+
+const specKey = key => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * First specification matching any of the names, ignoring case and
+ * punctuation ("Model Number", "modelNumber")
+ */
+export const findSpec = (specs, ...names) => {
+  const wanted = names.map(specKey);
+  const entry = Object.entries(specs).find(([key, value]) => wanted.includes(specKey(key)) && value);
+  return entry ? String(entry[1]).trim() : '';
+};
+
+export const isSpec = (key, ...names) => names.map(specKey).includes(specKey(key));
+
+// "120.00 AUD"
+export const formatPrice = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`;
+
+// Cut at a word boundary so titles fit a channel's limit
+export const truncate = (text, maxLength) => {
+  const value = String(text || '').trim();
+  if (value.length <= maxLength) return value;
+  const cut = value.slice(0, maxLength + 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return (lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : value.slice(0, maxLength)).trim();
+};
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Delimited text, quoting values that contain the delimiter, quotes or
+ * line breaks (RFC 4180 style). Text values that would start a formula
+ * get a leading apostrophe; numbers are written as they are.
+ */
+export const toDelimited = (headers, rows, delimiter = ',') => {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value !== 'number' && FORMULA_START.test(text)) {
+      text = `'${text}`;
+    }
+    return /["\r\n]/.test(text) || text.includes(delimiter)
+      ? `"${text.replace(/"/g, '""')}"`
+      : text;
+  };
+
+  return [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(values => values.map(escape).join(delimiter))
+    .join('\r\n') + '\r\n';
+};
+
+// Barcode digits from the specifications, if any
+export const listingGtin = (specs) => {
+  const value = findSpec(specs, 'gtin', 'ean', 'upc', 'barcode', 'ean13', 'upca').replace(/[\s-]/g, '');
+  return /^\d{8}$|^\d{12,14}$/.test(value) ? value : '';
+};
+
+export const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  // Control characters aren't allowed in XML 1.0
+  .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '');
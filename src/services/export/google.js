@@ -0,0 +1,145 @@
+import {
+  escapeXml,
+  findSpec,
+  formatPrice,
+  listingGtin,
+  listingPhotos,
+  listingSpecs,
+  listingUrl,
+  truncate,
+} from './format.js';
+
+// Merchant Center only distinguishes new, refurbished and used. Items
+// sold for parts can't be listed as plain used, so they aren't exported.
+const CONDITIONS = {
+  new: 'new',
+  'like-new': 'used',
+  excellent: 'used',
+  good: 'used',
+  fair: 'used',
+  poor: 'used',
+};
+
+const TITLE_MAX = 150;
+const DESCRIPTION_MAX = 5000;
+const MAX_ADDITIONAL_IMAGES = 10;
+const MAX_LABELS = 5;
+
+const ATTRIBUTES = [
+  'id', 'title', 'description', 'link', 'image_link', 'additional_image_link', 'availability',
+  'price', 'condition', 'brand', 'gtin', 'mpn', 'identifier_exists', 'product_type', 'color',
+  'material', ...Array.from({ length: MAX_LABELS }, (_, index) => `custom_label_${index}`),
+];
+
+const validate = (listing) => {
+  const errors = [];
+  const specs = listingSpecs(listing);
+
+  if (!listing.title) {
+    errors.push({ field: 'title', message: 'is required' });
+  }
+  if (!listing.description) {
+    errors.push({ field: 'description', message: 'is required' });
+  }
+  if (listing.price === null || listing.price === undefined || listing.price <= 0) {
+    errors.push({ field: 'price', message: 'must be set and greater than 0' });
+  }
+  if (listingPhotos(listing).length === 0) {
+    errors.push({ field: 'photos', message: 'at least one photo is required' });
+  }
+  if (listing.condition === 'for-parts') {
+    errors.push({ field: 'condition', message: 'for-parts items are not allowed in Google Merchant feeds' });
+  }
+  // Brand is required for new products
+  if (listing.condition === 'new' && !findSpec(specs, 'brand')) {
+    errors.push({ field: 'specifications.brand', message: 'is required for new products' });
+  }
+
+  return errors;
+};
+
+/**
+ * Merchant Center attributes for a listing. Marketplace tags become
+ * custom labels, which can be used to group products in campaigns.
+ */
+const toItem = (listing) => {
+  const specs = listingSpecs(listing);
+  const [imageLink, ...additionalImages] = listingPhotos(listing);
+  const brand = findSpec(specs, 'brand');
+  const gtin = listingGtin(specs);
+  const mpn = findSpec(specs, 'mpn', 'modelNumber') || listing.model_number || '';
+
+  return {
+    id: String(listing._id),
+    title: truncate(listing.title, TITLE_MAX),
+    description: truncate(listing.description, DESCRIPTION_MAX),
+    link: listingUrl(listing),
+    image_link: imageLink,
+    additional_image_link: additionalImages.slice(0, MAX_ADDITIONAL_IMAGES),
+    availability: 'in_stock',
+    price: formatPrice(listing.price, listing.currency),
+    condition: CONDITIONS[listing.condition] || 'used',
+    brand,
+    gtin,
+    mpn,
+    // Second-hand items often have no identifiers at all
+    identifier_exists: gtin || (brand && mpn) ? '' : 'no',
+    product_type: [findSpec(specs, 'category'), findSpec(specs, 'subCategory')].filter(Boolean).join(' > '),
+    color: findSpec(specs, 'color', 'colour'),
+    material: findSpec(specs, 'material'),
+    ...Object.fromEntries((listing.marketplace_tags || [])
+      .slice(0, MAX_LABELS)
+      .map((tag, index) => [`custom_label_${index}`, truncate(tag, 100)])),
+  };
+};
+
+// Repeated attributes become repeated elements; empty ones are left out
+const xmlItem = item => ATTRIBUTES
+  .flatMap(attribute => [].concat(item[attribute] ?? [])
+    .filter(value => value !== '')
+    .map(value => `      <g:${attribute}>${escapeXml(value)}</g:${attribute}>`))
+  .join('\n');
+
+export const googleXml = {
+  name: 'google-xml',
+  description: 'Google Merchant Center RSS 2.0 XML feed',
+  contentType: 'application/xml; charset=utf-8',
+  extension: 'xml',
+  validate,
+
+  serialize(listings, { title = 'Listtra listings', link = process.env.FRONTEND_URL || '' } = {}) {
+    const items = listings
+      .map(listing => `    <item>\n${xmlItem(toItem(listing))}\n    </item>\n`)
+      .join('');
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(title)}</description>
+${items}  </channel>
+</rss>
+`;
+  },
+};
+
+export const googleTsv = {
+  name: 'google-tsv',
+  description: 'Google Merchant Center tab-separated feed',
+  contentType: 'text/tab-separated-values; charset=utf-8',
+  extension: 'tsv',
+  validate,
+
+  serialize(listings) {
+    // Merchant Center TSV has no quoting, so tabs and line breaks become spaces
+    const flatten = value => String(value ?? '').replace(/[\t\r\n]+/g, ' ').trim();
+
+    const rows = listings.map((listing) => {
+      const item = toItem(listing);
+      return ATTRIBUTES.map(attribute => flatten([].concat(item[attribute] ?? []).join(','))).join('\t');
+    });
+
+    return [ATTRIBUTES.join('\t'), ...rows].join('\n') + '\n';
+  },
+};
@@ -0,0 +1,81 @@
+import { AppError } from '../../middleware/errorHandler.js';
+import ebay from './ebay.js';
+import facebook from './facebook.js';
+import { googleXml, googleTsv } from './google.js';
+
+/**
+ * Marketplace export formats.
+ *
+ * A format is an object with:
+ *   name, description, contentType, extension
+ *   validate(listing, options)   -> [{ field, message }] (empty when valid)
+ *   serialize(listings, options) -> file contents
+ *   feedOptions(listings)        - optional, extra options for a bulk feed
+ */
+const formats = new Map();
+
+export const registerExportFormat = (format) => {
+  formats.set(format.name, format);
+};
+
+[ebay, facebook, googleXml, googleTsv].forEach(registerExportFormat);
+
+export const listExportFormats = () =>
+  [...formats.values()].map(({ name, description, extension }) => ({ name, description, extension }));
+
+const getFormat = (name) => {
+  const format = formats.get(name);
+  if (!format) {
+    throw new AppError(`Unknown export format: ${name}`, 400);
+  }
+  return format;
+};
+
+/**
+ * Export one listing. Throws 422 with the missing or invalid fields when
+ * the listing doesn't meet the channel's requirements.
+ * Returns { body, contentType, filename }.
+ */
+export const exportListing = (listing, formatName, options = {}) => {
+  const format = getFormat(formatName);
+
+  const errors = format.validate(listing, options);
+  if (errors.length > 0) {
+    throw new AppError(`Listing can't be exported to ${format.name}`, 422, { errors });
+  }
+
+  return {
+    body: format.serialize([listing], options),
+    contentType: format.contentType,
+    filename: `listing-${listing._id}-${format.name}.${format.extension}`,
+  };
+};
+
+/**
+ * Feed of several listings. Listings that fail validation are left out
+ * and reported in `skipped` as [{ listing_id, title, errors }].
+ * Returns { body, contentType, filename, included, skipped }.
+ */
+export const buildFeed = (listings, formatName, options = {}) => {
+  const format = getFormat(formatName);
+  const feedOptions = { ...format.feedOptions?.(listings), ...options };
+
+  const included = [];
+  const skipped = [];
+  listings.forEach((listing) => {
+    const errors = format.validate(listing, feedOptions);
+    if (errors.length > 0) {
+      skipped.push({ listing_id: listing._id, title: listing.title, errors });
+    } else {
+      included.push(listing);
+    }
+  });
+
+  return {
+    body: format.serialize(included, feedOptions),
+    contentType: format.contentType,
+    filename: `listings-${format.name}.${format.extension}`,
+    included: included.length,
+    skipped,
+  };
+};
@@ -0,0 +1,253 @@
+import { parse } from 'csv-parse/sync';
+import { readSheet } from 'read-excel-file/node';
+import Listing, { DEFAULT_PLACEHOLDER_IMAGE } from '../models/Listing.js';
+import ListingImport from '../models/ListingImport.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { checkListing } from '../middleware/listingValidation.js';
+import aiQueue from './aiQueue.service.js';
+import aiUsage from './aiUsage.service.js';
+import { toDelimited } from './export/format.js';
+
+// Upper bound on data rows in a single import file
+export const MAX_IMPORT_ROWS = 500;
+
+// Stands in for the description of rows the AI fills in
+const PENDING_DESCRIPTION = 'Details are being generated from the model number.';
+
+// Spreadsheet headers accepted for each listing field, after lowercasing
+// and replacing anything but letters and digits with underscores
+const COLUMN_ALIASES = {
+  title: ['title', 'name', 'item', 'product'],
+  description: ['description', 'desc'],
+  model_number: ['model_number', 'model', 'model_no', 'mpn'],
+  condition: ['condition'],
+  price: ['price'],
+  currency: ['currency'],
+  photo_url: ['photo_url', 'photo', 'image', 'image_url', 'main_photo'],
+  additional_photos: ['additional_photos', 'photos', 'photo_urls', 'images', 'image_urls'],
+  additional_details: ['additional_details', 'details', 'notes'],
+};
+
+const REPORT_HEADERS = ['row', 'status', 'title', 'model_number', 'listing_id', 'job_id', 'errors'];
+
+const headerKey = header => String(header ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+const cellText = value => (value === null || value === undefined ? '' : String(value).trim());
+
+// "Like New" -> "like-new"
+const toCondition = value => cellText(value).toLowerCase().replace(/[\s_]+/g, '-');
+
+// "$1,299.00" -> "1299.00"; anything else is left for the validator to reject
+const toPrice = (value) => {
+  if (typeof value === 'number') return value;
+  const text = cellText(value);
+  if (!text) return null;
+  const match = text.match(/^[^\d\s.-]{0,3}\s*([\d,]*\.?\d+)$/);
+  return match ? match[1].replace(/,/g, '') : text;
+};
+
+// Photo cells may hold several URLs separated by spaces, commas, ; or |
+const toUrls = value => cellText(value).split(/[\s,;|]+/).filter(Boolean);
+
+const isXlsx = file => /\.xlsx$/i.test(file.originalname || '')
+  || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  // XLSX files are zip archives
+  || file.buffer.subarray(0, 2).toString() === 'PK';
+
+class ListingImportService {
+  /**
+   * Read the rows of a CSV or XLSX upload. Returns { format, rows } where
+   * rows are [{ row, values }] keyed by listing field; blank rows are
+   * dropped but keep their original row numbers.
+   */
+  async parseFile(file) {
+    const format = isXlsx(file) ? 'xlsx' : 'csv';
+    let table;
+
+    try {
+      table = format === 'xlsx'
+        ? await readSheet(file.buffer)
+        : parse(file.buffer, { bom: true, relax_column_count: true });
+    } catch (error) {
+      throw new AppError(`Could not read the ${format.toUpperCase()} file: ${error.message}`, 400);
+    }
+
+    const [headers = [], ...data] = table;
+    const columns = headers.map((header) => {
+      const key = headerKey(header);
+      return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+    });
+
+    if (!columns.includes('title') && !columns.includes('model_number')) {
+      throw new AppError('The first row must be a header with a title or model_number column', 400);
+    }
+
+    const rows = data
+      .map((cells, index) => {
+        const values = {};
+        columns.forEach((field, column) => {
+          if (field && cellText(cells[column])) {
+            values[field] = cells[column];
+          }
+        });
+        return { row: index + 2, values };
+      })
+      .filter(({ values }) => Object.keys(values).length > 0);
+
+    if (rows.length === 0) {
+      throw new AppError('The file has no listing rows', 400);
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new AppError(`Imports are limited to ${MAX_IMPORT_ROWS} rows, the file has ${rows.length}`, 400);
+    }
+
+    return { format, rows };
+  }
+
+  /**
+   * Listing body for a parsed row, in the shape validateListing expects
+   */
+  toListingData(values, defaults = {}) {
+    const photos = [...toUrls(values.photo_url), ...toUrls(values.additional_photos)];
+    const data = {
+      title: cellText(values.title),
+      description: cellText(values.description),
+      model_number: cellText(values.model_number),
+      additional_details: cellText(values.additional_details),
+      photo_url: photos[0] || '',
+      additional_photos: photos.slice(1),
+      price: toPrice(values.price),
+    };
+
+    const condition = toCondition(values.condition);
+    if (condition) data.condition = condition;
+
+    const currency = cellText(values.currency) || defaults.currency;
+    if (currency) data.currency = currency;
+
+    return data;
+  }
+
+  /**
+   * Create a draft listing for every valid row of the file. With enrich,
+   * rows missing a title or description but with a model number or photo
+   * are queued for AI analysis, which fills in the draft when it finishes.
+   * Each queued row takes an analysis from the user's AI quota.
+   * `defaults` supplies currency and location fields for every row.
+   */
+  async importFile(file, { user, enrich = false, defaults = {} }) {
+    const { format, rows } = await this.parseFile(file);
+    let aiLimitReached = false;
+
+    const results = [];
+    for (const { row, values } of rows) {
+      const input = this.toListingData(values, defaults);
+      const result = { row, title: input.title, model_number: input.model_number, issues: [] };
+      results.push(result);
+
+      const needsAI = enrich && (!input.title || !input.description) && Boolean(input.model_number || input.photo_url);
+
+      if (needsAI) {
+        input.title = input.title || input.model_number || 'Untitled item';
+        input.description = input.description || PENDING_DESCRIPTION;
+      }
+
+      const { data, errors } = await checkListing(input);
+      if (errors.length > 0) {
+        result.status = 'failed';
+        result.issues = errors.map(error => ({ field: error.path || '', msg: error.msg }));
+        continue;
+      }
+
+      const reservation = needsAI && !aiLimitReached ? await aiUsage.reserve(user) : null;
+      if (needsAI && !reservation?.reserved) {
+        aiLimitReached = true;
+        result.status = 'failed';
+        result.issues.push({ field: '', msg: 'AI analysis limit reached; add a title and description or import this row later' });
+        continue;
+      }
+
+      try {
+        const listing = await new Listing({
+          user_id: user._id,
+          title: data.title,
+          description: data.description,
+          model_number: data.model_number || '',
+          additional_details: data.additional_details || '',
+          photo_url: data.photo_url || DEFAULT_PLACEHOLDER_IMAGE,
+          additional_photos: data.additional_photos || [],
+          condition: data.condition || 'good',
+          price: data.price ?? null,
+          currency: data.currency,
+          suburb: defaults.suburb || '',
+          postcode: defaults.postcode || '',
+          ...(defaults.location && { location: defaults.location }),
+          status: 'draft',
+          created_at: new Date(),
+        })
+          .trackRevision({ userId: user._id })
+          .save();
+        result.listing_id = listing._id;
+        result.status = 'created';
+
+        if (needsAI) {
+          const job = await aiQueue.enqueue({
+            userId: user._id,
+            images: data.photo_url ? [data.photo_url, ...(data.additional_photos || [])] : [],
+            modelNumber: data.model_number,
+            additionalInfo: data.additional_details,
+            listingId: listing._id,
+            quotaReservedAt: reservation.reservedAt,
+          });
+          result.job_id = job._id;
+          result.status = 'queued';
+        }
+      } catch (error) {
+        console.error(`Listing import error (row ${row}):`, error.message);
+        if (reservation && !result.job_id) {
+          await aiUsage.release(user._id, reservation.reservedAt);
+        }
+        result.status = result.listing_id ? 'created' : 'failed';
+        result.issues.push({ field: '', msg: result.listing_id ? 'Draft created but AI analysis could not be queued' : 'Listing could not be saved' });
+      }
+    }
+
+    const count = status => results.filter(result => result.status === status).length;
+
+    return ListingImport.create({
+      user_id: user._id,
+      filename: file.originalname || '',
+      format,
+      enrich,
+      totals: {
+        rows: results.length,
+        created: count('created'),
+        queued: count('queued'),
+        failed: count('failed'),
+      },
+      results,
+    });
+  }
+
+  /**
+   * Per-row report of an import as CSV
+   */
+  reportCsv(listingImport) {
+    const rows = listingImport.results.map(result => ({
+      row: result.row,
+      status: result.status,
+      title: result.title,
+      model_number: result.model_number,
+      listing_id: result.listing_id,
+      job_id: result.job_id,
+      errors: result.issues.map(({ field, msg }) => (field ? `${field}: ${msg}` : msg)).join('; '),
+    }));
+
+    return toDelimited(REPORT_HEADERS, rows);
+  }
+}
+
+export { ListingImportService };
+
+// Export singleton instance
+export default new ListingImportService();
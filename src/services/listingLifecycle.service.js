@@ -0,0 +1,197 @@
+import Listing, { nextExpiry } from '../models/Listing.js';
+import realtime from './realtime.service.js';
+import notificationService from './notification.service.js';
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.LISTING_SWEEP_MS) || 60 * 1000;
+// Owners are told this many days before a listing expires
+const EXPIRY_NOTICE_DAYS = parseInt(process.env.LISTING_EXPIRY_NOTICE_DAYS) || 3;
+// Listings handled per step of each sweep
+const BATCH_SIZE = 500;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Background sweeper for time-based listing changes: publishes scheduled
+ * listings, expires active ones and warns owners before expiry. Every
+ * change is guarded on the listing's current status, so several server
+ * instances can sweep at once.
+ */
+class ListingLifecycle {
+  constructor({ intervalMs = SWEEP_INTERVAL_MS, noticeDays = EXPIRY_NOTICE_DAYS } = {}) {
+    this.intervalMs = intervalMs;
+    this.noticeDays = noticeDays;
+    this.timer = null;
+    this.running = false;
+    this.active = null;
+  }
+
+  /**
+   * Move a listing to a new status as a system change. The save only goes
+   * through while the stored listing still matches its status and `guard`;
+   * returns false when it was changed in the meantime.
+   */
+  async transition(listing, status, action, guard = {}) {
+    const previousStatus = listing.status;
+
+    listing.trackRevision({ source: 'system', action });
+    listing.status = status;
+    listing.$where = { status: previousStatus, ...guard };
+
+    try {
+      await listing.save();
+    } catch (error) {
+      if (error.name === 'DocumentNotFoundError') {
+        return false;
+      }
+      throw error;
+    }
+
+    realtime.publishListingStatus(listing, previousStatus);
+    return true;
+  }
+
+  /**
+   * Apply `step` to each listing, logging failures so one bad listing
+   * doesn't hold up the rest. Returns how many were changed.
+   */
+  async each(listings, step) {
+    let count = 0;
+    for (const listing of listings) {
+      try {
+        if (await step(listing)) {
+          count++;
+        }
+      } catch (error) {
+        console.error(`Listing lifecycle error (${listing._id}):`, error.message);
+      }
+    }
+    return count;
+  }
+
+  async publishDue(now = new Date()) {
+    const listings = await Listing.find({ status: 'scheduled', publish_at: { $lte: now } })
+      .sort({ publish_at: 1 })
+      .limit(BATCH_SIZE);
+
+    return this.each(listings, async (listing) => {
+      const published = await this.transition(listing, 'active', 'publish', { publish_at: { $lte: now } });
+      if (published) {
+        await notificationService.listingPublished(listing);
+      }
+      return published;
+    });
+  }
+
+  async expireDue(now = new Date()) {
+    const listings = await Listing.find({ status: 'active', expires_at: { $lte: now } })
+      .sort({ expires_at: 1 })
+      .limit(BATCH_SIZE);
+
+    return this.each(listings, async (listing) => {
+      // A renewal since the query moved expires_at on
+      const expired = await this.transition(listing, 'expired', 'expire', { expires_at: { $lte: now } });
+      if (expired) {
+        await notificationService.listingExpired(listing);
+      }
+      return expired;
+    });
+  }
+
+  async notifyExpiringSoon(now = new Date()) {
+    const listings = await Listing.find({
+      status: 'active',
+      expires_at: { $gt: now, $lte: new Date(now.getTime() + this.noticeDays * DAY_MS) },
+      expiry_notified_at: null,
+    })
+      .select('user_id title expires_at')
+      .limit(BATCH_SIZE);
+
+    return this.each(listings, async (listing) => {
+      // Claim the notice so only one instance sends it
+      const { modifiedCount } = await Listing.updateOne(
+        { _id: listing._id, expiry_notified_at: null },
+        { expiry_notified_at: now }
+      );
+      if (modifiedCount === 0) {
+        return false;
+      }
+
+      await notificationService.listingExpiringSoon(listing);
+      return true;
+    });
+  }
+
+  /**
+   * Active listings from before expiry dates existed get a full term
+   * from now rather than expiring all at once
+   */
+  async backfillExpiry(now = new Date()) {
+    const { modifiedCount } = await Listing.updateMany(
+      { status: 'active', expires_at: null },
+      { expires_at: nextExpiry(now) }
+    );
+    return modifiedCount;
+  }
+
+  /**
+   * Run every step once. Returns counts per step.
+   */
+  async sweep(now = new Date()) {
+    return {
+      backfilled: await this.backfillExpiry(now),
+      published: await this.publishDue(now),
+      expired: await this.expireDue(now),
+      notified: await this.notifyExpiringSoon(now),
+    };
+  }
+
+  /**
+   * Start sweeping on an interval
+   */
+  start() {
+    if (this.running) {
+      return;
+    }
+    this.running = true;
+    console.log('⏰ Listing lifecycle sweeper started');
+    this.schedule(0);
+  }
+
+  schedule(delay) {
+    if (!this.running) {
+      return;
+    }
+    this.timer = setTimeout(() => this.tick(), delay);
+    this.timer.unref();
+  }
+
+  async tick() {
+    this.active = (async () => {
+      try {
+        await this.sweep();
+      } catch (error) {
+        console.error('Listing lifecycle sweep error:', error);
+      }
+    })();
+
+    await this.active;
+    this.active = null;
+    this.schedule(this.intervalMs);
+  }
+
+  /**
+   * Stop sweeping, waiting for a sweep in progress to finish
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    if (this.active) {
+      await this.active;
+    }
+  }
+}
+
+export { ListingLifecycle };
+
+// Export singleton instance
+export default new ListingLifecycle();
@@ -0,0 +1,167 @@
+import Notification from '../models/Notification.js';
+import Favorite from '../models/Favorite.js';
+import realtime from './realtime.service.js';
+import pushService from './push.service.js';
+
+const formatPrice = (amount, currency) =>
+  `${currency || ''} ${Number(amount).toFixed(2)}`.trim();
+
+class NotificationService {
+  /**
+   * Persist notifications for a set of users and push them to connected clients
+   */
+  async notifyMany(userIds, { type, title, body = '', data = {} }) {
+    if (!userIds || userIds.length === 0) {
+      return [];
+    }
+
+    // Notifications are best-effort, they must never fail the triggering request
+    try {
+      const notifications = await Notification.insertMany(
+        userIds.map(userId => ({ user_id: userId, type, title, body, data }))
+      );
+
+      notifications.forEach((notification) => {
+        realtime.publishToUser(notification.user_id, 'notification.new', notification);
+      });
+      pushService.enqueue(notifications);
+
+      return notifications;
+    } catch (error) {
+      console.error(`Error creating ${type} notifications:`, error);
+      return [];
+    }
+  }
+
+  async notify(userId, notification) {
+    const [created] = await this.notifyMany([userId], notification);
+    return created;
+  }
+
+  /**
+   * Notify everyone watching a listing, never the seller themselves
+   */
+  async notifyWatchers(listing, notification) {
+    const ownerId = (listing.user_id?._id || listing.user_id).toString();
+
+    let watcherIds;
+    try {
+      watcherIds = (await Favorite.watcherIds(listing._id))
+        .filter(userId => userId.toString() !== ownerId);
+    } catch (error) {
+      console.error('Error loading listing watchers:', error);
+      return [];
+    }
+
+    return this.notifyMany(watcherIds, {
+      ...notification,
+      data: { listing_id: listing._id, ...notification.data },
+    });
+  }
+
+  async newMessage(message, conversation, sender) {
+    return this.notify(message.recipient_id, {
+      type: 'message.new',
+      title: `New message from ${sender.name}`,
+      body: message.body.substring(0, 200),
+      data: {
+        conversation_id: conversation._id,
+        message_id: message._id,
+        listing_id: conversation.listing_id?._id || conversation.listing_id,
+      },
+    });
+  }
+
+  async listingFavorited(listing, user) {
+    return this.notify(listing.user_id?._id || listing.user_id, {
+      type: 'listing.favorited',
+      title: 'Someone saved your listing',
+      body: `${user.name} saved ${listing.title}`,
+      data: { listing_id: listing._id, user_id: user._id },
+    });
+  }
+
+  async aiAnalysisComplete(userId, { title, listingId = null, jobId = null, failed = false } = {}) {
+    return this.notify(userId, {
+      type: 'ai.analysis_complete',
+      title: failed ? 'We couldn\'t analyse your product' : 'Your listing details are ready',
+      body: failed
+        ? 'AI analysis failed, please try again or fill in the details yourself'
+        : (title ? `AI analysis finished for ${title}` : 'AI analysis finished'),
+      data: { listing_id: listingId, job_id: jobId, status: failed ? 'failed' : 'completed' },
+    });
+  }
+
+  async moderationAction(userId, { action, reason = '', listingId = null }) {
+    return this.notify(userId, {
+      type: 'moderation.action',
+      title: 'Account update from Listtra',
+      body: reason || `A moderation action was applied: ${action}`,
+      data: { action, listing_id: listingId },
+    });
+  }
+
+  async listingPriceDropped(listing, previousPrice) {
+    return this.notifyWatchers(listing, {
+      type: 'listing.price_drop',
+      title: 'Price drop on a saved listing',
+      body: `${listing.title} is now ${formatPrice(listing.price, listing.currency)} (was ${formatPrice(previousPrice, listing.currency)})`,
+      data: { previous_price: previousPrice, price: listing.price, currency: listing.currency },
+    });
+  }
+
+  async listingSold(listing) {
+    return this.notifyWatchers(listing, {
+      type: 'listing.sold',
+      title: 'A saved listing has sold',
+      body: `${listing.title} has been marked as sold`,
+    });
+  }
+
+  async listingRemoved(listing) {
+    return this.notifyWatchers(listing, {
+      type: 'listing.removed',
+      title: 'A saved listing was removed',
+      body: `${listing.title} is no longer available`,
+    });
+  }
+
+  async listingReserved(listing, buyerId) {
+    return this.notify(buyerId, {
+      type: 'listing.reserved',
+      title: 'A listing was reserved for you',
+      body: `${listing.title} is on hold for you`,
+      data: { listing_id: listing._id },
+    });
+  }
+
+  async listingPublished(listing) {
+    return this.notify(listing.user_id?._id || listing.user_id, {
+      type: 'listing.published',
+      title: 'Your scheduled listing is live',
+      body: `${listing.title} is now visible to buyers`,
+      data: { listing_id: listing._id },
+    });
+  }
+
+  async listingExpiringSoon(listing) {
+    return this.notify(listing.user_id?._id || listing.user_id, {
+      type: 'listing.expiring',
+      title: 'Your listing expires soon',
+      body: `${listing.title} expires on ${listing.expires_at.toISOString().slice(0, 10)}. Renew it to keep it live.`,
+      data: { listing_id: listing._id, expires_at: listing.expires_at },
+    });
+  }
+
+  async listingExpired(listing) {
+    return this.notify(listing.user_id?._id || listing.user_id, {
+      type: 'listing.expired',
+      title: 'Your listing has expired',
+      body: `${listing.title} is no longer visible to buyers. Renew it to relist.`,
+      data: { listing_id: listing._id },
+    });
+  }
+}
+
+// Export singleton instance
+export default new NotificationService();
@@ -0,0 +1,159 @@
+import Listing from '../models/Listing.js';
+import ProductCatalog from '../models/ProductCatalog.js';
+import { createCatalogChain } from './catalog/index.js';
+import { normalizeBarcode } from './catalog/barcode.js';
+import { fetchImages } from './ai/images.js';
+import { readBarcodes } from './ai/ocr.js';
+
+// Specification keys that hold a barcode ("EAN", "UPC/EAN", "GTIN-13", ...)
+const BARCODE_SPEC = /^(?:barcode|ean(?:8|13)?|upca?|gtin(?:8|12|13|14)?|eanupc|upcean)$/;
+
+const specKey = key => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const specValue = (specs, name) => {
+  const entry = Object.entries(specs).find(([key]) => specKey(key) === specKey(name));
+  return entry ? String(entry[1]).trim() : '';
+};
+
+class ProductCatalogService {
+  constructor({ catalogs = createCatalogChain() } = {}) {
+    this.catalogs = catalogs;
+  }
+
+  /**
+   * Resolve a barcode to a product through each catalogue in turn.
+   * Returns { barcode, source, brand, model, model_number, category,
+   * title, identity } or null when no catalogue knows it.
+   */
+  async lookup(value) {
+    const barcode = normalizeBarcode(value);
+    if (!barcode) {
+      return null;
+    }
+
+    for (const catalog of this.catalogs) {
+      try {
+        const product = await catalog.lookup(barcode);
+        if (product) {
+          return { barcode, source: catalog.name, ...product, identity: this.identity(product) };
+        }
+      } catch (error) {
+        console.error(`Product catalogue error (${catalog.name}):`, error.message);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * First product found for any of the barcodes
+   */
+  async identify(values = []) {
+    for (const value of values) {
+      const product = await this.lookup(value);
+      if (product) {
+        return product;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Brand and model number as a single product identifier, used as the
+   * model number for AI analysis
+   */
+  identity({ brand = '', model = '', model_number: modelNumber = '' }) {
+    const name = modelNumber || model;
+    if (brand && name.toLowerCase().startsWith(brand.toLowerCase())) {
+      return name;
+    }
+    return [brand, name].filter(Boolean).join(' ');
+  }
+
+  /**
+   * Decode the barcodes in an image buffer. Returns [{ format, value }].
+   */
+  decodeImage(buffer) {
+    return readBarcodes(buffer);
+  }
+
+  /**
+   * Decode the barcodes in photos. Returns [{ image, format, value }].
+   */
+  async decodeImages(urls = []) {
+    const fetched = await fetchImages(urls);
+    const barcodes = [];
+
+    for (const { url, buffer } of fetched) {
+      const decoded = await this.decodeImage(buffer);
+      barcodes.push(...decoded.map(barcode => ({ image: url, ...barcode })));
+    }
+
+    return barcodes;
+  }
+
+  /**
+   * Build catalogue entries from the barcodes recorded in listings'
+   * specifications. The most recent listing for a barcode wins; manually
+   * added entries are left alone. Safe to re-run.
+   */
+  async seedFromListings() {
+    const entries = new Map();
+    let scanned = 0;
+
+    const cursor = Listing.find({ specifications: { $exists: true } })
+      .select('title model_number specifications created_at')
+      .sort({ created_at: 1 })
+      .lean()
+      .cursor();
+
+    for await (const listing of cursor) {
+      scanned++;
+      const specs = listing.specifications || {};
+      const barcodes = new Set(
+        Object.entries(specs)
+          .filter(([key]) => BARCODE_SPEC.test(specKey(key)))
+          .map(([, value]) => normalizeBarcode(value))
+          .filter(Boolean)
+      );
+
+      barcodes.forEach((barcode) => {
+        entries.set(barcode, {
+          brand: specValue(specs, 'brand'),
+          model: specValue(specs, 'model'),
+          model_number: specValue(specs, 'modelNumber') || listing.model_number || '',
+          category: specValue(specs, 'category'),
+          title: listing.title,
+          listing_count: (entries.get(barcode)?.listing_count || 0) + 1,
+          last_seen_at: listing.created_at,
+        });
+      });
+    }
+
+    const manual = new Set(await ProductCatalog.distinct('barcode', {
+      source: 'manual',
+      barcode: { $in: [...entries.keys()] },
+    }));
+
+    const operations = [...entries]
+      .filter(([barcode]) => !manual.has(barcode))
+      .map(([barcode, entry]) => ({
+        updateOne: {
+          filter: { barcode },
+          update: { $set: { ...entry, source: 'listings' }, $setOnInsert: { created_at: new Date() } },
+          upsert: true,
+        },
+      }));
+
+    if (operations.length > 0) {
+      await ProductCatalog.bulkWrite(operations, { ordered: false });
+    }
+
+    return { scanned, barcodes: entries.size, upserted: operations.length, skipped_manual: manual.size };
+  }
+}
+
+export { ProductCatalogService };
+
+// Export singleton instance
+export default new ProductCatalogService();
@@ -0,0 +1,121 @@
+import User from '../models/User.js';
+import { createExpoTransport } from './push/expo.transport.js';
+import { createMemoryTransport } from './push/memory.transport.js';
+
+// Expo accepts at most 100 messages per request
+const MAX_BATCH_SIZE = 100;
+const FLUSH_DELAY_MS = 250;
+
+const createTransport = (name) => {
+  switch (name) {
+    case 'memory':
+      return createMemoryTransport();
+    case 'none':
+      return null;
+    case 'expo':
+    default:
+      return createExpoTransport();
+  }
+};
+
+class PushService {
+  constructor({ transport = createTransport(process.env.PUSH_TRANSPORT), batchSize = MAX_BATCH_SIZE, flushDelayMs = FLUSH_DELAY_MS } = {}) {
+    this.transport = transport;
+    this.batchSize = batchSize;
+    this.flushDelayMs = flushDelayMs;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Swap the delivery transport (e.g. a memory transport in tests)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Queue notifications for push delivery. Notifications created close
+   * together are sent in as few transport requests as possible.
+   */
+  enqueue(notifications) {
+    if (!this.transport) {
+      return;
+    }
+
+    this.queue.push(...notifications);
+
+    if (!this.timer) {
+      this.timer = setTimeout(() => {
+        this.flush().catch(error => console.error('Push delivery error:', error));
+      }, this.flushDelayMs);
+      this.timer.unref?.();
+    }
+  }
+
+  /**
+   * Deliver everything queued so far
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const notifications = this.queue.splice(0);
+    if (notifications.length === 0 || !this.transport) {
+      return { sent: 0, failed: 0, pruned: 0 };
+    }
+
+    const userIds = [...new Set(notifications.map(n => n.user_id.toString()))];
+    const users = await User.find({
+      _id: { $in: userIds },
+      'push_tokens.0': { $exists: true },
+    }).select('push_tokens');
+    const tokensByUser = new Map(users.map(user => [
+      user._id.toString(),
+      user.push_tokens.map(device => device.token),
+    ]));
+
+    const messages = notifications.flatMap(notification =>
+      (tokensByUser.get(notification.user_id.toString()) || []).map(token => ({
+        to: token,
+        title: notification.title,
+        body: notification.body,
+        sound: 'default',
+        data: {
+          ...notification.data,
+          notification_id: notification._id,
+          type: notification.type,
+        },
+      }))
+    );
+
+    const tickets = [];
+    for (let i = 0; i < messages.length; i += this.batchSize) {
+      const batch = messages.slice(i, i + this.batchSize);
+      try {
+        tickets.push(...await this.transport.send(batch));
+      } catch (error) {
+        console.error('Push batch failed:', error.message);
+        tickets.push(...batch.map(message => ({ token: message.to, status: 'error', error: error.message })));
+      }
+    }
+
+    const invalidTokens = [...new Set(
+      tickets.filter(ticket => ticket.invalidToken).map(ticket => ticket.token)
+    )];
+    if (invalidTokens.length > 0) {
+      await User.prunePushTokens(invalidTokens);
+    }
+
+    return {
+      sent: tickets.filter(ticket => ticket.status === 'ok').length,
+      failed: tickets.filter(ticket => ticket.status !== 'ok').length,
+      pruned: invalidTokens.length,
+    };
+  }
+}
+
+export { PushService };
+
+// Export singleton instance
+export default new PushService();
@@ -0,0 +1,60 @@
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+// The only error meaning the token will never work again and should be dropped
+const INVALID_TOKEN_ERROR = 'DeviceNotRegistered';
+// The project's APNs/FCM credentials are wrong; the tokens themselves are fine
+const CREDENTIALS_ERROR = 'InvalidCredentials';
+
+/**
+ * Push transport backed by Expo's push service.
+ *
+ * Every transport implements `send(messages)` and resolves to one ticket per
+ * message: `{ token, status: 'ok' | 'error', invalidToken, error }`.
+ */
+export const createExpoTransport = ({
+  url = EXPO_PUSH_URL,
+  accessToken = process.env.EXPO_ACCESS_TOKEN,
+} = {}) => ({
+  name: 'expo',
+
+  async send(messages) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Accept: 'application/json',
+    };
+    if (accessToken) {
+      headers.Authorization = `Bearer ${accessToken}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(messages),
+    });
+
+    if (!response.ok) {
+      throw new Error(`Expo push request failed with status ${response.status}`);
+    }
+
+    const { data = [] } = await response.json();
+
+    if (data.some(ticket => ticket?.details?.error === CREDENTIALS_ERROR)) {
+      console.error('Expo push rejected the project\'s push credentials; check the APNs/FCM setup in Expo');
+    }
+
+    return messages.map((message, index) => {
+      const ticket = data[index] || { status: 'error', message: 'Missing ticket' };
+      const error = ticket.details?.error || ticket.message || null;
+
+      return {
+        token: message.to,
+        status: ticket.status === 'ok' ? 'ok' : 'error',
+        id: ticket.id,
+        error: ticket.status === 'ok' ? null : error,
+        invalidToken: ticket.details?.error === INVALID_TOKEN_ERROR,
+      };
+    });
+  },
+});
+
+export default createExpoTransport;
@@ -0,0 +1,37 @@
+/**
+ * In-memory push transport for tests and local development.
+ * Records every message and reports tokens listed in `invalidTokens`
+ * as unregistered, the same way Expo does.
+ */
+export const createMemoryTransport = ({ invalidTokens = [] } = {}) => {
+  const invalid = new Set(invalidTokens);
+
+  return {
+    name: 'memory',
+    sent: [],
+    batches: [],
+
+    async send(messages) {
+      this.batches.push(messages);
+      this.sent.push(...messages);
+
+      return messages.map(message => ({
+        token: message.to,
+        status: invalid.has(message.to) ? 'error' : 'ok',
+        error: invalid.has(message.to) ? 'DeviceNotRegistered' : null,
+        invalidToken: invalid.has(message.to),
+      }));
+    },
+
+    invalidate(token) {
+      invalid.add(token);
+    },
+
+    reset() {
+      this.sent = [];
+      this.batches = [];
+    },
+  };
+};
+
+export default createMemoryTransport;
@@ -0,0 +1,260 @@
+import { WebSocketServer, WebSocket } from 'ws';
+import mongoose from 'mongoose';
+import { resolveUserFromToken } from '../middleware/auth.js';
+
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const TYPING_TTL_MS = 5 * 1000;
+// Clients only send small JSON control frames
+const MAX_PAYLOAD_BYTES = 16 * 1024;
+
+class RealtimeService {
+  constructor() {
+    this.wss = null;
+    this.heartbeat = null;
+    // channel -> Set of sockets
+    this.channels = new Map();
+  }
+
+  /**
+   * Attach a WebSocket endpoint to the HTTP server.
+   * Clients authenticate with the same Clerk bearer token as the REST API,
+   * either in the Authorization header or as a `token` query param.
+   */
+  attach(server, path = '/ws') {
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+    server.on('upgrade', async (req, socket, head) => {
+      // The client can drop the connection while we authenticate it
+      const onSocketError = (error) => {
+        console.error('WebSocket upgrade error:', error.message);
+        socket.destroy();
+      };
+      socket.on('error', onSocketError);
+
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== path) {
+        socket.destroy();
+        return;
+      }
+
+      try {
+        const token = req.headers.authorization?.replace('Bearer ', '') ||
+          url.searchParams.get('token');
+        const session = token ? await resolveUserFromToken(token) : null;
+
+        if (!session) {
+          socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+          socket.destroy();
+          return;
+        }
+
+        if (socket.destroyed) {
+          return;
+        }
+
+        socket.off('error', onSocketError);
+        this.wss.handleUpgrade(req, socket, head, (ws) => {
+          this.handleConnection(ws, session.user);
+        });
+      } catch (error) {
+        console.error('WebSocket authentication error:', error.message);
+        socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+        socket.destroy();
+      }
+    });
+
+    // Drop connections that stopped answering pings
+    this.heartbeat = setInterval(() => {
+      this.wss.clients.forEach((ws) => {
+        if (!ws.isAlive) {
+          ws.terminate();
+          return;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, HEARTBEAT_INTERVAL_MS);
+    this.heartbeat.unref();
+
+    console.log(`🔌 WebSocket endpoint listening on ${path}`);
+    return this.wss;
+  }
+
+  handleConnection(ws, user) {
+    ws.user = user;
+    ws.channels = new Set();
+    ws.isAlive = true;
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    // Malformed or oversized frames; unhandled, they would crash the process
+    ws.on('error', (error) => {
+      console.error('WebSocket connection error:', error.message);
+      ws.terminate();
+    });
+
+    // Every connection receives events addressed to its user
+    this.subscribe(ws, `user:${user._id}`);
+
+    ws.on('message', (raw) => {
+      this.handleMessage(ws, raw).catch((error) => {
+        console.error('WebSocket message error:', error.message);
+        this.send(ws, { type: 'error', message: 'Failed to process message' });
+      });
+    });
+
+    ws.on('close', () => {
+      ws.channels.forEach(channel => this.unsubscribe(ws, channel));
+    });
+
+    this.send(ws, { type: 'connected', user_id: user._id });
+  }
+
+  async handleMessage(ws, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw.toString());
+    } catch {
+      this.send(ws, { type: 'error', message: 'Invalid JSON' });
+      return;
+    }
+
+    switch (message.type) {
+      case 'subscribe': {
+        const allowed = await this.canSubscribe(ws.user, message.channel);
+        if (!allowed) {
+          this.send(ws, { type: 'error', message: 'Not allowed to subscribe', channel: message.channel });
+          return;
+        }
+        this.subscribe(ws, message.channel);
+        this.send(ws, { type: 'subscribed', channel: message.channel });
+        break;
+      }
+
+      case 'unsubscribe':
+        this.unsubscribe(ws, message.channel);
+        this.send(ws, { type: 'unsubscribed', channel: message.channel });
+        break;
+
+      case 'typing': {
+        const conversation = await this.findConversation(ws.user, message.conversation_id);
+        if (!conversation) {
+          this.send(ws, { type: 'error', message: 'Conversation not found' });
+          return;
+        }
+        this.publishToUser(conversation.otherParticipant(ws.user._id), 'typing', {
+          conversation_id: conversation._id,
+          user_id: ws.user._id,
+          is_typing: message.is_typing !== false,
+          expires_in: TYPING_TTL_MS,
+        });
+        break;
+      }
+
+      case 'ping':
+        this.send(ws, { type: 'pong' });
+        break;
+
+      default:
+        this.send(ws, { type: 'error', message: `Unknown message type: ${message.type}` });
+    }
+  }
+
+  /**
+   * Listings are public. Conversation events go to each participant's
+   * user channel, so there are no conversation channels to subscribe to.
+   */
+  async canSubscribe(user, channel) {
+    const [kind, id] = String(channel || '').split(':');
+
+    if (kind === 'listing') {
+      return mongoose.isValidObjectId(id);
+    }
+
+    if (kind === 'user') {
+      return id === user._id.toString();
+    }
+
+    return false;
+  }
+
+  async findConversation(user, conversationId) {
+    if (!mongoose.isValidObjectId(conversationId)) {
+      return null;
+    }
+    const conversation = await mongoose.model('Conversation').findById(conversationId);
+    return conversation?.isParticipant(user._id) ? conversation : null;
+  }
+
+  subscribe(ws, channel) {
+    if (!this.channels.has(channel)) {
+      this.channels.set(channel, new Set());
+    }
+    this.channels.get(channel).add(ws);
+    ws.channels.add(channel);
+  }
+
+  unsubscribe(ws, channel) {
+    const sockets = this.channels.get(channel);
+    if (sockets) {
+      sockets.delete(ws);
+      if (sockets.size === 0) {
+        this.channels.delete(channel);
+      }
+    }
+    ws.channels.delete(channel);
+  }
+
+  send(ws, payload) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(payload));
+    }
+  }
+
+  /**
+   * Push an event to every socket subscribed to a channel.
+   * A no-op when the endpoint isn't attached (scripts, tests).
+   */
+  publish(channel, event, data) {
+    const sockets = this.channels.get(channel);
+    if (!sockets) {
+      return;
+    }
+
+    const payload = { type: 'event', event, channel, data };
+    sockets.forEach(ws => this.send(ws, payload));
+  }
+
+  publishToUser(userId, event, data) {
+    this.publish(`user:${userId}`, event, data);
+  }
+
+  /**
+   * Notify subscribers of a listing and its owner about a status change
+   */
+  publishListingStatus(listing, previousStatus = null) {
+    const data = {
+      listing_id: listing._id,
+      status: listing.status,
+      previous_status: previousStatus,
+      changed_at: new Date(),
+    };
+
+    this.publish(`listing:${listing._id}`, 'listing.status', data);
+    this.publishToUser(listing.user_id?._id || listing.user_id, 'listing.status', data);
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+    }
+    this.channels.clear();
+  }
+}
+
+// Export singleton instance
+export default new RealtimeService();
@@ -0,0 +1,199 @@
+import Transaction from '../models/Transaction.js';
+import Conversation from '../models/Conversation.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/errorHandler.js';
+import notificationService from './notification.service.js';
+
+const sameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+class TransactionService {
+  /**
+   * The buyer for a listing, taken from one of its conversations or picked
+   * by user id. Returns { buyerId, conversationId }.
+   */
+  async resolveBuyer(listing, { buyerId = null, conversationId = null } = {}) {
+    let conversation = null;
+
+    if (conversationId) {
+      conversation = await Conversation.findOne({ _id: conversationId, listing_id: listing._id });
+      if (!conversation) {
+        throw new AppError('Conversation not found for this listing', 404);
+      }
+      if (buyerId && !sameId(buyerId, conversation.buyer_id)) {
+        throw new AppError('buyer_id does not match the conversation', 400);
+      }
+    } else {
+      const buyer = await User.findById(buyerId).select('_id');
+      if (!buyer) {
+        throw new AppError('Buyer not found', 404);
+      }
+    }
+
+    const resolvedId = conversation ? conversation.buyer_id : buyerId;
+    if (sameId(resolvedId, listing.user_id)) {
+      throw new AppError('Sellers can\'t buy their own listing', 400);
+    }
+
+    return { buyerId: resolvedId, conversationId: conversation?._id || null };
+  }
+
+  /**
+   * Cancel the listing's open reservation, if any
+   */
+  async cancelReservation(listing) {
+    return Transaction.updateMany(
+      { listing_id: listing._id, status: 'reserved' },
+      { status: 'cancelled', cancelled_at: new Date() }
+    );
+  }
+
+  /**
+   * Reserve a listing for a buyer. Reserving it for someone else cancels
+   * the earlier reservation.
+   */
+  async reserve(listing, { userId, buyerId = null, conversationId = null }) {
+    const buyer = await this.resolveBuyer(listing, { buyerId, conversationId });
+
+    await listing.reserveFor(buyer.buyerId, { userId });
+    await this.cancelReservation(listing);
+
+    const transaction = await Transaction.create({
+      listing_id: listing._id,
+      seller_id: listing.user_id._id || listing.user_id,
+      buyer_id: buyer.buyerId,
+      conversation_id: buyer.conversationId,
+      status: 'reserved',
+      price: listing.price,
+      currency: listing.currency,
+      reserved_at: new Date(),
+    });
+
+    await notificationService.listingReserved(listing, buyer.buyerId);
+
+    return transaction;
+  }
+
+  /**
+   * Put a reserved listing back on sale
+   */
+  async release(listing, { userId }) {
+    listing.trackRevision({ userId });
+    listing.status = 'active';
+    await listing.save();
+    await this.cancelReservation(listing);
+    return listing;
+  }
+
+  /**
+   * Mark a listing sold, to a given buyer or the one holding the
+   * reservation, at `price` (the asking price by default)
+   */
+  async markSold(listing, { userId, buyerId = null, conversationId = null, price = null }) {
+    const buyer = buyerId || conversationId
+      ? await this.resolveBuyer(listing, { buyerId, conversationId })
+      : { buyerId: null, conversationId: null };
+
+    await listing.markAsSold({ userId, buyerId: buyer.buyerId });
+    return this.recordSale(listing, { price, conversationId: buyer.conversationId });
+  }
+
+  /**
+   * Record the sale of a listing that has just been marked sold. Completes
+   * the reservation when the buyer is the one holding it. A listing is only
+   * sold once, so an existing sale is returned as is.
+   */
+  async recordSale(listing, { price = null, conversationId = null } = {}) {
+    const sale = await Transaction.findOne({ listing_id: listing._id, status: 'completed' });
+    if (sale) {
+      return sale;
+    }
+
+    const now = new Date();
+    const finalPrice = price ?? listing.price;
+    const reservation = await Transaction.findOne({ listing_id: listing._id, status: 'reserved' });
+
+    if (reservation && sameId(reservation.buyer_id, listing.sold_to)) {
+      reservation.set({
+        status: 'completed',
+        price: finalPrice ?? reservation.price,
+        currency: listing.currency,
+        sold_at: now,
+      });
+      return reservation.save();
+    }
+
+    await this.cancelReservation(listing);
+
+    return Transaction.create({
+      listing_id: listing._id,
+      seller_id: listing.user_id._id || listing.user_id,
+      buyer_id: listing.sold_to,
+      conversation_id: conversationId,
+      status: 'completed',
+      price: finalPrice,
+      currency: listing.currency,
+      sold_at: now,
+    });
+  }
+
+  /**
+   * Keep transactions in step with a status change made through a
+   * general listing update
+   */
+  async statusChanged(listing, previousStatus) {
+    if (listing.status === 'sold' && previousStatus !== 'sold') {
+      return this.recordSale(listing);
+    }
+    if (previousStatus === 'reserved' && listing.status !== 'reserved') {
+      return this.cancelReservation(listing);
+    }
+    // Putting a sold listing back on sale means the sale fell through
+    if (previousStatus === 'sold' && listing.status === 'active') {
+      return Transaction.updateMany(
+        { listing_id: listing._id, status: 'completed' },
+        { status: 'cancelled', cancelled_at: new Date() }
+      );
+    }
+    return null;
+  }
+
+  /**
+   * A user's transactions as buyer, seller or either, newest first
+   */
+  async history(userId, { role = 'all', status, page = 1, limit = 20 } = {}) {
+    const filter = {
+      buyer: { buyer_id: userId },
+      seller: { seller_id: userId },
+      all: { $or: [{ buyer_id: userId }, { seller_id: userId }] },
+    }[role];
+    if (status) {
+      filter.status = status;
+    }
+
+    const [transactions, total] = await Promise.all([
+      Transaction.find(filter)
+        .sort({ created_at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('listing_id', 'title photo_url price currency status')
+        .populate('seller_id', 'name avatar_url')
+        .populate('buyer_id', 'name avatar_url'),
+      Transaction.countDocuments(filter),
+    ]);
+
+    return {
+      transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+}
+
+export { TransactionService };
+
+// Export singleton instance
+export default new TransactionService();
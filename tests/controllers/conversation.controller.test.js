@@ -0,0 +1,60 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Conversation from '../../src/models/Conversation.js';
+import Listing from '../../src/models/Listing.js';
+import conversationController from '../../src/controllers/conversation.controller.js';
+
+const createResponse = () => ({
+  status: jest.fn(function (code) {
+    this.statusCode = code;
+    return this;
+  }),
+  json: jest.fn(function (body) {
+    this.body = body;
+    return this;
+  }),
+});
+
+describe('conversationController.start', () => {
+  const seller = new mongoose.Types.ObjectId();
+  const buyer = { _id: new mongoose.Types.ObjectId(), name: 'Buyer' };
+  const listing = { _id: new mongoose.Types.ObjectId(), user_id: seller, status: 'active' };
+  let req;
+  let res;
+
+  beforeEach(() => {
+    req = { params: { id: String(listing._id) }, body: {}, user: buyer };
+    res = createResponse();
+    jest.spyOn(Listing, 'findById').mockResolvedValue(listing);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the conversation a parallel request just created', async () => {
+    const existing = new Conversation({ listing_id: listing._id, buyer_id: buyer._id, seller_id: seller });
+    existing.populate = jest.fn().mockResolvedValue(existing);
+    jest.spyOn(Conversation, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(existing);
+    jest.spyOn(Conversation, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await conversationController.start(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.conversation).toBe(existing);
+  });
+
+  test('creates the conversation when there is none', async () => {
+    const conversation = new Conversation({ listing_id: listing._id, buyer_id: buyer._id, seller_id: seller });
+    conversation.populate = jest.fn().mockResolvedValue(conversation);
+    jest.spyOn(Conversation, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Conversation, 'create').mockResolvedValue(conversation);
+
+    await conversationController.start(req, res);
+
+    expect(create).toHaveBeenCalledWith({ listing_id: listing._id, buyer_id: buyer._id, seller_id: seller });
+    expect(res.statusCode).toBe(201);
+  });
+});
@@ -0,0 +1,56 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import Favorite from '../../src/models/Favorite.js';
+import Listing from '../../src/models/Listing.js';
+import favoriteController from '../../src/controllers/favorite.controller.js';
+import notificationService from '../../src/services/notification.service.js';
+
+const createResponse = () => ({
+  status: jest.fn(function (code) {
+    this.statusCode = code;
+    return this;
+  }),
+  json: jest.fn(function (body) {
+    this.body = body;
+    return this;
+  }),
+});
+
+describe('favoriteController.add', () => {
+  const listing = { _id: new mongoose.Types.ObjectId(), user_id: new mongoose.Types.ObjectId(), status: 'active', favorites_count: 3 };
+  let req;
+  let res;
+
+  beforeEach(() => {
+    req = { params: { id: String(listing._id) }, user: { _id: new mongoose.Types.ObjectId() } };
+    res = createResponse();
+    jest.spyOn(Listing, 'findById').mockResolvedValue(listing);
+    jest.spyOn(Listing, 'findByIdAndUpdate').mockResolvedValue({ ...listing, favorites_count: 4 });
+    jest.spyOn(notificationService, 'listingFavorited').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts and notifies only the first save', async () => {
+    jest.spyOn(Favorite, 'updateOne').mockResolvedValue({ upsertedCount: 1 });
+
+    await favoriteController.add(req, res);
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.favorites_count).toBe(4);
+    expect(notificationService.listingFavorited).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats a duplicate from a parallel save as already favorited', async () => {
+    jest.spyOn(Favorite, 'updateOne').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await favoriteController.add(req, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ success: true, favorited: true, favorites_count: 3 });
+    expect(Listing.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(notificationService.listingFavorited).not.toHaveBeenCalled();
+  });
+});
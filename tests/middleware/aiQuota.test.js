@@ -0,0 +1,88 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import mongoose from 'mongoose';
+import aiUsage from '../../src/services/aiUsage.service.js';
+import { enforceAIQuota } from '../../src/middleware/aiQuota.js';
+
+const quota = { plan: 'free', daily: { limit: 5, resets_at: new Date(Date.now() + 1000) }, monthly: { limit: 50 } };
+
+const createResponse = () => Object.assign(new EventEmitter(), {
+  statusCode: 200,
+  writableFinished: false,
+  headers: {},
+  set(name, value) {
+    this.headers[name] = value;
+    return this;
+  },
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    this.writableFinished = true;
+    this.emit('close');
+    return this;
+  },
+});
+
+describe('enforceAIQuota', () => {
+  const reservedAt = new Date();
+  let req;
+  let res;
+  let next;
+
+  beforeEach(() => {
+    req = { user: { _id: new mongoose.Types.ObjectId(), plan: 'free' } };
+    res = createResponse();
+    next = jest.fn();
+    jest.spyOn(aiUsage, 'reserve').mockResolvedValue({ reserved: true, reservedAt, quota });
+    jest.spyOn(aiUsage, 'release').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the reservation when the response succeeds', async () => {
+    await enforceAIQuota(req, res, next);
+    res.json({ success: true });
+
+    expect(next).toHaveBeenCalledWith();
+    expect(aiUsage.release).not.toHaveBeenCalled();
+  });
+
+  test('gives the reservation back when the request fails', async () => {
+    await enforceAIQuota(req, res, next);
+    res.status(500).json({ success: false });
+
+    expect(aiUsage.release).toHaveBeenCalledWith(req.user._id, reservedAt);
+  });
+
+  test('gives the reservation back once when the client leaves', async () => {
+    await enforceAIQuota(req, res, next);
+    await req.releaseAIQuota();
+    res.emit('close');
+
+    expect(aiUsage.release).toHaveBeenCalledTimes(1);
+  });
+
+  test('answers 429 with Retry-After when the daily limit is used up', async () => {
+    aiUsage.reserve.mockResolvedValue({ reserved: false, exceeded: 'daily', quota });
+
+    await enforceAIQuota(req, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(429);
+    expect(res.headers['Retry-After']).toBeGreaterThan(0);
+  });
+
+  test('answers 402 when the monthly limit is used up', async () => {
+    aiUsage.reserve.mockResolvedValue({ reserved: false, exceeded: 'monthly', quota });
+
+    await enforceAIQuota(req, res, next);
+
+    expect(res.statusCode).toBe(402);
+    expect(aiUsage.release).not.toHaveBeenCalled();
+  });
+});
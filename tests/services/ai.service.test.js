@@ -0,0 +1,305 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import { AIService } from '../../src/services/ai.service.js';
+import { createFixtureProvider } from '../../src/services/ai/providers/fixture.provider.js';
+
+// Provider whose analyze calls are handled by `analyze(request)`
+const stubProvider = (name, analyze, options = {}) => ({
+  name,
+  model: `${name}-model`,
+  isConfigured: () => true,
+  analyzeImages: jest.fn(analyze),
+  analyzeText(request) {
+    return this.analyzeImages({ ...request, images: [] });
+  },
+  ...options,
+});
+
+const failing = (name, message = `${name} is down`) => stubProvider(name, async () => {
+  throw new Error(message);
+});
+
+const createService = (providers, options = {}) => new AIService({
+  providers,
+  cache: null,
+  usage: null,
+  catalog: null,
+  ocrMode: 'off',
+  ...options,
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('provider failover', () => {
+  test('falls back to the next provider when one fails', async () => {
+    const primary = failing('primary');
+    const service = createService([primary, createFixtureProvider()]);
+
+    const analysis = await service.analyzeProductImages([], 'WF-8204');
+
+    expect(primary.analyzeImages).toHaveBeenCalledTimes(1);
+    expect(analysis.aiProvider).toBe('fixture');
+    expect(analysis.title).toBe('Fixture Brand WF-8204 Product');
+    expect(analysis.failedProviders).toEqual([{ provider: 'primary', error: 'primary is down' }]);
+  });
+
+  test('falls back when a provider times out', async () => {
+    const slow = stubProvider('slow', () => new Promise(() => {}), { timeoutMs: 20 });
+    const service = createService([slow, createFixtureProvider()]);
+
+    const analysis = await service.analyzeProductImages([], 'WF-8204');
+
+    expect(analysis.aiProvider).toBe('fixture');
+    expect(analysis.failedProviders[0].error).toBe('slow timed out after 20ms');
+  });
+
+  test('cancels the request of a provider that timed out', async () => {
+    let signal;
+    const slow = stubProvider('slow', (request) => {
+      ({ signal } = request);
+      return new Promise(() => {});
+    }, { timeoutMs: 20 });
+    const service = createService([slow, createFixtureProvider()]);
+
+    await service.analyzeProductImages([], 'WF-8204');
+
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('leaves the request of a provider that answered alone', async () => {
+    const fixture = createFixtureProvider();
+    let signal;
+    const provider = stubProvider('steady', (request) => {
+      ({ signal } = request);
+      return fixture.analyzeImages(request);
+    });
+
+    await createService([provider]).analyzeProductImages([], 'WF-8204');
+
+    expect(signal.aborted).toBe(false);
+  });
+
+  test('reports every provider error when all of them fail', async () => {
+    const service = createService([failing('primary'), failing('secondary')]);
+
+    await expect(service.analyzeProductImages([], 'WF-8204')).rejects.toMatchObject({
+      statusCode: 500,
+      details: {
+        providers: [
+          { provider: 'primary', error: 'primary is down' },
+          { provider: 'secondary', error: 'secondary is down' },
+        ],
+      },
+    });
+  });
+
+  test('skips providers that are not configured', async () => {
+    const unconfigured = { ...failing('unconfigured'), isConfigured: () => false };
+    const service = createService([unconfigured, createFixtureProvider()]);
+
+    const analysis = await service.analyzeProductImages([], 'WF-8204');
+
+    expect(unconfigured.analyzeImages).not.toHaveBeenCalled();
+    expect(analysis.failedProviders).toBeUndefined();
+  });
+});
+
+describe('circuit breaking', () => {
+  let now;
+  let primary;
+  let service;
+
+  beforeEach(() => {
+    now = 0;
+    primary = failing('primary');
+    service = createService([primary, createFixtureProvider()], {
+      circuitBreaker: { failureThreshold: 2, cooldownMs: 1000, now: () => now },
+    });
+  });
+
+  const primaryCircuit = () => service.providerStatus().find(({ name }) => name === 'primary').circuit;
+
+  test('stops calling a provider once its circuit opens', async () => {
+    await service.analyzeProductImages([], 'A-1');
+    await service.analyzeProductImages([], 'A-2');
+    expect(primaryCircuit().state).toBe('open');
+
+    const analysis = await service.analyzeProductImages([], 'A-3');
+
+    expect(primary.analyzeImages).toHaveBeenCalledTimes(2);
+    expect(analysis.aiProvider).toBe('fixture');
+    expect(analysis.failedProviders).toBeUndefined();
+  });
+
+  test('closes the circuit after a successful half-open trial', async () => {
+    await service.analyzeProductImages([], 'A-1');
+    await service.analyzeProductImages([], 'A-2');
+
+    now = 1000;
+    const fixture = createFixtureProvider();
+    primary.analyzeImages.mockImplementation(request => fixture.analyzeImages(request));
+
+    const analysis = await service.analyzeProductImages([], 'A-3');
+
+    expect(analysis.aiProvider).toBe('primary');
+    expect(primaryCircuit()).toMatchObject({ state: 'closed', failures: 0, trialInFlight: false });
+  });
+
+  test('lets only one request try a half-open provider', async () => {
+    await service.analyzeProductImages([], 'A-1');
+    await service.analyzeProductImages([], 'A-2');
+
+    now = 1000;
+    let finishTrial;
+    primary.analyzeImages.mockImplementation(() => new Promise((_, reject) => {
+      finishTrial = () => reject(new Error('still down'));
+    }));
+
+    const trial = service.analyzeProductImages([], 'A-3');
+    await new Promise(resolve => setImmediate(resolve));
+    const other = await service.analyzeProductImages([], 'A-4');
+
+    expect(other.aiProvider).toBe('fixture');
+    expect(primary.analyzeImages).toHaveBeenCalledTimes(3);
+
+    finishTrial();
+    expect((await trial).aiProvider).toBe('fixture');
+    expect(primaryCircuit().state).toBe('open');
+  });
+});
+
+describe('schema repair', () => {
+  const fixture = createFixtureProvider();
+  const invalidOutput = JSON.stringify({ seoTitle: 'Half a listing' });
+
+  test('retries once with a repair prompt when the output is invalid', async () => {
+    const provider = stubProvider('flaky', jest.fn()
+      .mockResolvedValueOnce({ text: invalidOutput })
+      .mockImplementationOnce(request => fixture.analyzeImages(request)));
+    const service = createService([provider]);
+
+    const analysis = await service.analyzeProductImages([], 'WF-8204');
+
+    expect(provider.analyzeImages).toHaveBeenCalledTimes(2);
+    const repairRequest = provider.analyzeImages.mock.calls[1][0];
+    expect(repairRequest.prompt).toContain(invalidOutput);
+    expect(repairRequest.responseSchema).toBeDefined();
+    expect(analysis.validation).toMatchObject({ valid: true, repaired: true });
+    expect(analysis.validation.missing).toEqual(expect.arrayContaining(['productDescription']));
+  });
+
+  test('does not ask for a repair when the output is valid', async () => {
+    const provider = stubProvider('steady', request => fixture.analyzeImages(request));
+    const service = createService([provider]);
+
+    const analysis = await service.analyzeProductImages([], 'WF-8204');
+
+    expect(provider.analyzeImages).toHaveBeenCalledTimes(1);
+    expect(analysis.validation).toMatchObject({ valid: true, repaired: false });
+  });
+
+  test('moves on to the next provider when the repair is invalid too', async () => {
+    const provider = stubProvider('broken', async () => ({ text: 'not json at all' }));
+    const service = createService([provider, fixture]);
+
+    const analysis = await service.analyzeProductImages([], 'WF-8204');
+
+    expect(provider.analyzeImages).toHaveBeenCalledTimes(2);
+    expect(analysis.aiProvider).toBe('fixture');
+    expect(analysis.failedProviders).toEqual([
+      expect.objectContaining({ provider: 'broken', error: 'broken returned invalid output' }),
+    ]);
+    // Bad output isn't an outage
+    expect(service.providerStatus()[0].circuit).toMatchObject({ state: 'closed', failures: 0 });
+  });
+});
+
+describe('label reading', () => {
+  test('does not run local OCR for requests waiting on the analysis', () => {
+    const service = createService([createFixtureProvider()], { ocrMode: 'local' });
+
+    expect(service.syncOcrMode).toBe('off');
+    expect(createService([], { ocrMode: 'vision' }).syncOcrMode).toBe('vision');
+  });
+
+  test('queued jobs read labels with ocrMode', async () => {
+    const service = createService([createFixtureProvider()], { ocrMode: 'vision', syncOcrMode: 'off' });
+    const extract = jest.spyOn(service, 'extractTextFromImages');
+
+    await service.analyzeProductImages(['https://example.com/plate.jpg'], null, null, { queued: true });
+    await service.analyzeProductImages(['https://example.com/plate.jpg']);
+
+    expect(extract.mock.calls.map(([, { mode }]) => mode)).toEqual(['vision', 'off']);
+  });
+});
+
+describe('streaming', () => {
+  // Streams `chunks`, then hangs until its request is aborted
+  const stallingProvider = (chunks) => {
+    const provider = {
+      name: 'stalling',
+      isConfigured: () => true,
+      aborted: false,
+      async *stream(request) {
+        request.signal.addEventListener('abort', () => {
+          provider.aborted = true;
+        });
+        yield* chunks;
+        await new Promise(() => {});
+      },
+    };
+    return provider;
+  };
+
+  const collect = async (stream) => {
+    const events = [];
+    for await (const { event } of stream) {
+      events.push(event);
+    }
+    return events;
+  };
+
+  test('yields partial fields and then the result', async () => {
+    const service = createService([createFixtureProvider({ chunkSize: 20 })]);
+
+    const events = await collect(service.streamProductAnalysis([], 'WF-8204'));
+
+    expect(events[0]).toBe('partial');
+    expect(events.at(-1)).toBe('result');
+  });
+
+  test('fails a stream that goes quiet and cancels its request', async () => {
+    const provider = stallingProvider(['{"seoTitle": "Wash']);
+    const service = createService([provider], { streamIdleTimeoutMs: 20 });
+
+    const events = [];
+    await expect((async () => {
+      for await (const { event } of service.streamProductAnalysis([], 'WF-8204')) {
+        events.push(event);
+      }
+    })()).rejects.toMatchObject({ statusCode: 500 });
+
+    expect(events).toEqual(['partial']);
+    expect(provider.aborted).toBe(true);
+    expect(service.providerStatus()[0].circuit.failures).toBe(1);
+  });
+
+  test('stops quietly when the client goes away', async () => {
+    const provider = stallingProvider([]);
+    const service = createService([provider]);
+    const disconnect = new AbortController();
+
+    setTimeout(() => disconnect.abort(), 20);
+    const events = await collect(service.streamProductAnalysis([], 'WF-8204', null, { signal: disconnect.signal }));
+
+    expect(events).toEqual([]);
+    expect(provider.aborted).toBe(true);
+    expect(service.providerStatus()[0].circuit.failures).toBe(0);
+  });
+});
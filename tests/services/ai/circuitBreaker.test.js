@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { CircuitBreaker } from '../../../src/services/ai/circuitBreaker.js';
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  beforeEach(() => {
+    now = 0;
+    breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+  });
+
+  test('opens after consecutive failures', () => {
+    breaker.recordFailure();
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+
+    breaker.recordFailure();
+    expect(breaker.state).toBe('open');
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('a success resets the failure count', () => {
+    breaker.recordFailure();
+    breaker.recordSuccess();
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('closed');
+  });
+
+  test('lets a single trial through once the cooldown has passed', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+
+    now = 999;
+    expect(breaker.canRequest()).toBe(false);
+
+    now = 1000;
+    expect(breaker.state).toBe('half-open');
+    expect(breaker.isAvailable()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+
+    // Everyone else waits for the trial
+    expect(breaker.isAvailable()).toBe(false);
+    expect(breaker.canRequest()).toBe(false);
+    expect(breaker.toJSON()).toMatchObject({ state: 'half-open', trialInFlight: true });
+  });
+
+  test('closes when the trial succeeds', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now = 1000;
+    breaker.canRequest();
+
+    breaker.recordSuccess();
+
+    expect(breaker.state).toBe('closed');
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('opens again when the trial fails', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now = 1000;
+    breaker.canRequest();
+
+    breaker.recordFailure();
+
+    expect(breaker.state).toBe('open');
+    now = 1999;
+    expect(breaker.canRequest()).toBe(false);
+    now = 2000;
+    expect(breaker.canRequest()).toBe(true);
+  });
+
+  test('gives up on a trial that never reports back', () => {
+    breaker.recordFailure();
+    breaker.recordFailure();
+    now = 1000;
+    breaker.canRequest();
+
+    now = 1999;
+    expect(breaker.canRequest()).toBe(false);
+    now = 2000;
+    expect(breaker.canRequest()).toBe(true);
+  });
+});
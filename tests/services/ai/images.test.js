@@ -0,0 +1,49 @@
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import { fetchImage, isPrivateAddress } from '../../../src/services/ai/images.js';
+
+describe('image downloads', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    '127.0.0.1',
+    '10.0.0.5',
+    '172.20.1.1',
+    '192.168.1.10',
+    '169.254.169.254',
+    '::1',
+    'fd12::1',
+    'fe80::1',
+    '::ffff:169.254.169.254',
+  ])('treats %s as private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  test.each(['93.184.216.34', '2606:4700::1111', '::ffff:93.184.216.34'])('treats %s as public', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  test.each([
+    'http://169.254.169.254/latest/meta-data/',
+    'http://localhost:5000/api/health',
+    'http://[::1]/image.jpg',
+    'file:///etc/passwd',
+  ])('refuses to fetch %s', async (url) => {
+    const fetch = jest.spyOn(globalThis, 'fetch');
+
+    await expect(fetchImage(url)).rejects.toThrow(/private address|http or https/);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('fetches public images without following redirects', async () => {
+    const fetch = jest.spyOn(globalThis, 'fetch').mockResolvedValue(new Response('png bytes', {
+      headers: { 'content-type': 'image/png' },
+    }));
+
+    const image = await fetchImage('http://93.184.216.34/washer.png');
+
+    expect(fetch).toHaveBeenCalledWith('http://93.184.216.34/washer.png', { redirect: 'error' });
+    expect(image).toMatchObject({ mimeType: 'image/png', data: Buffer.from('png bytes').toString('base64') });
+  });
+});
@@ -0,0 +1,105 @@
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import {
+  createProvider,
+  createProviderChain,
+  listProviders,
+  providerOrder,
+  registerProvider,
+} from '../../../src/services/ai/providers/index.js';
+import { createFixtureProvider } from '../../../src/services/ai/providers/fixture.provider.js';
+import { validateListingOutput, normaliseListingOutput } from '../../../src/services/ai/listingSchema.js';
+
+const ENV_KEYS = ['AI_PROVIDERS', 'AI_PROVIDER'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+afterEach(() => {
+  ENV_KEYS.forEach((key) => {
+    if (savedEnv[key] === undefined) {
+      delete process.env[key];
+    } else {
+      process.env[key] = savedEnv[key];
+    }
+  });
+  jest.restoreAllMocks();
+});
+
+describe('provider registry', () => {
+  test('registers the built-in providers', () => {
+    expect(listProviders()).toEqual(expect.arrayContaining(['gemini', 'openai', 'local', 'fixture']));
+  });
+
+  test('reads the chain order from AI_PROVIDERS', () => {
+    process.env.AI_PROVIDERS = ' fixture , local ,';
+
+    expect(providerOrder()).toEqual(['fixture', 'local']);
+  });
+
+  test('falls back to AI_PROVIDER followed by the other hosted providers', () => {
+    delete process.env.AI_PROVIDERS;
+    process.env.AI_PROVIDER = 'openai';
+
+    expect(providerOrder()).toEqual(['openai', 'gemini']);
+  });
+
+  test('builds the chain in order and skips unknown names', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const chain = createProviderChain(['fixture', 'nope']);
+
+    expect(chain.map(provider => provider.name)).toEqual(['fixture']);
+    expect(console.warn).toHaveBeenCalledWith('Skipping unknown AI provider: nope');
+  });
+
+  test('accepts new providers', () => {
+    const factory = jest.fn(options => ({ name: 'custom', ...options }));
+    registerProvider('custom', factory);
+
+    expect(createProvider('custom', { timeoutMs: 5 })).toMatchObject({ name: 'custom', timeoutMs: 5 });
+    expect(() => createProvider('missing')).toThrow('Unknown AI provider: missing');
+  });
+});
+
+describe('fixture provider', () => {
+  const request = {
+    prompt: 'Describe this product',
+    images: ['https://example.com/a.jpg'],
+    context: { modelNumber: 'WF-8204', additionalInfo: 'boxed' },
+  };
+
+  test('returns the same valid listing for the same input', async () => {
+    const provider = createFixtureProvider();
+
+    const first = await provider.analyzeImages(request);
+    const second = await provider.analyzeImages(request);
+
+    expect(first.text).toBe(second.text);
+    expect(validateListingOutput(normaliseListingOutput(JSON.parse(first.text))).valid).toBe(true);
+    expect(first.usage.output_tokens).toBeGreaterThan(0);
+  });
+
+  test('varies with the input', async () => {
+    const provider = createFixtureProvider();
+
+    const one = JSON.parse((await provider.analyzeImages(request)).text);
+    const other = JSON.parse((await provider.analyzeImages({ ...request, context: { modelNumber: 'KDL-40' } })).text);
+
+    expect(one.seoTitle).not.toBe(other.seoTitle);
+  });
+
+  test('streams the same text in chunks', async () => {
+    const provider = createFixtureProvider({ chunkSize: 16 });
+    const { text } = await provider.analyzeImages(request);
+
+    const chunks = [];
+    const iterator = provider.stream(request);
+    let step = await iterator.next();
+    while (!step.done) {
+      chunks.push(step.value);
+      step = await iterator.next();
+    }
+
+    expect(chunks.every(chunk => chunk.length <= 16)).toBe(true);
+    expect(chunks.join('')).toBe(text);
+    expect(step.value.usage).toEqual((await provider.analyzeImages(request)).usage);
+  });
+});
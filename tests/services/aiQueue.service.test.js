@@ -0,0 +1,107 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import AIJob from '../../src/models/AIJob.js';
+import { AIQueue } from '../../src/services/aiQueue.service.js';
+import notificationService from '../../src/services/notification.service.js';
+import aiUsage from '../../src/services/aiUsage.service.js';
+
+const claimedJob = (overrides = {}) => new AIJob({
+  user_id: new mongoose.Types.ObjectId(),
+  status: 'processing',
+  attempts: 1,
+  locked_at: new Date(),
+  ...overrides,
+});
+
+describe('AIQueue', () => {
+  let queue;
+
+  beforeEach(() => {
+    queue = new AIQueue({ processor: async () => ({ listing_data: { title: 'Washer' } }) });
+    jest.spyOn(notificationService, 'aiAnalysisComplete').mockResolvedValue(null);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only reclaims abandoned jobs with attempts left', async () => {
+    const findOneAndUpdate = jest.spyOn(AIJob, 'findOneAndUpdate').mockResolvedValue(null);
+
+    await queue.claim();
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter.$or[1]).toMatchObject({
+      status: 'processing',
+      $expr: { $lt: ['$attempts', '$max_attempts'] },
+    });
+    expect(update).toMatchObject({ locked_by: queue.workerId, $inc: { attempts: 1 } });
+  });
+
+  test('writes the result only while it still holds the lock', async () => {
+    const job = claimedJob({ locked_by: queue.workerId });
+    const lockedAt = job.locked_at;
+    jest.spyOn(AIJob, 'findOneAndUpdate').mockResolvedValue(job);
+    let where;
+    job.save = jest.fn(async function () {
+      where = this.$where;
+      return this;
+    });
+
+    await queue.processNext();
+
+    expect(where).toEqual({ status: 'processing', locked_by: queue.workerId, locked_at: lockedAt });
+    expect(job.status).toBe('completed');
+    expect(notificationService.aiAnalysisComplete).toHaveBeenCalledTimes(1);
+  });
+
+  test('drops the result when another worker has taken the job', async () => {
+    const job = claimedJob({ locked_by: queue.workerId });
+    jest.spyOn(AIJob, 'findOneAndUpdate').mockResolvedValue(job);
+    job.save = jest.fn().mockRejectedValue(new mongoose.Error.DocumentNotFoundError('lost lock'));
+
+    await expect(queue.processNext()).resolves.toBe(job);
+    expect(notificationService.aiAnalysisComplete).not.toHaveBeenCalled();
+  });
+
+  test('gives the quota back when a job fails for good', async () => {
+    const reservedAt = new Date();
+    const job = claimedJob({ locked_by: queue.workerId, attempts: 3, quota_reserved_at: reservedAt });
+    jest.spyOn(AIJob, 'findOneAndUpdate').mockResolvedValue(job);
+    job.save = jest.fn(async () => job);
+    const release = jest.spyOn(aiUsage, 'release').mockResolvedValue();
+    queue.processor = async () => {
+      throw new Error('all providers failed');
+    };
+
+    await queue.processNext();
+
+    expect(job.status).toBe('failed');
+    expect(release).toHaveBeenCalledWith(job.user_id, reservedAt);
+  });
+
+  test('keeps the quota of a completed job', async () => {
+    const job = claimedJob({ locked_by: queue.workerId, quota_reserved_at: new Date() });
+    jest.spyOn(AIJob, 'findOneAndUpdate').mockResolvedValue(job);
+    job.save = jest.fn(async () => job);
+    const release = jest.spyOn(aiUsage, 'release').mockResolvedValue();
+
+    await queue.processNext();
+
+    expect(release).not.toHaveBeenCalled();
+  });
+
+  test('fails abandoned jobs that have used up their attempts', async () => {
+    const job = claimedJob({ attempts: 3 });
+    const find = jest.spyOn(AIJob, 'find').mockReturnValue({ select: async () => [job] });
+    const updateOne = jest.spyOn(AIJob, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+
+    expect(await queue.failAbandoned()).toBe(1);
+
+    expect(find.mock.calls[0][0].$expr).toEqual({ $gte: ['$attempts', '$max_attempts'] });
+    expect(updateOne.mock.calls[0][0]).toEqual({ _id: job._id, status: 'processing', locked_at: job.locked_at });
+    expect(updateOne.mock.calls[0][1]).toMatchObject({ status: 'failed' });
+    expect(notificationService.aiAnalysisComplete).toHaveBeenCalledWith(job.user_id, expect.objectContaining({ failed: true }));
+  });
+});
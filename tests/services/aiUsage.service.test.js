@@ -0,0 +1,87 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import AIQuotaCounter from '../../src/models/AIQuotaCounter.js';
+import { AIUsageService } from '../../src/services/aiUsage.service.js';
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('AI quota reservations', () => {
+  const user = { _id: new mongoose.Types.ObjectId(), plan: 'free' };
+  let usage;
+  let counts;
+  let findOneAndUpdate;
+  let updateMany;
+
+  beforeEach(() => {
+    usage = new AIUsageService({ pricing: {} });
+    // In-memory counters with the same conditional upsert behaviour
+    counts = { day: 0, month: 0 };
+    findOneAndUpdate = jest.spyOn(AIQuotaCounter, 'findOneAndUpdate').mockImplementation(async (filter) => {
+      if (filter.count && counts[filter.period] >= filter.count.$lt) {
+        throw duplicateKey();
+      }
+      counts[filter.period] += 1;
+      return { period: filter.period, count: counts[filter.period] };
+    });
+    updateMany = jest.spyOn(AIQuotaCounter, 'updateMany').mockImplementation(async ({ $or }) => {
+      $or.forEach(({ period }) => {
+        counts[period] -= 1;
+      });
+      return { modifiedCount: $or.length };
+    });
+    jest.spyOn(AIQuotaCounter, 'find').mockImplementation(async () =>
+      Object.entries(counts).map(([period, count]) => ({ period, count })));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('takes one analysis from both windows', async () => {
+    const reservation = await usage.reserve(user);
+
+    expect(reservation).toMatchObject({
+      reserved: true,
+      quota: { daily: { used: 1, remaining: 4 }, monthly: { used: 1, remaining: 49 } },
+    });
+    const [filter, update, options] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ user_id: user._id, period: 'month', count: { $lt: 50 } });
+    expect(update.$inc).toEqual({ count: 1 });
+    expect(options).toMatchObject({ upsert: true, new: true });
+  });
+
+  test('stops parallel requests at the daily limit', async () => {
+    const reservations = await Promise.all(Array.from({ length: 8 }, () => usage.reserve(user)));
+
+    expect(reservations.filter(({ reserved }) => reserved)).toHaveLength(5);
+    expect(reservations.find(({ reserved }) => !reserved)).toMatchObject({ exceeded: 'daily' });
+    // Denied requests hand their monthly reservation back
+    expect(counts).toEqual({ day: 5, month: 5 });
+  });
+
+  test('reports the monthly limit first', async () => {
+    counts.month = 50;
+
+    const reservation = await usage.reserve(user);
+
+    expect(reservation).toMatchObject({ reserved: false, exceeded: 'monthly' });
+    expect(counts.day).toBe(0);
+  });
+
+  test('retries once when the first requests of a window race to create it', async () => {
+    findOneAndUpdate.mockRejectedValueOnce(duplicateKey());
+
+    expect((await usage.reserve(user)).reserved).toBe(true);
+  });
+
+  test('gives a reservation back to the windows it was taken from', async () => {
+    const { reservedAt } = await usage.reserve(user);
+
+    await usage.release(user._id, reservedAt);
+
+    const [filter] = updateMany.mock.calls[0];
+    expect(filter.$or.map(({ period }) => period)).toEqual(['day', 'month']);
+    expect(filter.count).toEqual({ $gt: 0 });
+    expect(counts).toEqual({ day: 0, month: 0 });
+  });
+});
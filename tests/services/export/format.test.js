@@ -0,0 +1,26 @@
+import { describe, test, expect } from '@jest/globals';
+import { toDelimited } from '../../../src/services/export/format.js';
+
+describe('toDelimited', () => {
+  const lines = (headers, rows, delimiter) => toDelimited(headers, rows, delimiter).split('\r\n');
+
+  test('quotes values with delimiters, quotes or line breaks', () => {
+    const [, row] = lines(['title', 'description'], [{ title: 'Washer, 8kg', description: 'Says "like new"\nBarely used' }]);
+
+    expect(row).toBe('"Washer, 8kg","Says ""like new""\nBarely used"');
+  });
+
+  test.each([
+    ['=HYPERLINK("http://evil.example","Click")', '"\'=HYPERLINK(""http://evil.example"",""Click"")"'],
+    ['+61 400 000 000', "'+61 400 000 000"],
+    ['-2+3', "'-2+3"],
+    ['@SUM(A1:A2)', "'@SUM(A1:A2)"],
+    ['\tcmd', "'\tcmd"],
+  ])('neutralises the formula in %j', (value, expected) => {
+    expect(lines(['title'], [{ title: value }])[1]).toBe(expected);
+  });
+
+  test('leaves numbers and ordinary text alone', () => {
+    expect(lines(['price', 'title'], [{ price: -5, title: 'Fridge' }], '\t')[1]).toBe('-5\tFridge');
+  });
+});
@@ -0,0 +1,115 @@
+import { jest, describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import mongoose from 'mongoose';
+import User from '../../src/models/User.js';
+import { PushService } from '../../src/services/push.service.js';
+import { createMemoryTransport } from '../../src/services/push/memory.transport.js';
+import { createExpoTransport } from '../../src/services/push/expo.transport.js';
+
+const alice = new mongoose.Types.ObjectId();
+const bob = new mongoose.Types.ObjectId();
+
+const notification = (userId, overrides = {}) => ({
+  _id: new mongoose.Types.ObjectId(),
+  user_id: userId,
+  type: 'message.new',
+  title: 'New message',
+  body: 'Is this still available?',
+  data: {},
+  ...overrides,
+});
+
+describe('PushService', () => {
+  let transport;
+  let push;
+
+  beforeEach(() => {
+    transport = createMemoryTransport({ invalidTokens: ['ExponentPushToken[gone]'] });
+    push = new PushService({ transport, batchSize: 2 });
+
+    jest.spyOn(User, 'find').mockReturnValue({
+      select: async () => [
+        { _id: alice, push_tokens: [{ token: 'ExponentPushToken[alice]' }, { token: 'ExponentPushToken[gone]' }] },
+        { _id: bob, push_tokens: [{ token: 'ExponentPushToken[bob]' }] },
+      ],
+    });
+    jest.spyOn(User, 'prunePushTokens').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends one message per device in batches', async () => {
+    push.enqueue([notification(alice), notification(bob)]);
+    const result = await push.flush();
+
+    expect(transport.sent.map(message => message.to)).toEqual([
+      'ExponentPushToken[alice]',
+      'ExponentPushToken[gone]',
+      'ExponentPushToken[bob]',
+    ]);
+    expect(transport.batches).toHaveLength(2);
+    expect(transport.sent[0].data).toMatchObject({ type: 'message.new' });
+    expect(result).toEqual({ sent: 2, failed: 1, pruned: 1 });
+  });
+
+  test('prunes tokens reported as DeviceNotRegistered', async () => {
+    push.enqueue([notification(alice)]);
+    await push.flush();
+
+    expect(User.prunePushTokens).toHaveBeenCalledTimes(1);
+    expect(User.prunePushTokens).toHaveBeenCalledWith(['ExponentPushToken[gone]']);
+  });
+
+  test('keeps tokens when a batch fails outright', async () => {
+    jest.spyOn(transport, 'send').mockRejectedValue(new Error('network down'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    push.enqueue([notification(bob)]);
+    const result = await push.flush();
+
+    expect(result).toEqual({ sent: 0, failed: 1, pruned: 0 });
+    expect(User.prunePushTokens).not.toHaveBeenCalled();
+  });
+});
+
+describe('Expo transport', () => {
+  const respondWith = tickets => jest.spyOn(globalThis, 'fetch').mockResolvedValue({
+    ok: true,
+    json: async () => ({ data: tickets }),
+  });
+
+  const messages = [{ to: 'ExponentPushToken[a]' }, { to: 'ExponentPushToken[b]' }];
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('marks only unregistered devices as invalid', async () => {
+    respondWith([
+      { status: 'ok', id: 'ticket-1' },
+      { status: 'error', message: 'not registered', details: { error: 'DeviceNotRegistered' } },
+    ]);
+
+    const tickets = await createExpoTransport({ accessToken: null }).send(messages);
+
+    expect(tickets).toEqual([
+      { token: 'ExponentPushToken[a]', status: 'ok', id: 'ticket-1', error: null, invalidToken: false },
+      { token: 'ExponentPushToken[b]', status: 'error', id: undefined, error: 'DeviceNotRegistered', invalidToken: true },
+    ]);
+  });
+
+  test('does not invalidate tokens on InvalidCredentials', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    respondWith(messages.map(() => ({
+      status: 'error',
+      message: 'bad credentials',
+      details: { error: 'InvalidCredentials' },
+    })));
+
+    const tickets = await createExpoTransport({ accessToken: null }).send(messages);
+
+    expect(tickets.every(ticket => ticket.status === 'error' && !ticket.invalidToken)).toBe(true);
+    expect(error).toHaveBeenCalledTimes(1);
+  });
+});
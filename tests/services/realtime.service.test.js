@@ -0,0 +1,43 @@
+import { jest, describe, test, expect, afterEach } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { WebSocket } from 'ws';
+import mongoose from 'mongoose';
+import realtime from '../../src/services/realtime.service.js';
+
+// Stand-in for a ws connection
+const fakeSocket = () => Object.assign(new EventEmitter(), {
+  readyState: WebSocket.OPEN,
+  send: jest.fn(),
+  terminate: jest.fn(),
+});
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+afterEach(() => {
+  realtime.channels.clear();
+  jest.restoreAllMocks();
+});
+
+describe('RealtimeService connections', () => {
+  test('subscribes each connection to its user channel', () => {
+    const ws = fakeSocket();
+    realtime.handleConnection(ws, user);
+
+    expect(realtime.channels.get(`user:${user._id}`).has(ws)).toBe(true);
+    expect(JSON.parse(ws.send.mock.calls[0][0])).toMatchObject({ type: 'connected' });
+  });
+
+  test('drops a connection on a socket error instead of throwing', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const ws = fakeSocket();
+    realtime.handleConnection(ws, user);
+
+    expect(() => ws.emit('error', new Error('Invalid WebSocket frame: MASK must be set'))).not.toThrow();
+    expect(ws.terminate).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not offer conversation channels', async () => {
+    expect(await realtime.canSubscribe(user, `conversation:${new mongoose.Types.ObjectId()}`)).toBe(false);
+    expect(await realtime.canSubscribe(user, `user:${user._id}`)).toBe(true);
+  });
+});